@@ -0,0 +1,711 @@
+// Address Math
+// IPv4/IPv6 parsing, formatting, prefix arithmetic and special-purpose
+// classification shared by the network tools. Loaded as a plain script it
+// defines window.AddressMath; under Node it is a CommonJS module:
+//
+//   const AddressMath = require('./assets/js/address-math.js');
+//   const net = AddressMath.parsePrefix('10.0.0.0/8');
+//   AddressMath.contains(net, AddressMath.parsePrefix('10.1.2.0/24')); // true
+//
+// IPv4 values are unsigned Numbers in the low-level helpers and BigInts in
+// parsed prefixes, so IPv4 and IPv6 prefixes share the same arithmetic.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AddressMath = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // ============================================
+  // Special-Purpose Address Registries
+  // ============================================
+
+  // IANA IPv4/IPv6 Special-Purpose Address Registries, plus the multicast
+  // scopes that live outside them. Flags follow the registry columns; null is
+  // the registry's "N/A". Lookups use the most specific matching block.
+  const IPV4_SPECIAL_REGISTRY = [
+    { cidr: '0.0.0.0/8', name: 'This network', rfc: 'RFC 791', source: true, destination: false, forwardable: false, global: false },
+    { cidr: '0.0.0.0/32', name: 'This host on this network', rfc: 'RFC 1122', source: true, destination: false, forwardable: false, global: false },
+    { cidr: '10.0.0.0/8', name: 'Private-Use', rfc: 'RFC 1918', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '100.64.0.0/10', name: 'Shared Address Space (CGNAT)', rfc: 'RFC 6598', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '127.0.0.0/8', name: 'Loopback', rfc: 'RFC 1122', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '169.254.0.0/16', name: 'Link Local', rfc: 'RFC 3927', source: true, destination: true, forwardable: false, global: false },
+    { cidr: '172.16.0.0/12', name: 'Private-Use', rfc: 'RFC 1918', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '192.0.0.0/24', name: 'IETF Protocol Assignments', rfc: 'RFC 6890', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '192.0.0.0/29', name: 'IPv4 Service Continuity Prefix', rfc: 'RFC 7335', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '192.0.0.8/32', name: 'IPv4 dummy address', rfc: 'RFC 7600', source: true, destination: false, forwardable: false, global: false },
+    { cidr: '192.0.0.9/32', name: 'Port Control Protocol Anycast', rfc: 'RFC 7723', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '192.0.0.10/32', name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '192.0.0.170/32', name: 'NAT64/DNS64 Discovery', rfc: 'RFC 8880', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '192.0.0.171/32', name: 'NAT64/DNS64 Discovery', rfc: 'RFC 8880', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '192.0.2.0/24', name: 'Documentation (TEST-NET-1)', rfc: 'RFC 5737', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '192.31.196.0/24', name: 'AS112-v4', rfc: 'RFC 7535', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '192.52.193.0/24', name: 'AMT', rfc: 'RFC 7450', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '192.88.99.0/24', name: 'Deprecated (6to4 Relay Anycast)', rfc: 'RFC 7526', source: null, destination: null, forwardable: null, global: null },
+    { cidr: '192.168.0.0/16', name: 'Private-Use', rfc: 'RFC 1918', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '192.175.48.0/24', name: 'Direct Delegation AS112 Service', rfc: 'RFC 7534', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '198.18.0.0/15', name: 'Benchmarking', rfc: 'RFC 2544', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '198.51.100.0/24', name: 'Documentation (TEST-NET-2)', rfc: 'RFC 5737', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '203.0.113.0/24', name: 'Documentation (TEST-NET-3)', rfc: 'RFC 5737', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '240.0.0.0/4', name: 'Reserved', rfc: 'RFC 1112', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '255.255.255.255/32', name: 'Limited Broadcast', rfc: 'RFC 919', source: false, destination: true, forwardable: false, global: false },
+    // Multicast (IPv4 Multicast Address Space Registry)
+    { cidr: '224.0.0.0/4', name: 'Multicast', rfc: 'RFC 5771', source: false, destination: true, forwardable: true, global: true, multicast: true },
+    { cidr: '224.0.0.0/24', name: 'Multicast: Local Network Control Block', rfc: 'RFC 5771', source: false, destination: true, forwardable: false, global: false, multicast: true },
+    { cidr: '224.0.1.0/24', name: 'Multicast: Internetwork Control Block', rfc: 'RFC 5771', source: false, destination: true, forwardable: true, global: true, multicast: true },
+    { cidr: '232.0.0.0/8', name: 'Multicast: Source-Specific (SSM)', rfc: 'RFC 4607', source: false, destination: true, forwardable: true, global: true, multicast: true },
+    { cidr: '233.0.0.0/8', name: 'Multicast: GLOP', rfc: 'RFC 3180', source: false, destination: true, forwardable: true, global: true, multicast: true },
+    { cidr: '234.0.0.0/8', name: 'Multicast: Unicast-Prefix-based', rfc: 'RFC 6034', source: false, destination: true, forwardable: true, global: true, multicast: true },
+    { cidr: '239.0.0.0/8', name: 'Multicast: Administratively Scoped', rfc: 'RFC 2365', source: false, destination: true, forwardable: true, global: false, multicast: true },
+    { cidr: '239.192.0.0/14', name: 'Multicast: Organization-Local Scope', rfc: 'RFC 2365', source: false, destination: true, forwardable: true, global: false, multicast: true },
+    { cidr: '239.255.0.0/16', name: 'Multicast: IPv4 Local Scope', rfc: 'RFC 2365', source: false, destination: true, forwardable: true, global: false, multicast: true }
+  ];
+
+  const IPV6_SPECIAL_REGISTRY = [
+    { cidr: '::1/128', name: 'Loopback Address', rfc: 'RFC 4291', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '::/128', name: 'Unspecified Address', rfc: 'RFC 4291', source: true, destination: false, forwardable: false, global: false },
+    { cidr: '::ffff:0:0/96', name: 'IPv4-mapped Address', rfc: 'RFC 4291', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '64:ff9b::/96', name: 'IPv4-IPv6 Translation', rfc: 'RFC 6052', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '64:ff9b:1::/48', name: 'Local-Use IPv4/IPv6 Translation', rfc: 'RFC 8215', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '100::/64', name: 'Discard-Only Address Block', rfc: 'RFC 6666', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '100:0:0:1::/64', name: 'Dummy IPv6 Prefix', rfc: 'RFC 9780', source: true, destination: false, forwardable: false, global: false },
+    { cidr: '2001::/23', name: 'IETF Protocol Assignments', rfc: 'RFC 2928', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '2001::/32', name: 'TEREDO', rfc: 'RFC 4380', source: true, destination: true, forwardable: true, global: null },
+    { cidr: '2001:1::1/128', name: 'Port Control Protocol Anycast', rfc: 'RFC 7723', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:1::2/128', name: 'Traversal Using Relays around NAT Anycast', rfc: 'RFC 8155', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:1::3/128', name: 'DNS-SD Service Registration Protocol Anycast', rfc: 'RFC 9665', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:2::/48', name: 'Benchmarking', rfc: 'RFC 5180', source: true, destination: true, forwardable: true, global: false },
+    { cidr: '2001:3::/32', name: 'AMT', rfc: 'RFC 7450', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:4:112::/48', name: 'AS112-v6', rfc: 'RFC 7535', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:10::/28', name: 'Deprecated (previously ORCHID)', rfc: 'RFC 4843', source: null, destination: null, forwardable: null, global: null },
+    { cidr: '2001:20::/28', name: 'ORCHIDv2', rfc: 'RFC 7343', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:30::/28', name: 'Drone Remote ID Protocol Entity Tags (DETs)', rfc: 'RFC 9374', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '2001:db8::/32', name: 'Documentation', rfc: 'RFC 3849', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '2002::/16', name: '6to4', rfc: 'RFC 3056', source: true, destination: true, forwardable: true, global: null },
+    { cidr: '2620:4f:8000::/48', name: 'Direct Delegation AS112 Service', rfc: 'RFC 7534', source: true, destination: true, forwardable: true, global: true },
+    { cidr: '3fff::/20', name: 'Documentation', rfc: 'RFC 9637', source: false, destination: false, forwardable: false, global: false },
+    { cidr: '5f00::/16', name: 'Segment Routing (SRv6) SIDs', rfc: 'RFC 9602', source: true, destination: true, forwardable: true, global: false },
+    { cidr: 'fc00::/7', name: 'Unique-Local', rfc: 'RFC 4193', source: true, destination: true, forwardable: true, global: false },
+    { cidr: 'fe80::/10', name: 'Link-Local Unicast', rfc: 'RFC 4291', source: true, destination: true, forwardable: false, global: false },
+    // Multicast (IPv6 Multicast Address Space Registry); the scope is the fourth hex digit
+    { cidr: 'ff00::/8', name: 'Multicast', rfc: 'RFC 4291', source: false, destination: true, forwardable: true, global: true, multicast: true }
+  ];
+
+  const IPV6_MULTICAST_SCOPES = {
+    0x1: { name: 'Interface-Local', forwardable: false, global: false },
+    0x2: { name: 'Link-Local', forwardable: false, global: false },
+    0x3: { name: 'Realm-Local', forwardable: true, global: false },
+    0x4: { name: 'Admin-Local', forwardable: true, global: false },
+    0x5: { name: 'Site-Local', forwardable: true, global: false },
+    0x8: { name: 'Organization-Local', forwardable: true, global: false },
+    0xe: { name: 'Global', forwardable: true, global: true }
+  };
+
+  // ============================================
+  // IPv4 Functions
+  // ============================================
+
+  function isValidIPv4(ip) {
+    // Strict dotted quad with optional /0-32 prefix (see parseIP for the rules)
+    return getParsedVersion(ip.trim()) === 4;
+  }
+
+  function parseIPv4Input(input) {
+    // Returns { ip: string, targetCidr: number|null }
+    if (input.includes('/')) {
+      const [ip, cidr] = input.split('/');
+      return { ip: ip.trim(), targetCidr: parseInt(cidr, 10) };
+    }
+    return { ip: input.trim(), targetCidr: null };
+  }
+
+  function ipv4ToInt(ip) {
+    const parts = ip.split('.').map(Number);
+    return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
+  }
+
+  function intToIPv4(int) {
+    return [
+      (int >>> 24) & 255,
+      (int >>> 16) & 255,
+      (int >>> 8) & 255,
+      int & 255
+    ].join('.');
+  }
+
+  function getIPv4SubnetMask(cidr) {
+    if (cidr === 0) return 0;
+    return (~0 << (32 - cidr)) >>> 0;
+  }
+
+  // ============================================
+  // IPv6 Functions
+  // ============================================
+
+  function convertEmbeddedIPv4(ip) {
+    // Rewrites a trailing dotted quad (e.g. ::ffff:192.0.2.1) as two hex groups.
+    // Returns null when the dotted part is not a valid IPv4 address.
+    const lastColon = ip.lastIndexOf(':');
+    const tail = ip.substring(lastColon + 1);
+    if (lastColon === -1 || !tail.includes('.')) return ip;
+    if (!isValidIPv4(tail)) return null;
+
+    const int = ipv4ToInt(tail);
+    return ip.substring(0, lastColon + 1) + (int >>> 16).toString(16) + ':' + (int & 0xffff).toString(16);
+  }
+
+  function expandIPv6(ip) {
+    // Remove any leading/trailing whitespace
+    ip = ip.trim().toLowerCase();
+    ip = convertEmbeddedIPv4(ip) || ip;
+    
+    // Handle :: expansion
+    if (ip.includes('::')) {
+      const parts = ip.split('::');
+      const left = parts[0] ? parts[0].split(':') : [];
+      const right = parts[1] ? parts[1].split(':') : [];
+      const missing = 8 - left.length - right.length;
+      const middle = Array(missing).fill('0000');
+      const expanded = [...left, ...middle, ...right];
+      return expanded.map(p => p.padStart(4, '0')).join(':');
+    }
+    
+    return ip.split(':').map(p => p.padStart(4, '0')).join(':');
+  }
+
+  function isValidIPv6(ip) {
+    // RFC 4291 text form with optional /0-128 prefix; zone IDs are not accepted here
+    return getParsedVersion(ip.trim()) === 6;
+  }
+
+  function parseIPv6Input(input) {
+    // Returns { ip: string, targetPrefix: number|null }
+    if (input.includes('/')) {
+      const [ip, prefix] = input.split('/');
+      return { ip: ip.trim(), targetPrefix: parseInt(prefix, 10) };
+    }
+    return { ip: input.trim(), targetPrefix: null };
+  }
+
+  function ipv6ToBigInt(ip) {
+    const expanded = expandIPv6(ip);
+    const hex = expanded.replace(/:/g, '');
+    return BigInt('0x' + hex);
+  }
+
+  function bigIntToIPv6(bigint) {
+    const hex = bigint.toString(16).padStart(32, '0');
+    const parts = [];
+    for (let i = 0; i < 32; i += 4) {
+      parts.push(hex.substring(i, i + 4));
+    }
+    return parts.join(':');
+  }
+
+  function compressIPv6(ip) {
+    // First expand fully
+    const expanded = expandIPv6(ip);
+    let parts = expanded.split(':');
+    
+    // Remove leading zeros from each part
+    parts = parts.map(p => p.replace(/^0+/, '') || '0');
+    
+    // Find longest run of zeros
+    let maxStart = -1, maxLen = 0;
+    let currentStart = -1, currentLen = 0;
+    
+    for (let i = 0; i < parts.length; i++) {
+      if (parts[i] === '0') {
+        if (currentStart === -1) currentStart = i;
+        currentLen++;
+        if (currentLen > maxLen) {
+          maxLen = currentLen;
+          maxStart = currentStart;
+        }
+      } else {
+        currentStart = -1;
+        currentLen = 0;
+      }
+    }
+    
+    // Only compress if we have at least 2 consecutive zeros
+    if (maxLen >= 2) {
+      const before = parts.slice(0, maxStart);
+      const after = parts.slice(maxStart + maxLen);
+      if (before.length === 0 && after.length === 0) return '::';
+      if (before.length === 0) return '::' + after.join(':');
+      if (after.length === 0) return before.join(':') + '::';
+      return before.join(':') + '::' + after.join(':');
+    }
+    
+    return parts.join(':');
+  }
+
+  // ============================================
+  // Parser Functions
+  // ============================================
+
+  // parseIP tokenises an address character by character so every error can name
+  // the offending position. Errors are plain Errors carrying a 0-based .position.
+  function parseError(message, position) {
+    const err = new Error(`${message} (character ${position + 1})`);
+    err.position = position;
+    return err;
+  }
+
+  function describeChar(ch) {
+    return ch === ' ' ? 'space' : `"${ch}"`;
+  }
+
+  function parseIPv4Part(input, part, allowInetAton) {
+    // Returns { value, form } for one dot-separated part
+    const text = input.substring(part.start, part.end);
+
+    if (/^0[xX]/.test(text)) {
+      if (!allowInetAton) {
+        throw parseError(`Hexadecimal octet "${text}" is only accepted in inet_aton form`, part.start);
+      }
+      const digits = text.substring(2);
+      const bad = digits.search(/[^0-9a-fA-F]/);
+      if (bad !== -1) throw parseError(`Unexpected character ${describeChar(digits[bad])}`, part.start + 2 + bad);
+      if (!digits) throw parseError(`Hexadecimal octet "${text}" has no digits`, part.start);
+      return { value: parseInt(digits, 16), form: 'hexadecimal' };
+    }
+
+    const bad = text.search(/[^0-9]/);
+    if (bad !== -1) throw parseError(`Unexpected character ${describeChar(text[bad])}`, part.start + bad);
+
+    if (text.length > 1 && text[0] === '0') {
+      if (!allowInetAton) throw parseError(`Leading zero in octet "${text}"`, part.start);
+      const badOctal = text.search(/[89]/);
+      if (badOctal !== -1) throw parseError(`Digit "${text[badOctal]}" is not valid in octal octet "${text}"`, part.start + badOctal);
+      return { value: parseInt(text, 8), form: 'octal' };
+    }
+
+    return { value: parseInt(text, 10), form: 'decimal' };
+  }
+
+  function parseIPv4Address(input, start, end, allowInetAton) {
+    // Returns { value, notes }. Strict form is exactly four decimal octets; inet_aton
+    // form also takes hex/octal parts and 1-3 part addresses (the last part fills the rest).
+    const parts = [];
+    let partStart = start;
+
+    for (let i = start; i <= end; i++) {
+      if (i < end && input[i] !== '.') continue;
+
+      if (i === partStart) {
+        if (i === end) throw parseError('Trailing dot', i - 1);
+        throw parseError(parts.length === 0 ? 'Address starts with a dot' : 'Empty octet between dots', i);
+      }
+      parts.push({ start: partStart, end: i });
+      if (parts.length > 4) throw parseError('Too many octets; an IPv4 address has 4', partStart);
+      partStart = i + 1;
+    }
+
+    if (parts.length === 0) throw parseError('Missing IPv4 address', start);
+    if (parts.length < 4 && !allowInetAton) {
+      throw parseError(`Expected 4 octets, found ${parts.length}`, end - 1);
+    }
+
+    const parsed = parts.map(part => parseIPv4Part(input, part, allowInetAton));
+    const notes = [];
+    let value = 0;
+
+    parsed.forEach((part, index) => {
+      const isLast = index === parsed.length - 1;
+      // The last part of an inet_aton address covers every byte not yet used
+      const bytes = isLast ? 4 - index : 1;
+      const max = Math.pow(2, 8 * bytes) - 1;
+      if (part.value > max) {
+        const what = bytes === 1 ? 'Octet' : `Final part of a ${parsed.length}-part address`;
+        throw parseError(`${what} ${part.value} exceeds ${max}`, parts[index].start);
+      }
+      value = value * Math.pow(2, 8 * bytes) + part.value;
+      if (part.form !== 'decimal' && !notes.includes(`${part.form} part`)) notes.push(`${part.form} part`);
+    });
+
+    if (parsed.length < 4) {
+      notes.push(parsed.length === 1 ? '32-bit integer form' : `${parsed.length}-part form`);
+    }
+
+    return { value: value >>> 0, notes: notes };
+  }
+
+  function parseIPv6Address(input, start, end) {
+    // Returns { value, embeddedIPv4 }. Follows the RFC 4291 section 2.2 text forms.
+    const groups = [];
+    const positions = [];
+    let gapIndex = -1;
+    let gapPos = -1;
+    let embeddedIPv4 = false;
+    let i = start;
+
+    if (input.startsWith('::', i)) {
+      gapIndex = 0;
+      gapPos = i;
+      i += 2;
+    } else if (input[i] === ':') {
+      throw parseError('Address cannot start with a single ":"', i);
+    }
+
+    while (i < end) {
+      const groupStart = i;
+      while (i < end && /[0-9a-fA-F]/.test(input[i])) i++;
+
+      if (i < end && input[i] === '.') {
+        // Dotted-quad tail (mixed notation) fills the last two groups
+        const ipv4 = parseIPv4Address(input, groupStart, end, false);
+        groups.push(ipv4.value >>> 16, ipv4.value & 0xffff);
+        positions.push(groupStart, groupStart);
+        embeddedIPv4 = true;
+        i = end;
+        break;
+      }
+
+      if (i === groupStart) {
+        throw parseError(input[i] === ':' ? 'Unexpected ":"' : `Unexpected character ${describeChar(input[i])}`, i);
+      }
+      if (i - groupStart > 4) {
+        throw parseError(`Group "${input.substring(groupStart, i)}" has more than 4 hex digits`, groupStart);
+      }
+      groups.push(parseInt(input.substring(groupStart, i), 16));
+      positions.push(groupStart);
+
+      if (i === end) break;
+      if (input[i] !== ':') throw parseError(`Unexpected character ${describeChar(input[i])}`, i);
+
+      if (input[i + 1] === ':') {
+        if (gapIndex !== -1) throw parseError('Second "::"; only one is allowed', i);
+        gapIndex = groups.length;
+        gapPos = i;
+        i += 2;
+      } else {
+        i++;
+        if (i === end) throw parseError('Address cannot end with a single ":"', i - 1);
+      }
+    }
+
+    if (groups.length > 8) throw parseError('Too many groups; an IPv6 address has 8', positions[8]);
+    if (gapIndex === -1 && groups.length < 8) {
+      throw parseError(`Expected 8 groups, found ${groups.length} (use "::" to abbreviate zeros)`, end - 1);
+    }
+    if (gapIndex !== -1 && groups.length === 8) {
+      throw parseError('"::" must stand for at least one zero group, but all 8 groups are present', gapPos);
+    }
+
+    const zeros = Array(8 - groups.length).fill(0);
+    const full = gapIndex === -1 ? groups : [...groups.slice(0, gapIndex), ...zeros, ...groups.slice(gapIndex)];
+    const value = full.reduce((acc, group) => (acc << 16n) | BigInt(group), 0n);
+
+    return { value: value, embeddedIPv4: embeddedIPv4 };
+  }
+
+  function describeRfc5952Issues(text, canonical) {
+    // RFC 5952: lowercase, no leading zeros, "::" on the longest (first) zero run
+    const issues = [];
+    if (/[A-F]/.test(text)) issues.push('uppercase hex digits');
+    const groups = text.split(':');
+    if (groups.some(group => group.length > 1 && group[0] === '0')) issues.push('leading zeros');
+
+    const trimmed = groups.map(group => group.toLowerCase().replace(/^0+(?=.)/, '')).join(':');
+    if (trimmed !== canonical) {
+      if (!trimmed.includes('::')) issues.push('zero run not shortened with "::"');
+      else if (!canonical.includes('::')) issues.push('"::" used for a single zero group');
+      else issues.push('"::" does not cover the longest zero run');
+    }
+    return issues;
+  }
+
+  function parseIP(text, options = {}) {
+    // Parses an IPv4 or IPv6 address with an optional zone ID and /prefix.
+    // Options: allowInetAton (IPv4 hex/octal/short forms), allowZone (IPv6 %zone).
+    // Returns { version, bits, value (BigInt), prefix, zone, canonical, nonCanonical, notes }
+    // and throws an Error with .position on the first offending character.
+    const { allowInetAton = false, allowZone = false } = options;
+    const input = text;
+    if (!input) throw parseError('Empty address', 0);
+
+    const slash = input.indexOf('/');
+    const addressEnd = slash === -1 ? input.length : slash;
+    const percent = input.indexOf('%');
+    const zoneStart = percent !== -1 && percent < addressEnd ? percent : -1;
+    const end = zoneStart === -1 ? addressEnd : zoneStart;
+    const version = input.substring(0, end).includes(':') ? 6 : 4;
+    const bits = version === 4 ? 32 : 128;
+
+    let value;
+    let notes = [];
+    let embeddedIPv4 = false;
+    if (version === 4) {
+      const ipv4 = parseIPv4Address(input, 0, end, allowInetAton);
+      value = BigInt(ipv4.value);
+      notes = ipv4.notes;
+    } else {
+      const ipv6 = parseIPv6Address(input, 0, end);
+      value = ipv6.value;
+      embeddedIPv4 = ipv6.embeddedIPv4;
+    }
+
+    let zone = null;
+    if (zoneStart !== -1) {
+      if (version === 4) throw parseError('Zone IDs only apply to IPv6 addresses', zoneStart);
+      if (!allowZone) throw parseError('Zone IDs (e.g. "%eth0") are not accepted here', zoneStart);
+      zone = input.substring(zoneStart + 1, addressEnd);
+      if (!zone) throw parseError('Empty zone ID after "%"', zoneStart);
+      const bad = zone.search(/[\s%]/);
+      if (bad !== -1) throw parseError(`Unexpected character ${describeChar(zone[bad])} in zone ID`, zoneStart + 1 + bad);
+    }
+
+    let prefix = null;
+    if (slash !== -1) {
+      const lengthText = input.substring(slash + 1);
+      if (!lengthText) throw parseError('Missing prefix length after "/"', slash);
+      const bad = lengthText.search(/[^0-9]/);
+      if (bad !== -1) throw parseError(`Unexpected character ${describeChar(lengthText[bad])} in prefix length`, slash + 1 + bad);
+      if (lengthText.length > 1 && lengthText[0] === '0') throw parseError(`Leading zero in prefix length "${lengthText}"`, slash + 1);
+      prefix = parseInt(lengthText, 10);
+      if (prefix > bits) throw parseError(`Prefix length /${prefix} exceeds /${bits}`, slash + 1);
+    }
+
+    const canonical = version === 4 ? intToIPv4(Number(value)) : compressIPv6(bigIntToIPv6(value));
+    let nonCanonical = notes.length > 0;
+    if (version === 6 && !embeddedIPv4 && input.substring(0, end) !== canonical) {
+      nonCanonical = true;
+      notes.push(...describeRfc5952Issues(input.substring(0, end), canonical));
+    }
+
+    return {
+      version: version,
+      bits: bits,
+      value: value,
+      prefix: prefix,
+      zone: zone,
+      canonical: canonical,
+      nonCanonical: nonCanonical,
+      notes: notes
+    };
+  }
+
+  function getParsedVersion(text) {
+    try {
+      return parseIP(text).version;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function explainInvalid(text, options = {}) {
+    // Returns the parser's error message for text, or null when it parses
+    try {
+      parseIP(text, options);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  // ============================================
+  // Prefix Functions
+  // ============================================
+
+  function parseAddress(text) {
+    // Parses a bare IPv4 or IPv6 address (no prefix length), or returns null
+    const input = text.trim();
+    if (input.includes('/')) return null;
+
+    const parsed = parsePrefix(input);
+    return parsed ? { version: parsed.version, bits: parsed.bits, value: parsed.start } : null;
+  }
+
+  function parsePrefix(text) {
+    // Parses a CIDR prefix or bare address into a BigInt range, or returns null.
+    // Host bits are cleared, so 10.0.0.5/24 becomes 10.0.0.0/24.
+    const input = text.trim();
+    let version, bits, start;
+    let prefix = null;
+
+    if (isValidIPv4(input)) {
+      const { ip, targetCidr } = parseIPv4Input(input);
+      version = 4;
+      bits = 32;
+      prefix = targetCidr === null ? 32 : targetCidr;
+      start = BigInt((ipv4ToInt(ip) & getIPv4SubnetMask(prefix)) >>> 0);
+    } else if (isValidIPv6(input)) {
+      const { ip, targetPrefix } = parseIPv6Input(input);
+      version = 6;
+      bits = 128;
+      prefix = targetPrefix === null ? 128 : targetPrefix;
+      start = ipv6ToBigInt(ip) & getIPv6Mask(prefix);
+    } else {
+      return null;
+    }
+
+    const end = start + (1n << BigInt(bits - prefix)) - 1n;
+    return {
+      input: input,
+      version: version,
+      bits: bits,
+      prefix: prefix,
+      start: start,
+      end: end,
+      cidrNotation: formatAddress(version, start) + '/' + prefix
+    };
+  }
+
+  function getIPv6Mask(prefix) {
+    const all = (1n << 128n) - 1n;
+    return all ^ ((1n << BigInt(128 - prefix)) - 1n);
+  }
+
+  function formatAddress(version, value) {
+    return version === 4 ? intToIPv4(Number(value)) : compressIPv6(bigIntToIPv6(value));
+  }
+
+  function compareBigInt(a, b) {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  function rangeToCidrs(version, start, end) {
+    // Decomposes an inclusive range into the fewest aligned CIDR blocks
+    const bits = version === 4 ? 32 : 128;
+    const cidrs = [];
+
+    while (start <= end) {
+      let hostBits = 0;
+      while (hostBits < bits) {
+        const size = 1n << BigInt(hostBits + 1);
+        if (start % size !== 0n || start + size - 1n > end) break;
+        hostBits++;
+      }
+
+      const blockEnd = start + (1n << BigInt(hostBits)) - 1n;
+      cidrs.push({
+        version: version,
+        prefix: bits - hostBits,
+        start: start,
+        end: blockEnd,
+        cidrNotation: formatAddress(version, start) + '/' + (bits - hostBits)
+      });
+      start = blockEnd + 1n;
+    }
+
+    return cidrs;
+  }
+
+  function contains(outer, inner) {
+    // True when prefix (or range) inner lies entirely within outer
+    return outer.version === inner.version && outer.start <= inner.start && outer.end >= inner.end;
+  }
+
+  function overlaps(a, b) {
+    return a.version === b.version && a.start <= b.end && b.start <= a.end;
+  }
+
+  function* iterateSubnets(parent, childPrefix, startIndex = 0n) {
+    // Yields the childPrefix-sized subnets of parent in order, from a BigInt index
+    if (childPrefix < parent.prefix || childPrefix > parent.bits) return;
+
+    const childCount = 1n << BigInt(childPrefix - parent.prefix);
+    const childSize = 1n << BigInt(parent.bits - childPrefix);
+
+    for (let index = startIndex; index < childCount; index++) {
+      const start = parent.start + index * childSize;
+      yield {
+        version: parent.version,
+        bits: parent.bits,
+        prefix: childPrefix,
+        start: start,
+        end: start + childSize - 1n,
+        cidrNotation: formatAddress(parent.version, start) + '/' + childPrefix
+      };
+    }
+  }
+
+  // ============================================
+  // Classification Functions
+  // ============================================
+
+  let parsedRegistries = null;
+
+  function getRegistry(version) {
+    // Parsed lazily so the registry tables can stay as plain CIDR strings
+    if (!parsedRegistries) {
+      const parse = entries => entries.map(entry => ({ ...entry, ...parsePrefix(entry.cidr) }));
+      parsedRegistries = { 4: parse(IPV4_SPECIAL_REGISTRY), 6: parse(IPV6_SPECIAL_REGISTRY) };
+    }
+    return parsedRegistries[version];
+  }
+
+  function classifyAddress(version, value) {
+    // Returns every registry block containing the address, most specific first
+    const matches = getRegistry(version)
+      .filter(entry => value >= entry.start && value <= entry.end)
+      .sort((a, b) => b.prefix - a.prefix);
+    const block = matches[0] || null;
+
+    const classification = {
+      version: version,
+      block: block,
+      matches: matches,
+      multicastScope: null,
+      source: block ? block.source : true,
+      destination: block ? block.destination : true,
+      forwardable: block ? block.forwardable : true,
+      global: block ? block.global : true
+    };
+
+    if (version === 6 && block && block.multicast) {
+      const scope = IPV6_MULTICAST_SCOPES[Number((value >> 112n) & 0xfn)];
+      classification.multicastScope = scope ? scope.name : 'Reserved';
+      classification.forwardable = scope ? scope.forwardable : false;
+      classification.global = scope ? scope.global : false;
+    } else if (version === 4 && block && block.multicast) {
+      classification.multicastScope = block.global ? 'Global' : block.forwardable ? 'Administrative' : 'Link-Local';
+    }
+
+    return classification;
+  }
+
+  function describeScope(classification, value) {
+    if (classification.multicastScope) {
+      return `Multicast (${classification.multicastScope} scope)`;
+    }
+    if (classification.block) return classification.block.name;
+    if (classification.version === 6 && (value >> 125n) !== 1n) return 'Unassigned (IANA reserved)';
+    return 'Global Unicast';
+  }
+
+  return {
+    IPV4_SPECIAL_REGISTRY,
+    IPV6_SPECIAL_REGISTRY,
+    IPV6_MULTICAST_SCOPES,
+    isValidIPv4,
+    parseIPv4Input,
+    ipv4ToInt,
+    intToIPv4,
+    getIPv4SubnetMask,
+    convertEmbeddedIPv4,
+    expandIPv6,
+    isValidIPv6,
+    parseIPv6Input,
+    ipv6ToBigInt,
+    bigIntToIPv6,
+    compressIPv6,
+    getIPv6Mask,
+    parseIP,
+    explainInvalid,
+    parseAddress,
+    parsePrefix,
+    formatAddress,
+    compareBigInt,
+    rangeToCidrs,
+    contains,
+    overlaps,
+    iterateSubnets,
+    classifyAddress,
+    describeScope
+  };
+});
@@ -1,20 +1,117 @@
 // Crontab Helper
-// Parse, validate, and explain cron expressions
-(function() {
+// Parse, validate, and explain cron expressions. Loaded as a plain script it
+// runs the tool page and defines window.CrontabHelper; under Node it is a
+// CommonJS module with the parsing and scheduling functions:
+//
+//   const CrontabHelper = require('./assets/js/crontab-helper.js');
+//   const parsed = CrontabHelper.parseCronExpression('0 9 * * 1-5');
+//   CrontabHelper.getNextRuns(parsed, 3, 'Europe/London');
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CrontabHelper = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
   'use strict';
 
   // ============================================
   // Constants
   // ============================================
 
-  const FIELD_NAMES = ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'];
+  const FIELD_LABELS = {
+    second: 'Second',
+    minute: 'Minute',
+    hour: 'Hour',
+    dayOfMonth: 'Day of Month',
+    month: 'Month',
+    dayOfWeek: 'Day of Week',
+    year: 'Year'
+  };
   
   const FIELD_RANGES = {
+    second: { min: 0, max: 59 },
     minute: { min: 0, max: 59 },
     hour: { min: 0, max: 23 },
     dayOfMonth: { min: 1, max: 31 },
     month: { min: 1, max: 12 },
-    dayOfWeek: { min: 0, max: 7 } // 0 and 7 both mean Sunday
+    dayOfWeek: { min: 0, max: 7 }, // 0 and 7 both mean Sunday
+    year: { min: 1970, max: 2099 }
+  };
+
+  // dayOfWeekBase is the number for Sunday: Vixie, Spring and Jenkins count 0-7, Quartz and EventBridge 1-7.
+  // Vixie matches either day field when both are restricted; the others require both.
+  // wrapRanges lets a reversed range such as FRI-MON run past the end of the field, as cronie does.
+  const DIALECTS = {
+    vixie: {
+      name: 'Vixie / POSIX cron',
+      fields: ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'],
+      optionalFields: 0,
+      dayOfWeekBase: 0,
+      dayMatching: 'either',
+      macros: true,
+      extensions: false,
+      requireQuestion: false,
+      wrapRanges: true,
+      dst: 'vixie',
+      placeholder: '* * * * *'
+    },
+    quartz: {
+      name: 'Quartz',
+      fields: ['second', 'minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek', 'year'],
+      optionalFields: 1,
+      dayOfWeekBase: 1,
+      maxYear: 2099,
+      dayMatching: 'both',
+      macros: false,
+      extensions: true,
+      requireQuestion: true,
+      wrapRanges: true,
+      dst: 'shift',
+      placeholder: '0 * * ? * *'
+    },
+    spring: {
+      name: 'Spring',
+      fields: ['second', 'minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'],
+      optionalFields: 0,
+      dayOfWeekBase: 0,
+      dayMatching: 'both',
+      macros: true,
+      extensions: true,
+      requireQuestion: false,
+      wrapRanges: false,
+      dst: 'shift',
+      placeholder: '0 * * * * *'
+    },
+    eventbridge: {
+      name: 'AWS EventBridge',
+      fields: ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek', 'year'],
+      optionalFields: 0,
+      dayOfWeekBase: 1,
+      maxYear: 2199,
+      dayMatching: 'both',
+      macros: false,
+      extensions: true,
+      requireQuestion: true,
+      wrapRanges: false,
+      wrapper: true,
+      dst: 'shift',
+      placeholder: 'cron(* * * * ? *)'
+    },
+    jenkins: {
+      name: 'Jenkins',
+      fields: ['minute', 'hour', 'dayOfMonth', 'month', 'dayOfWeek'],
+      optionalFields: 0,
+      dayOfWeekBase: 0,
+      dayMatching: 'both',
+      macros: true,
+      extensions: false,
+      requireQuestion: false,
+      wrapRanges: false,
+      hash: true,
+      dst: 'shift',
+      placeholder: 'H * * * *'
+    }
   };
 
   const MONTH_NAMES = ['', 'January', 'February', 'March', 'April', 'May', 'June', 
@@ -35,312 +132,1379 @@
     '@hourly': '0 * * * *'
   };
 
+  // Jenkins spreads its macros across the period with H
+  const HASHED_SPECIAL_STRINGS = {
+    '@yearly': 'H H H H *',
+    '@annually': 'H H H H *',
+    '@monthly': 'H H H * *',
+    '@weekly': 'H H * * H',
+    '@daily': 'H H * * *',
+    '@midnight': 'H H(0-2) * * *',
+    '@hourly': 'H * * * *'
+  };
+
+  const SECOND_MS = 1000;
+  const MINUTE_MS = 60000;
+  const HOUR_MS = 3600000;
+  const DAY_MS = 86400000;
+
+  // One full Gregorian cycle: a schedule with no match in 400 years never matches
+  const MAX_SEARCH_YEARS = 400;
+
+  // Vixie cron and cronie only apply DST catch-up/skip rules to clock changes under 3 hours
+  const MAX_DST_SHIFT_MINUTES = 180;
+
   // ============================================
   // Parsing Functions
   // ============================================
 
-  function normalizeExpression(expr) {
-    expr = expr.trim().toLowerCase();
+  function getFieldRange(fieldName, dialect) {
+    if (fieldName === 'dayOfWeek') {
+      return { min: dialect.dayOfWeekBase, max: 7 };
+    }
+    if (fieldName === 'year') {
+      return { min: FIELD_RANGES.year.min, max: dialect.maxYear };
+    }
+    return FIELD_RANGES[fieldName];
+  }
+
+  function splitExpression(expr, dialect) {
+    // Returns the field texts keyed by field name, after unwrapping cron(...) and macros
+    let text = expr.trim();
     
-    // Handle special strings
-    if (SPECIAL_STRINGS[expr]) {
-      return SPECIAL_STRINGS[expr];
+    if (dialect.wrapper) {
+      const wrapped = text.match(/^cron\((.*)\)$/i);
+      if (wrapped) text = wrapped[1].trim();
     }
     
-    // Replace month names with numbers
-    MONTH_ABBR.forEach((abbr, idx) => {
-      if (idx > 0) {
-        expr = expr.replace(new RegExp('\\b' + abbr.toLowerCase() + '\\b', 'gi'), idx.toString());
+    if (text.startsWith('@')) {
+      const macro = text.toLowerCase();
+      if (!dialect.macros) {
+        throw new Error(`${dialect.name} does not support special strings such as ${macro}`);
+      }
+      if (macro === '@reboot') {
+        throw new Error('@reboot runs once at startup and has no schedule to calculate');
+      }
+      const macros = dialect.hash ? HASHED_SPECIAL_STRINGS : SPECIAL_STRINGS;
+      if (!macros[macro]) {
+        throw new Error(`Unknown special string "${text}"`);
       }
+      text = (dialect.fields[0] === 'second' ? '0 ' : '') + macros[macro];
+    }
+    
+    const parts = text.toUpperCase().split(/\s+/);
+    const required = dialect.fields.length - dialect.optionalFields;
+    if (parts.length < required || parts.length > dialect.fields.length) {
+      const expected = dialect.optionalFields > 0 ? `${required} or ${dialect.fields.length}` : `${required}`;
+      const format = dialect.fields.map(name => FIELD_LABELS[name].toLowerCase().replace(/ /g, '-')).join(' ');
+      throw new Error(`Expected ${expected} fields, got ${parts.length}. Format: ${format}`);
+    }
+    
+    const fields = {};
+    parts.forEach((part, idx) => {
+      fields[dialect.fields[idx]] = part;
     });
+    return fields;
+  }
+
+  function toDayOfWeek(value, dialect) {
+    // Internally Sunday is always 0
+    return dialect.dayOfWeekBase === 0 ? value % 7 : value - 1;
+  }
+
+  function fieldError(message, fieldName, position, length = 1) {
+    // Carries the field and the 1-based character it points at, so the UI can highlight it
+    const error = new Error(`${message} in the ${FIELD_LABELS[fieldName].toLowerCase()} field at character ${position}`);
+    error.field = fieldName;
+    error.position = position;
+    error.length = length;
+    return error;
+  }
+
+  function nameValue(name, fieldName, dialect) {
+    // Month and day names in the dialect's own numbering, or null
+    if (fieldName === 'month') {
+      const idx = MONTH_ABBR.indexOf(name);
+      return idx > 0 ? idx : null;
+    }
+    if (fieldName === 'dayOfWeek') {
+      const idx = DAY_ABBR.indexOf(name);
+      return idx >= 0 ? idx + dialect.dayOfWeekBase : null;
+    }
+    return null;
+  }
+
+  function tokenizeField(field, fieldName, dialect) {
+    // Numbers, names, the L/LW/W/H letters and punctuation, each with its 1-based position
+    const tokens = [];
+    let i = 0;
+    
+    while (i < field.length) {
+      const rest = field.slice(i);
+      const position = i + 1;
+      const number = rest.match(/^\d+/);
+      const word = rest.match(/^[A-Z]+/);
+      
+      if (number) {
+        tokens.push({ type: 'number', value: parseInt(number[0], 10), text: number[0], position });
+        i += number[0].length;
+      } else if (word) {
+        // A run of letters is one word; only "FRIL" puts a name straight before another letter
+        const isName = word[0].length === 3 || (word[0].length === 4 && word[0].endsWith('L'));
+        const value = isName ? nameValue(word[0].slice(0, 3), fieldName, dialect) : null;
+        if (value !== null) {
+          tokens.push({ type: 'number', value, text: word[0].slice(0, 3), position });
+          i += 3;
+        } else if (['L', 'LW', 'W', 'H'].includes(word[0])) {
+          tokens.push({ type: word[0], text: word[0], position });
+          i += word[0].length;
+        } else {
+          const message = fieldName === 'month' || fieldName === 'dayOfWeek' ? 'Unknown name' : 'Unexpected name';
+          throw fieldError(`${message} "${word[0]}"`, fieldName, position, word[0].length);
+        }
+      } else if ('*?/-,#()'.includes(rest[0])) {
+        tokens.push({ type: rest[0], text: rest[0], position });
+        i += 1;
+      } else {
+        throw fieldError(`Unexpected character "${rest[0]}"`, fieldName, position);
+      }
+    }
+    
+    return tokens;
+  }
+
+  function md5(bytes) {
+    // RFC 1321 digest of a byte array
+    const K = [
+      0xd76aa478, 0xe8c7b756, 0x242070db, 0xc1bdceee, 0xf57c0faf, 0x4787c62a, 0xa8304613, 0xfd469501,
+      0x698098d8, 0x8b44f7af, 0xffff5bb1, 0x895cd7be, 0x6b901122, 0xfd987193, 0xa679438e, 0x49b40821,
+      0xf61e2562, 0xc040b340, 0x265e5a51, 0xe9b6c7aa, 0xd62f105d, 0x02441453, 0xd8a1e681, 0xe7d3fbc8,
+      0x21e1cde6, 0xc33707d6, 0xf4d50d87, 0x455a14ed, 0xa9e3e905, 0xfcefa3f8, 0x676f02d9, 0x8d2a4c8a,
+      0xfffa3942, 0x8771f681, 0x6d9d6122, 0xfde5380c, 0xa4beea44, 0x4bdecfa9, 0xf6bb4b60, 0xbebfbc70,
+      0x289b7ec6, 0xeaa127fa, 0xd4ef3085, 0x04881d05, 0xd9d4d039, 0xe6db99e5, 0x1fa27cf8, 0xc4ac5665,
+      0xf4292244, 0x432aff97, 0xab9423a7, 0xfc93a039, 0x655b59c3, 0x8f0ccc92, 0xffeff47d, 0x85845dd1,
+      0x6fa87e4f, 0xfe2ce6e0, 0xa3014314, 0x4e0811a1, 0xf7537e82, 0xbd3af235, 0x2ad7d2bb, 0xeb86d391
+    ];
+    const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
     
-    // Replace day names with numbers
-    DAY_ABBR.forEach((abbr, idx) => {
-      if (idx < 7) {
-        expr = expr.replace(new RegExp('\\b' + abbr.toLowerCase() + '\\b', 'gi'), idx.toString());
+    const padded = new Uint8Array(Math.ceil((bytes.length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, (bytes.length * 8) >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(bytes.length / 0x20000000), true);
+    
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    for (let offset = 0; offset < padded.length; offset += 64) {
+      let [a, b, c, d] = state;
+      for (let i = 0; i < 64; i++) {
+        let f, g;
+        if (i < 16) { f = (b & c) | (~b & d); g = i; }
+        else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+        else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+        else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+        const sum = (a + f + K[i] + view.getUint32(offset + g * 4, true)) | 0;
+        const shift = S[(i >> 4) * 4 + (i % 4)];
+        a = d;
+        d = c;
+        c = b;
+        b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
       }
-    });
+      state[0] = (state[0] + a) | 0;
+      state[1] = (state[1] + b) | 0;
+      state[2] = (state[2] + c) | 0;
+      state[3] = (state[3] + d) | 0;
+    }
     
-    return expr;
+    const digest = new Uint8Array(16);
+    const out = new DataView(digest.buffer);
+    state.forEach((word, i) => out.setUint32(i * 4, word >>> 0, true));
+    return digest;
+  }
+
+  function createSeedHash(seed) {
+    // Jenkins picks H values with java.util.Random, seeded from the MD5 of the job name
+    // folded to 64 bits. Without a seed every H takes the lowest value, as in Jenkins.
+    if (!seed) return () => 0;
+    
+    const digest = md5(new TextEncoder().encode(seed));
+    for (let i = 8; i < digest.length; i++) digest[i % 8] ^= digest[i];
+    let long = 0n;
+    for (let i = 0; i < 8; i++) long = (long << 8n) | BigInt(digest[i]);
+    
+    const MULTIPLIER = 0x5DEECE66Dn;
+    const MASK = (1n << 48n) - 1n;
+    let state = (long ^ MULTIPLIER) & MASK;
+    const next31 = () => {
+      state = (state * MULTIPLIER + 0xBn) & MASK;
+      return Number(state >> 17n);
+    };
+    
+    // Random.nextInt(bound)
+    return bound => {
+      if ((bound & -bound) === bound) return Number((BigInt(bound) * BigInt(next31())) >> 31n);
+      let bits, value;
+      do {
+        bits = next31();
+        value = bits % bound;
+      } while (bits - value + (bound - 1) > 0x7fffffff);
+      return value;
+    };
   }
 
-  function parseField(field, fieldName) {
-    const range = FIELD_RANGES[fieldName];
+  function parseField(field, fieldName, dialect = DIALECTS.vixie, hash = null) {
+    const range = getFieldRange(fieldName, dialect);
     const values = new Set();
+    const special = [];
+    const isDayField = fieldName === 'dayOfMonth' || fieldName === 'dayOfWeek';
+    // Sunday appears once when counting through the week
+    const last = fieldName === 'dayOfWeek' ? range.min + 6 : range.max;
+    const cycle = last - range.min + 1;
+    const add = value => values.add(fieldName === 'dayOfWeek' ? toDayOfWeek(value, dialect) : value);
+    
+    // "?" means no restriction on this day field
+    if (field === '?') {
+      if (!dialect.extensions) {
+        throw fieldError(`"?" is not supported by ${dialect.name}`, fieldName, 1);
+      }
+      if (!isDayField) {
+        throw fieldError('"?" is only allowed in the day-of-month and day-of-week fields, not', fieldName, 1);
+      }
+    }
     
     // Handle wildcard
-    if (field === '*') {
+    if (field === '*' || field === '?') {
       for (let i = range.min; i <= range.max; i++) {
-        // For dayOfWeek, don't add 7 (duplicate of 0)
-        if (fieldName === 'dayOfWeek' && i === 7) continue;
-        values.add(i);
+        add(i);
       }
-      return { values: Array.from(values).sort((a, b) => a - b), isWildcard: true };
+      return {
+        values: Array.from(values).sort((a, b) => a - b),
+        isWildcard: true,
+        starred: true,
+        unspecified: field === '?',
+        special: special
+      };
     }
     
-    // Split by comma for lists
-    const parts = field.split(',');
+    const tokens = tokenizeField(field, fieldName, dialect);
+    let pos = 0;
+    let hashed = false;
+    let wrapped = false;
+    const peek = type => tokens[pos] && tokens[pos].type === type;
+    const fail = (message, token) => token
+      ? fieldError(message, fieldName, token.position, token.text.length)
+      : fieldError(message, fieldName, field.length + 1);
+    const unexpected = expected => {
+      const token = tokens[pos];
+      return fail(token ? `Expected ${expected} but found "${token.text}"` : `Expected ${expected} after "${field}"`, token);
+    };
+    const noExtensions = token => fail(`${dialect.name} has no L, W or # forms`, token);
+    
+    const readValue = () => {
+      const token = tokens[pos];
+      if (!token || token.type !== 'number') throw unexpected('a number');
+      pos++;
+      if (token.value < range.min || token.value > range.max) {
+        throw fail(`Value ${token.text} is out of range ${range.min}-${range.max}`, token);
+      }
+      return token;
+    };
+    
+    const readStep = () => {
+      pos++;
+      const token = tokens[pos];
+      if (!token || token.type !== 'number') throw unexpected('a step after "/"');
+      pos++;
+      if (token.value === 0) throw fail('Step must be 1 or more', token);
+      return token;
+    };
     
-    for (const part of parts) {
-      // Handle step values (e.g., */5 or 1-10/2)
-      if (part.includes('/')) {
-        const [rangeStr, stepStr] = part.split('/');
-        const step = parseInt(stepStr, 10);
-        
-        if (isNaN(step) || step <= 0) {
-          throw new Error(`Invalid step value "${stepStr}" in field "${fieldName}"`);
+    const addRange = (start, end, stepToken, rangeToken) => {
+      // Reversed ranges wrap past the end of the field where the dialect allows it
+      let count = end - start + 1;
+      if (end < start) {
+        if (!dialect.wrapRanges || fieldName === 'year') {
+          throw fail(`Range ${start}-${end} runs backwards; ${dialect.name} needs the smaller value first`, rangeToken);
         }
-        
-        let start, end;
-        if (rangeStr === '*') {
-          start = range.min;
-          end = range.max;
-        } else if (rangeStr.includes('-')) {
-          [start, end] = rangeStr.split('-').map(n => parseInt(n, 10));
-        } else {
-          start = parseInt(rangeStr, 10);
-          end = range.max;
+        count = end + cycle - start + 1;
+        wrapped = true;
+      }
+      const step = stepToken ? stepToken.value : 1;
+      for (let i = 0; i < count; i += step) {
+        const value = start + i;
+        add(value > range.max || (end < start && value > last) ? value - cycle : value);
+      }
+    };
+    
+    const readTerm = () => {
+      const token = tokens[pos];
+      if (!token) throw unexpected('a value');
+      
+      if (token.type === '*') {
+        pos++;
+        const step = peek('/') ? readStep() : null;
+        addRange(range.min, last, step, token);
+        return;
+      }
+      
+      if (token.type === 'H') {
+        // Jenkins hash: H, H/step, H(low-high) or H(low-high)/step
+        if (!dialect.hash) throw fail(`"H" is Jenkins syntax and not supported by ${dialect.name}`, token);
+        pos++;
+        let low = range.min;
+        let high = fieldName === 'dayOfMonth' ? 28 : last;
+        if (peek('(')) {
+          pos++;
+          low = readValue().value;
+          if (!peek('-')) throw unexpected('"-" in H(low-high)');
+          pos++;
+          const highToken = readValue();
+          high = highToken.value;
+          if (high < low) throw fail(`Range ${low}-${high} in H(...) runs backwards`, highToken);
+          if (!peek(')')) throw unexpected('")"');
+          pos++;
         }
-        
-        for (let i = start; i <= end; i += step) {
-          if (i >= range.min && i <= range.max) {
-            // Normalize day of week 7 to 0
-            if (fieldName === 'dayOfWeek' && i === 7) {
-              values.add(0);
-            } else {
-              values.add(i);
-            }
-          }
+        const stepToken = peek('/') ? readStep() : null;
+        const step = stepToken ? stepToken.value : 1;
+        if (step > high - low + 1) throw fail(`Step ${step} is larger than the range ${low}-${high}`, stepToken);
+        if (step > 1) {
+          for (let value = low + hash(step); value <= high; value += step) add(value);
+        } else {
+          add(low + hash(high - low + 1));
         }
+        hashed = true;
+        return;
       }
-      // Handle ranges (e.g., 1-5)
-      else if (part.includes('-')) {
-        const [startStr, endStr] = part.split('-');
-        const start = parseInt(startStr, 10);
-        const end = parseInt(endStr, 10);
-        
-        if (isNaN(start) || isNaN(end)) {
-          throw new Error(`Invalid range "${part}" in field "${fieldName}"`);
-        }
-        
-        for (let i = start; i <= end; i++) {
-          if (i >= range.min && i <= range.max) {
-            if (fieldName === 'dayOfWeek' && i === 7) {
-              values.add(0);
-            } else {
-              values.add(i);
-            }
+      
+      if (token.type === 'L' || token.type === 'LW') {
+        if (!dialect.extensions) throw noExtensions(token);
+        pos++;
+        if (fieldName === 'dayOfMonth') {
+          if (token.type === 'LW') {
+            special.push({ type: 'lastWeekday' });
+          } else if (peek('-')) {
+            pos++;
+            const offset = tokens[pos];
+            if (!offset || offset.type !== 'number') throw unexpected('an offset after "L-"');
+            pos++;
+            if (offset.value > 30) throw fail(`Offset ${offset.value} must be 30 or less`, offset);
+            special.push({ type: 'last', offset: offset.value });
+          } else {
+            special.push({ type: 'last', offset: 0 });
           }
+        } else if (fieldName === 'dayOfWeek' && token.type === 'L' && dialect.dayOfWeekBase === 1) {
+          // On its own, L in Quartz and EventBridge day-of-week means Saturday
+          add(7);
+        } else {
+          throw fail(`"${token.text}" is only allowed in the day-of-month field`, token);
         }
+        return;
       }
-      // Handle single values
-      else {
-        const val = parseInt(part, 10);
-        if (isNaN(val)) {
-          throw new Error(`Invalid value "${part}" in field "${fieldName}"`);
-        }
-        if (val < range.min || val > range.max) {
-          throw new Error(`Value ${val} out of range for field "${fieldName}" (${range.min}-${range.max})`);
-        }
-        if (fieldName === 'dayOfWeek' && val === 7) {
-          values.add(0);
+      
+      const start = readValue();
+      
+      if (peek('W') || peek('L') || peek('#')) {
+        const suffix = tokens[pos];
+        if (!dialect.extensions) throw noExtensions(suffix);
+        pos++;
+        if (suffix.type === 'W' && fieldName === 'dayOfMonth') {
+          special.push({ type: 'nearestWeekday', day: start.value });
+        } else if (suffix.type === 'L' && fieldName === 'dayOfWeek') {
+          special.push({ type: 'lastOf', day: toDayOfWeek(start.value, dialect) });
+        } else if (suffix.type === '#' && fieldName === 'dayOfWeek') {
+          const n = tokens[pos];
+          if (!n || n.type !== 'number') throw unexpected('an occurrence after "#"');
+          pos++;
+          if (n.value < 1 || n.value > 5) throw fail(`Occurrence ${n.value} must be 1-5`, n);
+          special.push({ type: 'nth', day: toDayOfWeek(start.value, dialect), n: n.value });
         } else {
-          values.add(val);
+          throw fail(`"${suffix.text}" cannot follow a value in this field`, suffix);
         }
+        return;
+      }
+      
+      if (peek('-')) {
+        const dash = tokens[pos];
+        pos++;
+        const end = readValue();
+        const step = peek('/') ? readStep() : null;
+        addRange(start.value, end.value, step, dash);
+        return;
       }
+      
+      if (peek('/')) {
+        // Quartz-style "5/15" steps from 5 to the end of the field
+        const step = readStep();
+        addRange(start.value, Math.max(start.value, last), step, start);
+        return;
+      }
+      
+      add(start.value);
+    };
+    
+    readTerm();
+    while (pos < tokens.length) {
+      if (!peek(',')) throw unexpected('"," or the end of the field');
+      pos++;
+      readTerm();
     }
     
-    return { values: Array.from(values).sort((a, b) => a - b), isWildcard: false };
+    // Like Vixie cron's *_STAR flags, "*/5" counts as starred even though it is not a wildcard
+    return {
+      values: Array.from(values).sort((a, b) => a - b),
+      isWildcard: false,
+      starred: field.startsWith('*'),
+      unspecified: false,
+      hashed: hashed,
+      wrapped: wrapped,
+      special: special
+    };
   }
 
-  function parseCronExpression(expr) {
-    const normalized = normalizeExpression(expr);
-    const parts = normalized.split(/\s+/);
+  function parseCronExpression(expr, dialectKey = 'vixie', options = {}) {
+    const dialect = DIALECTS[dialectKey];
+    const text = splitExpression(expr, dialect);
+    // Jenkins draws H values from one sequence, field by field
+    const hash = dialect.hash ? createSeedHash(options.seed) : null;
+    
+    const parsed = { dialect: dialectKey, text: text, second: null, year: null };
+    dialect.fields.forEach(name => {
+      if (text[name] !== undefined) {
+        parsed[name] = parseField(text[name], name, dialect, hash);
+      }
+    });
     
-    if (parts.length !== 5) {
-      throw new Error(`Expected 5 fields, got ${parts.length}. Format: minute hour day-of-month month day-of-week`);
+    // Minute-resolution dialects fire at second 0
+    if (!parsed.second) {
+      parsed.second = { values: [0], isWildcard: false, starred: false, unspecified: false, special: [] };
     }
     
-    const parsed = {};
-    FIELD_NAMES.forEach((name, idx) => {
-      parsed[name] = parseField(parts[idx], name);
-    });
+    if (dialect.requireQuestion && parsed.dayOfMonth.unspecified === parsed.dayOfWeek.unspecified) {
+      throw new Error(`${dialect.name} needs "?" in exactly one of the day-of-month and day-of-week fields`);
+    }
     
     return parsed;
   }
 
+  function getDayMatching(parsed) {
+    // Returns 'any', 'dayOfMonth', 'dayOfWeek', 'either' or 'both'
+    const domRestricted = !parsed.dayOfMonth.isWildcard;
+    const dowRestricted = !parsed.dayOfWeek.isWildcard;
+    
+    if (!domRestricted && !dowRestricted) return 'any';
+    if (!dowRestricted) return 'dayOfMonth';
+    if (!domRestricted) return 'dayOfWeek';
+    
+    // Vixie cron and cronie AND the day fields when either one starts with "*"
+    if (DIALECTS[parsed.dialect].dayMatching === 'either' &&
+        !parsed.dayOfMonth.starred && !parsed.dayOfWeek.starred) {
+      return 'either';
+    }
+    return 'both';
+  }
+
   // ============================================
   // Description Generation
   // ============================================
 
-  function describeField(field, fieldName, parsed) {
-    const { values, isWildcard } = field;
-    
-    if (isWildcard) {
-      switch (fieldName) {
-        case 'minute': return 'every minute';
-        case 'hour': return 'every hour';
-        case 'dayOfMonth': return 'every day';
-        case 'month': return 'every month';
-        case 'dayOfWeek': return 'every day of the week';
+  // Each locale pack fills {placeholders} in its templates. The One, Range and List variants
+  // are picked by the shape of the field. Terse mode uses short names and lays
+  // TERSE_TEMPLATES and the pack's own terse entries over the verbose set.
+  const DESCRIPTION_LOCALES = {
+    en: {
+      name: 'English',
+      months: MONTH_NAMES,
+      monthsShort: MONTH_ABBR.map(name => name.charAt(0) + name.slice(1).toLowerCase()),
+      days: DAY_NAMES.slice(0, 7),
+      daysShort: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+      meridiem: ['AM', 'PM'],
+      ordinal: n => ordinal(n),
+      nth: n => ordinal(n),
+      verbose: {
+        and: ' and ',
+        separator: ' ',
+        end: '.',
+        range: '{start} through {end}',
+        every: {
+          second: 'every second', minute: 'every minute', hour: 'every hour', dayOfMonth: 'every day',
+          month: 'every month', dayOfWeek: 'every day of the week', year: 'every year'
+        },
+        unit: { second: ['second {values}', 'seconds {values}'], minute: ['minute {values}', 'minutes {values}'] },
+        everyMinute: 'every minute',
+        minuteStep: 'every {n} minutes',
+        minuteOne: 'at minute {value} past the hour',
+        minuteRange: 'every minute from {start} through {end} past the hour',
+        minuteList: 'at minutes {values} past the hour',
+        at: 'at {times}',
+        hourStep: 'every {n} hours',
+        hourOne: '{minutes} during the {value} hour',
+        hourRange: '{minutes} from {start} to {end}',
+        hourList: '{minutes} during the {values} hours',
+        hourStepAt: 'every {n} hours at minute {value}',
+        withHours: '{minutes}, {hours}',
+        everySecond: 'every second',
+        secondStep: 'every {n} seconds',
+        secondOne: 'at second {value}',
+        secondRange: 'every second from {start} through {end}',
+        secondList: 'at seconds {values}',
+        withSeconds: '{time}, {seconds}',
+        dayStep: 'every {nth} day of the month',
+        domOne: 'on the {value}',
+        domRange: 'on the {start} through the {end}',
+        domList: 'on the {values}',
+        dowOne: 'on {value}',
+        dowRange: 'on {start} through {end}',
+        dowList: 'on {values}',
+        weekdays: 'on weekdays',
+        weekends: 'on weekends',
+        onSpecial: 'on {days}',
+        last: 'the last day of the month',
+        lastOffsetOne: 'the second-to-last day of the month',
+        lastOffset: 'the day {n} days before the last day of the month',
+        lastWeekday: 'the last weekday of the month',
+        nearestWeekday: 'the weekday nearest the {day}',
+        lastOf: 'the last {weekday} of the month',
+        nth: 'the {nth} {weekday} of the month',
+        either: '{dom} and {dow}',
+        both: '{dom}, but only {dow}',
+        monthOne: 'in {value}',
+        monthRange: 'from {start} through {end}',
+        monthList: 'in {values}',
+        yearOne: 'in {value}',
+        yearRange: 'from {start} through {end}',
+        yearList: 'in {values}'
+      },
+      terse: {
+        everyMinute: 'every min',
+        minuteStep: 'every {n} min',
+        minuteOne: 'minute {value}',
+        minuteRange: 'minutes {start}–{end}',
+        minuteList: 'minutes {values}',
+        hourStep: 'every {n} h',
+        hourList: '{minutes}, hours {values}',
+        hourStepAt: 'every {n} h, minute {value}',
+        everySecond: 'every sec',
+        secondStep: 'every {n} sec',
+        secondOne: 'second {value}',
+        secondRange: 'seconds {start}–{end}',
+        secondList: 'seconds {values}',
+        dayStep: 'every {n} days',
+        domOne: 'day {value}',
+        domRange: 'days {start}–{end}',
+        domList: 'days {values}',
+        weekdays: 'weekdays',
+        weekends: 'weekends',
+        last: 'last day',
+        lastOffsetOne: 'last day −1',
+        lastOffset: 'last day −{n}',
+        lastWeekday: 'last weekday',
+        nearestWeekday: 'weekday nearest {day}',
+        lastOf: 'last {weekday}',
+        nth: '{nth} {weekday}',
+        either: '{dom} or {dow}',
+        both: '{dom} if {dow}'
+      }
+    },
+    de: {
+      name: 'Deutsch',
+      months: ['', 'Januar', 'Februar', 'März', 'April', 'Mai', 'Juni',
+               'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember'],
+      monthsShort: ['', 'Jan', 'Feb', 'Mär', 'Apr', 'Mai', 'Jun', 'Jul', 'Aug', 'Sep', 'Okt', 'Nov', 'Dez'],
+      days: ['Sonntag', 'Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag'],
+      daysShort: ['So', 'Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa'],
+      meridiem: ['vorm.', 'nachm.'],
+      ordinal: n => `${n}.`,
+      nth: n => `${n}.`,
+      verbose: {
+        and: ' und ',
+        separator: ' ',
+        end: '.',
+        range: '{start} bis {end}',
+        every: {
+          second: 'jede Sekunde', minute: 'jede Minute', hour: 'jede Stunde', dayOfMonth: 'jeden Tag',
+          month: 'jeden Monat', dayOfWeek: 'jeden Wochentag', year: 'jedes Jahr'
+        },
+        unit: { second: ['Sekunde {values}', 'Sekunden {values}'], minute: ['Minute {values}', 'Minuten {values}'] },
+        everyMinute: 'jede Minute',
+        minuteStep: 'alle {n} Minuten',
+        minuteOne: 'zur Minute {value} jeder Stunde',
+        minuteRange: 'jede Minute von Minute {start} bis {end} jeder Stunde',
+        minuteList: 'zu den Minuten {values} jeder Stunde',
+        at: 'um {times}',
+        hourStep: 'alle {n} Stunden',
+        hourOne: '{minutes} in der Stunde ab {value}',
+        hourRange: '{minutes} von {start} bis {end}',
+        hourList: '{minutes} in den Stunden ab {values}',
+        hourStepAt: 'alle {n} Stunden zur Minute {value}',
+        withHours: '{minutes}, {hours}',
+        everySecond: 'jede Sekunde',
+        secondStep: 'alle {n} Sekunden',
+        secondOne: 'in Sekunde {value}',
+        secondRange: 'jede Sekunde von {start} bis {end}',
+        secondList: 'in den Sekunden {values}',
+        withSeconds: '{time}, {seconds}',
+        dayStep: 'jeden {nth} Tag des Monats',
+        domOne: 'am {value}',
+        domRange: 'vom {start} bis {end}',
+        domList: 'am {values}',
+        dowOne: 'am {value}',
+        dowRange: 'von {start} bis {end}',
+        dowList: 'am {values}',
+        weekdays: 'werktags',
+        weekends: 'am Wochenende',
+        onSpecial: 'am {days}',
+        last: 'letzten Tag des Monats',
+        lastOffsetOne: 'vorletzten Tag des Monats',
+        lastOffset: 'Monatsletzten minus {n} Tage',
+        lastWeekday: 'letzten Werktag des Monats',
+        nearestWeekday: 'Werktag, der dem {day} am nächsten liegt',
+        lastOf: 'letzten {weekday} des Monats',
+        nth: '{nth} {weekday} des Monats',
+        either: '{dom} und {dow}',
+        both: '{dom}, aber nur {dow}',
+        monthOne: 'im {value}',
+        monthRange: 'von {start} bis {end}',
+        monthList: 'im {values}',
+        yearOne: 'im Jahr {value}',
+        yearRange: 'von {start} bis {end}',
+        yearList: 'in den Jahren {values}'
+      },
+      terse: {
+        everyMinute: 'jede Min.',
+        minuteStep: 'alle {n} Min.',
+        minuteOne: 'Minute {value}',
+        minuteRange: 'Minuten {start}–{end}',
+        minuteList: 'Minuten {values}',
+        hourStep: 'alle {n} Std.',
+        hourList: '{minutes}, Stunden {values}',
+        hourStepAt: 'alle {n} Std., Minute {value}',
+        everySecond: 'jede Sek.',
+        secondStep: 'alle {n} Sek.',
+        secondOne: 'Sekunde {value}',
+        secondRange: 'Sekunden {start}–{end}',
+        secondList: 'Sekunden {values}',
+        dayStep: 'alle {n} Tage',
+        domOne: 'Tag {value}',
+        domRange: 'Tage {start}–{end}',
+        domList: 'Tage {values}',
+        weekdays: 'Mo–Fr',
+        weekends: 'Sa, So',
+        last: 'letzter Tag',
+        lastOffsetOne: 'letzter Tag −1',
+        lastOffset: 'letzter Tag −{n}',
+        lastWeekday: 'letzter Werktag',
+        nearestWeekday: 'Werktag nahe {day}',
+        lastOf: 'letzter {weekday}',
+        nth: '{nth} {weekday}',
+        either: '{dom} oder {dow}',
+        both: '{dom}, wenn {dow}'
+      }
+    },
+    fr: {
+      name: 'Français',
+      months: ['', 'janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+               'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+      monthsShort: ['', 'janv.', 'févr.', 'mars', 'avr.', 'mai', 'juin', 'juil.', 'août', 'sept.', 'oct.', 'nov.', 'déc.'],
+      days: ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'],
+      daysShort: ['dim.', 'lun.', 'mar.', 'mer.', 'jeu.', 'ven.', 'sam.'],
+      meridiem: ['AM', 'PM'],
+      ordinal: n => n === 1 ? '1er' : `${n}`,
+      nth: n => n === 1 ? '1er' : `${n}e`,
+      verbose: {
+        and: ' et ',
+        separator: ' ',
+        end: '.',
+        range: '{start} à {end}',
+        every: {
+          second: 'chaque seconde', minute: 'chaque minute', hour: 'chaque heure', dayOfMonth: 'chaque jour',
+          month: 'chaque mois', dayOfWeek: 'chaque jour de la semaine', year: 'chaque année'
+        },
+        unit: { second: ['seconde {values}', 'secondes {values}'], minute: ['minute {values}', 'minutes {values}'] },
+        everyMinute: 'chaque minute',
+        minuteStep: 'toutes les {n} minutes',
+        minuteOne: 'à la minute {value} de chaque heure',
+        minuteRange: 'chaque minute de la minute {start} à {end} de chaque heure',
+        minuteList: 'aux minutes {values} de chaque heure',
+        at: 'à {times}',
+        hourStep: 'toutes les {n} heures',
+        hourOne: '{minutes} pendant l’heure de {value}',
+        hourRange: '{minutes} de {start} à {end}',
+        hourList: '{minutes} pendant les heures de {values}',
+        hourStepAt: 'toutes les {n} heures à la minute {value}',
+        withHours: '{minutes}, {hours}',
+        everySecond: 'chaque seconde',
+        secondStep: 'toutes les {n} secondes',
+        secondOne: 'à la seconde {value}',
+        secondRange: 'chaque seconde de {start} à {end}',
+        secondList: 'aux secondes {values}',
+        withSeconds: '{time}, {seconds}',
+        dayStep: 'tous les {n} jours',
+        domOne: 'le {value}',
+        domRange: 'du {start} au {end}',
+        domList: 'les {values}',
+        dowOne: 'le {value}',
+        dowRange: 'du {start} au {end}',
+        dowList: 'le {values}',
+        weekdays: 'en semaine',
+        weekends: 'le week-end',
+        onSpecial: '{days}',
+        last: 'le dernier jour du mois',
+        lastOffsetOne: 'l’avant-dernier jour du mois',
+        lastOffset: '{n} jours avant le dernier jour du mois',
+        lastWeekday: 'le dernier jour ouvré du mois',
+        nearestWeekday: 'le jour ouvré le plus proche du {day}',
+        lastOf: 'le dernier {weekday} du mois',
+        nth: 'le {nth} {weekday} du mois',
+        either: '{dom} et {dow}',
+        both: '{dom}, mais seulement {dow}',
+        monthOne: 'en {value}',
+        monthRange: 'entre {start} et {end}',
+        monthList: 'en {values}',
+        yearOne: 'en {value}',
+        yearRange: 'de {start} à {end}',
+        yearList: 'en {values}'
+      },
+      terse: {
+        everyMinute: 'chaque min',
+        minuteStep: 'toutes les {n} min',
+        minuteOne: 'minute {value}',
+        minuteRange: 'minutes {start}–{end}',
+        minuteList: 'minutes {values}',
+        hourStep: 'toutes les {n} h',
+        hourList: '{minutes}, heures {values}',
+        hourStepAt: 'toutes les {n} h, minute {value}',
+        everySecond: 'chaque s',
+        secondStep: 'toutes les {n} s',
+        secondOne: 'seconde {value}',
+        secondRange: 'secondes {start}–{end}',
+        secondList: 'secondes {values}',
+        dayStep: 'tous les {n} j',
+        domOne: 'jour {value}',
+        domRange: 'jours {start}–{end}',
+        domList: 'jours {values}',
+        weekdays: 'lun.–ven.',
+        weekends: 'week-end',
+        last: 'dernier jour',
+        lastOffsetOne: 'dernier jour −1',
+        lastOffset: 'dernier jour −{n}',
+        lastWeekday: 'dernier jour ouvré',
+        nearestWeekday: 'jour ouvré proche du {day}',
+        lastOf: 'dernier {weekday}',
+        nth: '{nth} {weekday}',
+        either: '{dom} ou {dow}',
+        both: '{dom} si {dow}'
+      }
+    },
+    es: {
+      name: 'Español',
+      months: ['', 'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio',
+               'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+      monthsShort: ['', 'ene', 'feb', 'mar', 'abr', 'may', 'jun', 'jul', 'ago', 'sept', 'oct', 'nov', 'dic'],
+      days: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+      daysShort: ['dom', 'lun', 'mar', 'mié', 'jue', 'vie', 'sáb'],
+      meridiem: ['a. m.', 'p. m.'],
+      ordinal: n => `${n}`,
+      nth: n => ['primer', 'segundo', 'tercer', 'cuarto', 'quinto'][n - 1] || `${n}.º`,
+      verbose: {
+        and: ' y ',
+        separator: ' ',
+        end: '.',
+        range: '{start} a {end}',
+        every: {
+          second: 'cada segundo', minute: 'cada minuto', hour: 'cada hora', dayOfMonth: 'cada día',
+          month: 'cada mes', dayOfWeek: 'cada día de la semana', year: 'cada año'
+        },
+        unit: { second: ['segundo {values}', 'segundos {values}'], minute: ['minuto {values}', 'minutos {values}'] },
+        everyMinute: 'cada minuto',
+        minuteStep: 'cada {n} minutos',
+        minuteOne: 'en el minuto {value} de cada hora',
+        minuteRange: 'cada minuto del minuto {start} al {end} de cada hora',
+        minuteList: 'en los minutos {values} de cada hora',
+        at: 'a las {times}',
+        hourStep: 'cada {n} horas',
+        hourOne: '{minutes} durante la hora de las {value}',
+        hourRange: '{minutes} de {start} a {end}',
+        hourList: '{minutes} durante las horas de las {values}',
+        hourStepAt: 'cada {n} horas en el minuto {value}',
+        withHours: '{minutes}, {hours}',
+        everySecond: 'cada segundo',
+        secondStep: 'cada {n} segundos',
+        secondOne: 'en el segundo {value}',
+        secondRange: 'cada segundo del {start} al {end}',
+        secondList: 'en los segundos {values}',
+        withSeconds: '{time}, {seconds}',
+        dayStep: 'cada {n} días',
+        domOne: 'el día {value}',
+        domRange: 'del día {start} al {end}',
+        domList: 'los días {values}',
+        dowOne: 'el {value}',
+        dowRange: 'de {start} a {end}',
+        dowList: 'el {values}',
+        weekdays: 'de lunes a viernes',
+        weekends: 'los fines de semana',
+        onSpecial: '{days}',
+        last: 'el último día del mes',
+        lastOffsetOne: 'el penúltimo día del mes',
+        lastOffset: '{n} días antes del último día del mes',
+        lastWeekday: 'el último día laborable del mes',
+        nearestWeekday: 'el día laborable más cercano al día {day}',
+        lastOf: 'el último {weekday} del mes',
+        nth: 'el {nth} {weekday} del mes',
+        either: '{dom} y {dow}',
+        both: '{dom}, pero solo {dow}',
+        monthOne: 'en {value}',
+        monthRange: 'de {start} a {end}',
+        monthList: 'en {values}',
+        yearOne: 'en {value}',
+        yearRange: 'de {start} a {end}',
+        yearList: 'en {values}'
+      },
+      terse: {
+        everyMinute: 'cada min',
+        minuteStep: 'cada {n} min',
+        minuteOne: 'minuto {value}',
+        minuteRange: 'minutos {start}–{end}',
+        minuteList: 'minutos {values}',
+        hourStep: 'cada {n} h',
+        hourList: '{minutes}, horas {values}',
+        hourStepAt: 'cada {n} h, minuto {value}',
+        everySecond: 'cada s',
+        secondStep: 'cada {n} s',
+        secondOne: 'segundo {value}',
+        secondRange: 'segundos {start}–{end}',
+        secondList: 'segundos {values}',
+        dayStep: 'cada {n} días',
+        domOne: 'día {value}',
+        domRange: 'días {start}–{end}',
+        domList: 'días {values}',
+        weekdays: 'lun–vie',
+        weekends: 'fin de semana',
+        last: 'último día',
+        lastOffsetOne: 'último día −1',
+        lastOffset: 'último día −{n}',
+        lastWeekday: 'último día laborable',
+        nearestWeekday: 'laborable cerca del {day}',
+        lastOf: 'último {weekday}',
+        nth: '{nth} {weekday}',
+        either: '{dom} o {dow}',
+        both: '{dom} si {dow}'
       }
     }
-    
+  };
+
+  // Terse templates that read the same in every language
+  const TERSE_TEMPLATES = {
+    and: ', ',
+    separator: ', ',
+    end: '',
+    range: '{start}–{end}',
+    at: '{times}',
+    hourOne: '{minutes}, {value}–{end}',
+    hourRange: '{minutes}, {start}–{end}',
+    dowOne: '{value}',
+    dowRange: '{start}–{end}',
+    dowList: '{values}',
+    onSpecial: '{days}',
+    monthOne: '{value}',
+    monthRange: '{start}–{end}',
+    monthList: '{values}',
+    yearOne: '{value}',
+    yearRange: '{start}–{end}',
+    yearList: '{values}'
+  };
+
+  // Up to this many exact times are listed instead of described as minutes and hours
+  const MAX_LISTED_TIMES = 6;
+
+  // Fields whose "*/n" form has its own wording
+  const STEP_TEMPLATES = { second: 'secondStep', minute: 'minuteStep', hour: 'hourStep', dayOfMonth: 'dayStep' };
+
+  const DEFAULT_DESCRIPTION_OPTIONS = { locale: 'en', clock: '24', style: 'verbose' };
+
+  function getLanguage(options = {}) {
+    // Resolves description options to the templates and names to use
+    const { locale, clock, style } = { ...DEFAULT_DESCRIPTION_OPTIONS, ...options };
+    const pack = DESCRIPTION_LOCALES[locale] || DESCRIPTION_LOCALES.en;
+    const terse = style === 'terse';
+    return {
+      pack: pack,
+      terse: terse,
+      clock: clock === '12' ? 12 : 24,
+      t: terse ? { ...pack.verbose, ...TERSE_TEMPLATES, ...pack.terse } : pack.verbose,
+      months: terse ? pack.monthsShort : pack.months,
+      days: terse ? pack.daysShort : pack.days
+    };
+  }
+
+  function fillTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+  }
+
+  function joinList(items, lang) {
+    if (items.length < 2) return items.join('');
+    return `${items.slice(0, -1).join(', ')}${lang.t.and}${items[items.length - 1]}`;
+  }
+
+  function formatClock(hour, minute, lang) {
+    const mm = minute.toString().padStart(2, '0');
+    if (lang.clock === 24) return `${hour.toString().padStart(2, '0')}:${mm}`;
+    return `${hour % 12 || 12}:${mm} ${lang.pack.meridiem[hour < 12 ? 0 : 1]}`;
+  }
+
+  function formatFieldValue(value, fieldName, lang) {
+    switch (fieldName) {
+      case 'hour': return formatClock(value, 0, lang);
+      case 'dayOfMonth': return lang.terse ? value.toString() : lang.pack.ordinal(value);
+      case 'month': return lang.months[value];
+      case 'dayOfWeek': return lang.days[value];
+      default: return value.toString();
+    }
+  }
+
+  function getStep(field, fieldName) {
+    // The n of a field that is exactly "*/n", otherwise null
+    const { min, max } = FIELD_RANGES[fieldName];
+    const values = field.values;
+    if (field.isWildcard || values.length < 2 || values[0] !== min) return null;
+    const step = values[1] - values[0];
+    const even = values.every((v, i) => v === min + i * step);
+    return step > 1 && even && values[values.length - 1] + step > max ? step : null;
+  }
+
+  function fillFieldTemplate(prefix, field, fieldName, lang, extra = {}) {
+    // Picks the One, Range or List template for the field's values
+    const values = field.values;
+    const format = v => formatFieldValue(v, fieldName, lang);
     if (values.length === 1) {
-      switch (fieldName) {
-        case 'minute': return values[0].toString().padStart(2, '0');
-        case 'hour': return formatHour(values[0]);
-        case 'dayOfMonth': return ordinal(values[0]);
-        case 'month': return MONTH_NAMES[values[0]];
-        case 'dayOfWeek': return DAY_NAMES[values[0]];
+      return fillTemplate(lang.t[`${prefix}One`], { ...extra, value: format(values[0]) });
+    }
+    if (isRun(values)) {
+      return fillTemplate(lang.t[`${prefix}Range`], { ...extra, start: format(values[0]), end: format(values[values.length - 1]) });
+    }
+    return fillTemplate(lang.t[`${prefix}List`], { ...extra, values: joinList(values.map(format), lang) });
+  }
+
+  function describeSpecialDay(special, lang) {
+    const t = lang.t;
+    switch (special.type) {
+      case 'last':
+        if (special.offset === 0) return t.last;
+        return fillTemplate(special.offset === 1 ? t.lastOffsetOne : t.lastOffset, { n: special.offset });
+      case 'lastWeekday': return t.lastWeekday;
+      case 'nearestWeekday': return fillTemplate(t.nearestWeekday, { day: formatFieldValue(special.day, 'dayOfMonth', lang) });
+      case 'lastOf': return fillTemplate(t.lastOf, { weekday: lang.days[special.day] });
+      case 'nth': return fillTemplate(t.nth, { nth: lang.pack.nth(special.n), weekday: lang.days[special.day] });
+    }
+  }
+
+  function describeField(field, fieldName, parsed, options = {}) {
+    // The field on its own, without the sentence around it, e.g. "Monday through Friday"
+    const lang = getLanguage(options);
+    const t = lang.t;
+    
+    if (field.isWildcard) return t.every[fieldName];
+    
+    const step = STEP_TEMPLATES[fieldName] ? getStep(field, fieldName) : null;
+    if (step) return fillTemplate(t[STEP_TEMPLATES[fieldName]], { n: step, nth: lang.pack.nth(step) });
+    
+    // L, W and # forms are described after any plain values
+    const parts = [];
+    const values = field.values;
+    if (values.length > 0) {
+      const format = v => formatFieldValue(v, fieldName, lang);
+      let text = joinList(values.map(format), lang);
+      if (values.length === 1) {
+        text = format(values[0]);
+      } else if (isRun(values)) {
+        text = fillTemplate(t.range, { start: format(values[0]), end: format(values[values.length - 1]) });
+      }
+      if (t.unit[fieldName]) {
+        text = fillTemplate(t.unit[fieldName][values.length === 1 ? 0 : 1], { values: text });
       }
+      parts.push(text);
+    }
+    field.special.forEach(special => parts.push(describeSpecialDay(special, lang)));
+    return parts.join(t.and);
+  }
+
+  function describeTime(parsed, lang) {
+    const { minute, hour } = parsed;
+    const t = lang.t;
+    
+    const hourStep = getStep(hour, 'hour');
+    
+    // A handful of exact times reads best as a list, as does one minute in scattered hours
+    const scattered = minute.values.length === 1 && !hourStep && !isConsecutive(hour.values);
+    if (!minute.isWildcard && !hour.isWildcard && (minute.values.length * hour.values.length <= MAX_LISTED_TIMES || scattered)) {
+      const times = [];
+      hour.values.forEach(h => minute.values.forEach(m => times.push(formatClock(h, m, lang))));
+      return fillTemplate(t.at, { times: joinList(times, lang) });
+    }
+    
+    const minuteStep = getStep(minute, 'minute');
+    let minutes = t.everyMinute;
+    if (minuteStep) {
+      minutes = fillTemplate(t.minuteStep, { n: minuteStep });
+    } else if (!minute.isWildcard) {
+      minutes = fillFieldTemplate('minute', minute, 'minute', lang);
+    }
+    
+    if (hour.isWildcard) return minutes;
+    
+    if (hourStep && minute.values.length === 1) {
+      return fillTemplate(t.hourStepAt, { n: hourStep, value: minute.values[0] });
+    }
+    if (hourStep) {
+      return fillTemplate(t.withHours, { minutes: minutes, hours: fillTemplate(t.hourStep, { n: hourStep }) });
     }
     
-    // Check for consecutive range
+    // Hour ranges run to the end of their last hour
+    const values = hour.values;
+    const last = values[values.length - 1];
+    if (values.length === 1) {
+      return fillTemplate(t.hourOne, { minutes: minutes, value: formatClock(values[0], 0, lang), end: formatClock(values[0], 59, lang) });
+    }
     if (isConsecutive(values)) {
-      switch (fieldName) {
-        case 'minute': return `minutes ${values[0]}-${values[values.length - 1]}`;
-        case 'hour': return `${formatHour(values[0])} through ${formatHour(values[values.length - 1])}`;
-        case 'dayOfMonth': return `${ordinal(values[0])} through ${ordinal(values[values.length - 1])}`;
-        case 'month': return `${MONTH_NAMES[values[0]]} through ${MONTH_NAMES[values[values.length - 1]]}`;
-        case 'dayOfWeek': return `${DAY_NAMES[values[0]]} through ${DAY_NAMES[values[values.length - 1]]}`;
-      }
+      return fillTemplate(t.hourRange, { minutes: minutes, start: formatClock(values[0], 0, lang), end: formatClock(last, 59, lang) });
     }
+    return fillTemplate(t.hourList, { minutes: minutes, values: joinList(values.map(h => formatClock(h, 0, lang)), lang) });
+  }
+
+  function describeSeconds(parsed, time, lang) {
+    const { second, minute, hour } = parsed;
+    const t = lang.t;
+    if (!second.isWildcard && second.values.length === 1 && second.values[0] === 0) return time;
     
-    // List values
-    switch (fieldName) {
-      case 'minute': return `minutes ${values.join(', ')}`;
-      case 'hour': return values.map(formatHour).join(', ');
-      case 'dayOfMonth': return values.map(ordinal).join(', ');
-      case 'month': return values.map(v => MONTH_NAMES[v]).join(', ');
-      case 'dayOfWeek': return values.map(v => DAY_NAMES[v]).join(', ');
+    const step = getStep(second, 'second');
+    let seconds;
+    if (second.isWildcard) {
+      seconds = t.everySecond;
+    } else if (step) {
+      seconds = fillTemplate(t.secondStep, { n: step });
+    } else {
+      seconds = fillFieldTemplate('second', second, 'second', lang);
     }
+    
+    // "Every 10 seconds" already says every minute
+    if (minute.isWildcard && hour.isWildcard && (second.isWildcard || step)) return seconds;
+    return fillTemplate(t.withSeconds, { time: time, seconds: seconds });
   }
 
-  function generateDescription(parsed) {
-    const { minute, hour, dayOfMonth, month, dayOfWeek } = parsed;
+  function describeDayField(field, fieldName, lang) {
+    const t = lang.t;
+    const parts = [];
+    const values = field.values;
     
-    let desc = 'At ';
+    const step = fieldName === 'dayOfMonth' ? getStep(field, fieldName) : null;
     
-    // Time part
-    if (minute.isWildcard && hour.isWildcard) {
-      desc = 'Every minute';
-    } else if (minute.isWildcard) {
-      desc = 'Every minute';
-      if (!hour.isWildcard) {
-        if (hour.values.length === 1) {
-          desc += ` past hour ${hour.values[0]}`;
-        } else if (isConsecutive(hour.values)) {
-          desc += ` from ${formatHour(hour.values[0])} through ${formatHour(hour.values[hour.values.length - 1])}`;
-        } else {
-          desc += ` past hours ${hour.values.join(', ')}`;
-        }
-      }
-    } else if (hour.isWildcard) {
-      if (minute.values.length === 1) {
-        desc = `At minute ${minute.values[0]} of every hour`;
-      } else {
-        desc = `At minutes ${minute.values.join(', ')} of every hour`;
-      }
-    } else {
-      // Specific time(s)
-      if (minute.values.length === 1 && hour.values.length === 1) {
-        desc = `At ${formatTime(hour.values[0], minute.values[0])}`;
-      } else if (minute.values.length === 1) {
-        const times = hour.values.map(h => formatTime(h, minute.values[0]));
-        desc = `At ${times.join(', ')}`;
-      } else {
-        desc = `At minute ${minute.values.join(', ')} past hour ${hour.values.join(', ')}`;
-      }
-    }
-    
-    // Day restrictions
-    const hasDomRestriction = !dayOfMonth.isWildcard;
-    const hasDowRestriction = !dayOfWeek.isWildcard;
-    
-    if (hasDomRestriction && hasDowRestriction) {
-      desc += ` on ${describeField(dayOfMonth, 'dayOfMonth', parsed)} and on ${describeField(dayOfWeek, 'dayOfWeek', parsed)}`;
-    } else if (hasDomRestriction) {
-      desc += ` on the ${describeField(dayOfMonth, 'dayOfMonth', parsed)}`;
-    } else if (hasDowRestriction) {
-      if (dayOfWeek.values.length === 5 && isConsecutive(dayOfWeek.values) && 
-          dayOfWeek.values[0] === 1 && dayOfWeek.values[4] === 5) {
-        desc += ` on every weekday`;
-      } else if (dayOfWeek.values.length === 2 && 
-                 ((dayOfWeek.values.includes(0) && dayOfWeek.values.includes(6)) ||
-                  (dayOfWeek.values.includes(6) && dayOfWeek.values.includes(0)))) {
-        desc += ` on weekends`;
-      } else if (isConsecutive(dayOfWeek.values)) {
-        desc += ` on every day-of-week from ${DAY_NAMES[dayOfWeek.values[0]]} through ${DAY_NAMES[dayOfWeek.values[dayOfWeek.values.length - 1]]}`;
+    if (step) {
+      parts.push(fillTemplate(t.dayStep, { n: step, nth: lang.pack.nth(step) }));
+    } else if (values.length > 0) {
+      if (fieldName === 'dayOfWeek' && values.join() === '1,2,3,4,5') {
+        parts.push(t.weekdays);
+      } else if (fieldName === 'dayOfWeek' && values.join() === '0,6') {
+        parts.push(t.weekends);
       } else {
-        desc += ` on ${dayOfWeek.values.map(v => DAY_NAMES[v]).join(', ')}`;
+        parts.push(fillFieldTemplate(fieldName === 'dayOfWeek' ? 'dow' : 'dom', field, fieldName, lang));
       }
     }
+    if (field.special.length > 0) {
+      parts.push(fillTemplate(t.onSpecial, { days: joinList(field.special.map(special => describeSpecialDay(special, lang)), lang) }));
+    }
+    return parts.join(t.and);
+  }
+
+  function describeDays(parsed, lang) {
+    const t = lang.t;
+    const dom = () => describeDayField(parsed.dayOfMonth, 'dayOfMonth', lang);
+    const dow = () => describeDayField(parsed.dayOfWeek, 'dayOfWeek', lang);
     
-    // Month restrictions
-    if (!month.isWildcard) {
-      if (month.values.length === 1) {
-        desc += ` in ${MONTH_NAMES[month.values[0]]}`;
-      } else if (isConsecutive(month.values)) {
-        desc += ` from ${MONTH_NAMES[month.values[0]]} through ${MONTH_NAMES[month.values[month.values.length - 1]]}`;
-      } else {
-        desc += ` in ${month.values.map(v => MONTH_NAMES[v]).join(', ')}`;
-      }
+    switch (getDayMatching(parsed)) {
+      case 'either': return fillTemplate(t.either, { dom: dom(), dow: dow() });
+      case 'both': return fillTemplate(t.both, { dom: dom(), dow: dow() });
+      case 'dayOfMonth': return dom();
+      case 'dayOfWeek': return dow();
+      default: return '';
+    }
+  }
+
+  function generateDescription(parsed, options = {}) {
+    // options: locale (en, de, fr, es), clock ('24' or '12') and style ('verbose' or 'terse')
+    const lang = getLanguage(options);
+    const { month, year } = parsed;
+    
+    const parts = [
+      describeSeconds(parsed, describeTime(parsed, lang), lang),
+      describeDays(parsed, lang)
+    ];
+    if (!month.isWildcard) parts.push(fillFieldTemplate('month', month, 'month', lang));
+    // Year restrictions (Quartz and EventBridge)
+    if (year && !year.isWildcard) parts.push(fillFieldTemplate('year', year, 'year', lang));
+    
+    const text = parts.filter(Boolean).join(lang.t.separator);
+    const sentence = text.charAt(0).toUpperCase() + text.slice(1);
+    // German ordinals already end in a full stop
+    return sentence.endsWith(lang.t.end) ? sentence : sentence + lang.t.end;
+  }
+
+  // ============================================
+  // Timezone Functions
+  // ============================================
+
+  // Wall-clock times are handled as UTC timestamps of the local date and time,
+  // so calendar arithmetic never depends on the browser's own zone.
+
+  const zoneFormatters = {};
+  const zoneOffsets = {};
+  const ZONE_OFFSET_CACHE_SIZE = 50000;
+
+  function resolveTimezone(timezone) {
+    return !timezone || timezone === 'local' ? Intl.DateTimeFormat().resolvedOptions().timeZone : timezone;
+  }
+
+  function isKnownTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function getWallTime(instant, timezone) {
+    if (!zoneFormatters[timezone]) {
+      zoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      });
     }
     
-    return desc + '.';
+    const parts = {};
+    zoneFormatters[timezone].formatToParts(new Date(instant)).forEach(part => {
+      parts[part.type] = parseInt(part.value, 10);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+  }
+
+  function getZoneOffset(instant, timezone) {
+    // Minutes ahead of UTC at the given instant. Offsets only change on a minute
+    // boundary, so they are cached per minute to spare Intl calls for per-second schedules.
+    const minute = Math.floor(instant / MINUTE_MS) * MINUTE_MS;
+    if (!zoneOffsets[timezone] || zoneOffsets[timezone].size > ZONE_OFFSET_CACHE_SIZE) {
+      zoneOffsets[timezone] = new Map();
+    }
+    const cache = zoneOffsets[timezone];
+    if (!cache.has(minute)) {
+      cache.set(minute, (getWallTime(minute, timezone) - minute) / MINUTE_MS);
+    }
+    return cache.get(minute);
+  }
+
+  function resolveWallTime(wall, timezone) {
+    // Finds the instants showing this wall time: none in a DST gap, two in an overlap.
+    // Assumes at most one offset change within a day either side.
+    const before = getZoneOffset(wall - DAY_MS, timezone);
+    const after = getZoneOffset(wall + DAY_MS, timezone);
+    const instants = [...new Set([before, after])]
+      .filter(offset => getZoneOffset(wall - offset * MINUTE_MS, timezone) === offset)
+      .map(offset => wall - offset * MINUTE_MS)
+      .sort((a, b) => a - b);
+
+    let transition = null;
+    if (instants.length === 0 && before !== after) {
+      // Bisect for the first instant after the clocks jumped forward
+      let low = wall - after * MINUTE_MS;
+      let high = wall - before * MINUTE_MS;
+      while (high - low > MINUTE_MS) {
+        const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+        if (getZoneOffset(mid, timezone) === before) low = mid;
+        else high = mid;
+      }
+      transition = high;
+    }
+
+    return { instants: instants, transition: transition, offsetBefore: before, shift: Math.abs(after - before) };
   }
 
   // ============================================
   // Next Run Calculation
   // ============================================
 
-  function getNextRuns(parsed, count = 10, timezone = 'local') {
+  function nearestWeekday(day, dayOfWeek, lastDay) {
+    // Quartz "W": the weekday closest to day without leaving the month
+    if (dayOfWeek === 6) return day === 1 ? 3 : day - 1;
+    if (dayOfWeek === 0) return day === lastDay ? day - 2 : day + 1;
+    return day;
+  }
+
+  function matchesSpecialDay(special, day, dayOfWeek, lastDay) {
+    switch (special.type) {
+      case 'last':
+        return day === lastDay - special.offset;
+      case 'lastWeekday':
+        return day === nearestWeekday(lastDay, (dayOfWeek + lastDay - day) % 7, lastDay);
+      case 'nearestWeekday':
+        if (special.day > lastDay) return false;
+        return day === nearestWeekday(special.day, (dayOfWeek + 35 + special.day - day) % 7, lastDay);
+      case 'lastOf':
+        return dayOfWeek === special.day && day + 7 > lastDay;
+      case 'nth':
+        return dayOfWeek === special.day && Math.ceil(day / 7) === special.n;
+    }
+    return false;
+  }
+
+  function matchesDay(parsed, wall) {
+    const date = new Date(wall);
+    const day = date.getUTCDate();
+    const dayOfWeek = date.getUTCDay();
+    const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+    
+    const matches = field => field.values.includes(field === parsed.dayOfMonth ? day : dayOfWeek) ||
+      field.special.some(special => matchesSpecialDay(special, day, dayOfWeek, lastDay));
+    const domMatch = matches(parsed.dayOfMonth);
+    const dowMatch = matches(parsed.dayOfWeek);
+    
+    // Both fields restricted: Vixie cron runs when either matches. A starred field
+    // (including "*/2") switches to requiring both, as cronie does and as the
+    // other dialects always do.
+    if (getDayMatching(parsed) === 'either') {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+
+  function findNextWallTime(parsed, from, limit) {
+    // Returns the first matching wall time at or after from, jumping a whole
+    // field at a time, or null if nothing matches before limit
+    let wall = from;
+    
+    while (wall < limit) {
+      const date = new Date(wall);
+      const year = date.getUTCFullYear();
+      const month = date.getUTCMonth();
+      const day = date.getUTCDate();
+      const hour = date.getUTCHours();
+      const minute = date.getUTCMinutes();
+      const second = date.getUTCSeconds();
+      
+      if (parsed.year && !parsed.year.values.includes(year)) {
+        const next = parsed.year.values.find(y => y > year);
+        if (next === undefined) return null;
+        wall = Date.UTC(next, 0, 1);
+        continue;
+      }
+      
+      if (!parsed.month.values.includes(month + 1)) {
+        const next = parsed.month.values.find(m => m > month + 1);
+        wall = next === undefined
+          ? Date.UTC(year + 1, parsed.month.values[0] - 1, 1)
+          : Date.UTC(year, next - 1, 1);
+        continue;
+      }
+      
+      if (!matchesDay(parsed, wall)) {
+        wall = Date.UTC(year, month, day + 1);
+        continue;
+      }
+      
+      if (!parsed.hour.values.includes(hour)) {
+        const next = parsed.hour.values.find(h => h > hour);
+        wall = next === undefined
+          ? Date.UTC(year, month, day + 1)
+          : Date.UTC(year, month, day, next);
+        continue;
+      }
+      
+      if (!parsed.minute.values.includes(minute)) {
+        const next = parsed.minute.values.find(m => m > minute);
+        wall = next === undefined
+          ? Date.UTC(year, month, day, hour + 1)
+          : Date.UTC(year, month, day, hour, next);
+        continue;
+      }
+      
+      if (!parsed.second.values.includes(second)) {
+        const next = parsed.second.values.find(s => s > second);
+        wall = next === undefined
+          ? Date.UTC(year, month, day, hour, minute + 1)
+          : Date.UTC(year, month, day, hour, minute, next);
+        continue;
+      }
+      
+      return wall;
+    }
+    
+    return null;
+  }
+
+  function getNextRuns(parsed, count = 10, timezone = 'local', from = Date.now()) {
+    // Returns up to count runs after from as { date, scheduled, dst }, where
+    // scheduled is the matching wall time and dst is null, 'gap' or 'overlap'.
+    //
+    // For Vixie cron, DST follows Vixie and cronie: jobs with a starred minute or
+    // hour run on real elapsed minutes, so they skip a gap and repeat in an
+    // overlap. Fixed-time jobs catch up once the clocks jump forward and run only
+    // the first time a repeated hour comes round. The other dialects resolve times
+    // like java.time: a time in a gap moves forward by the gap, and a repeated
+    // time fires once at the earlier offset.
+    const zone = resolveTimezone(timezone);
+    const vixieDst = DIALECTS[parsed.dialect].dst === 'vixie';
+    const wildcardJob = vixieDst && (parsed.minute.starred || parsed.hour.starred);
     const runs = [];
-    let date = new Date();
-    
-    // Start from next minute
-    date.setSeconds(0, 0);
-    date.setMinutes(date.getMinutes() + 1);
-    
-    const maxIterations = 525600; // 1 year of minutes
-    let iterations = 0;
-    
-    while (runs.length < count && iterations < maxIterations) {
-      iterations++;
-      
-      const minute = date.getMinutes();
-      const hour = date.getHours();
-      const dayOfMonth = date.getDate();
-      const month = date.getMonth() + 1; // JS months are 0-indexed
-      const dayOfWeek = date.getDay();
-      
-      // Check if this time matches
-      if (parsed.minute.values.includes(minute) &&
-          parsed.hour.values.includes(hour) &&
-          parsed.month.values.includes(month) &&
-          (parsed.dayOfMonth.values.includes(dayOfMonth) || parsed.dayOfMonth.isWildcard) &&
-          (parsed.dayOfWeek.values.includes(dayOfWeek) || parsed.dayOfWeek.isWildcard)) {
-        
-        // Handle the special case where both DOM and DOW are specified
-        // In standard cron, it's OR logic (runs if either matches)
-        if (!parsed.dayOfMonth.isWildcard && !parsed.dayOfWeek.isWildcard) {
-          if (parsed.dayOfMonth.values.includes(dayOfMonth) || parsed.dayOfWeek.values.includes(dayOfWeek)) {
-            runs.push(new Date(date));
-          }
-        } else {
-          runs.push(new Date(date));
-        }
+    
+    // Near a clock change, start back by the size of the shift: the second pass of an
+    // overlap and times moved out of a gap can fall after from with an earlier wall time
+    const startWall = getWallTime(from, zone);
+    const limit = Date.UTC(new Date(startWall).getUTCFullYear() + MAX_SEARCH_YEARS, 0, 1);
+    const offset = getZoneOffset(from, zone);
+    const shift = Math.max(
+      Math.abs(getZoneOffset(from - MAX_DST_SHIFT_MINUTES * MINUTE_MS, zone) - offset),
+      Math.abs(getZoneOffset(from + MAX_DST_SHIFT_MINUTES * MINUTE_MS, zone) - offset)
+    );
+    let wall = startWall - shift * MINUTE_MS;
+    
+    while (wall !== null) {
+      wall = findNextWallTime(parsed, wall, limit);
+      if (wall === null) break;
+      
+      const resolved = resolveWallTime(wall, zone);
+      // In a gap the other dialects move the time forward by the gap, past the transition
+      let earliest = resolved.instants.length > 0 ? resolved.instants[0] : resolved.transition;
+      if (resolved.instants.length === 0 && resolved.transition !== null && !vixieDst) {
+        earliest = wall - resolved.offsetBefore * MINUTE_MS;
+      }
+      if (runs.length >= count && earliest !== null && earliest > runs[count - 1].date.getTime()) break;
+      
+      const smallShift = !vixieDst || resolved.shift <= MAX_DST_SHIFT_MINUTES;
+      let instants = resolved.instants.map(instant => ({ instant: instant, dst: resolved.instants.length > 1 ? 'overlap' : null }));
+      if (resolved.instants.length > 1 && !wildcardJob && smallShift) {
+        instants = instants.slice(0, 1);
+      } else if (resolved.instants.length === 0 && resolved.transition !== null && !wildcardJob && smallShift) {
+        const instant = vixieDst ? resolved.transition : wall - resolved.offsetBefore * MINUTE_MS;
+        instants = [{ instant: instant, dst: 'gap' }];
       }
       
-      // Move to next minute
-      date.setMinutes(date.getMinutes() + 1);
+      // A time moved out of a gap can land on a time that exists anyway; the job fires once
+      instants
+        .filter(run => run.instant > from && !runs.some(existing => existing.date.getTime() === run.instant))
+        .forEach(run => runs.push({ date: new Date(run.instant), scheduled: wall, dst: run.dst }));
+      runs.sort((a, b) => a.date - b.date);
+      
+      wall += SECOND_MS;
     }
     
-    return runs;
+    return runs.slice(0, count);
   }
 
   function formatNextRun(date, timezone) {
+    // The zone abbreviation tells the two passes of a repeated hour apart
     const options = {
       weekday: 'short',
       year: 'numeric',
@@ -348,13 +1512,11 @@
       day: 'numeric',
       hour: '2-digit',
       minute: '2-digit',
-      hour12: false
+      hour12: false,
+      timeZoneName: 'short',
+      timeZone: resolveTimezone(timezone)
     };
     
-    if (timezone && timezone !== 'local') {
-      options.timeZone = timezone;
-    }
-    
     const formatted = date.toLocaleString('en-GB', options);
     const now = new Date();
     const diffMs = date - now;
@@ -380,32 +1542,30 @@
   // Field Breakdown
   // ============================================
 
-  function generateBreakdown(expr, parsed) {
-    const normalized = normalizeExpression(expr);
-    const parts = normalized.split(/\s+/);
-    
-    const fieldLabels = ['Minute', 'Hour', 'Day of Month', 'Month', 'Day of Week'];
+  function generateBreakdown(parsed) {
+    const dialect = DIALECTS[parsed.dialect];
     const breakdown = [];
     
-    FIELD_NAMES.forEach((name, idx) => {
+    dialect.fields.forEach(name => {
       const field = parsed[name];
-      const originalValue = parts[idx];
+      if (parsed.text[name] === undefined) return;
       
       let explanation;
-      if (field.isWildcard) {
-        explanation = `Every ${fieldLabels[idx].toLowerCase()}`;
+      if (field.unspecified) {
+        explanation = 'No specific value';
+      } else if (field.isWildcard) {
+        explanation = `Every ${FIELD_LABELS[name].toLowerCase()}`;
       } else {
         explanation = describeField(field, name, parsed);
         // Clean up explanation
-        if (name === 'minute' || name === 'hour') {
-          explanation = explanation.charAt(0).toUpperCase() + explanation.slice(1);
-        }
+        explanation = explanation.charAt(0).toUpperCase() + explanation.slice(1);
       }
       
+      const range = getFieldRange(name, dialect);
       breakdown.push({
-        label: fieldLabels[idx],
-        value: originalValue.toUpperCase(),
-        range: `${FIELD_RANGES[name].min}-${FIELD_RANGES[name].max}`,
+        label: FIELD_LABELS[name],
+        value: parsed.text[name],
+        range: `${range.min}-${range.max}`,
         explanation: explanation,
         expandedValues: field.isWildcard ? '*' : field.values.join(', ')
       });
@@ -414,17 +1574,1311 @@
     return breakdown;
   }
 
+  // ============================================
+  // Dialect Conversion
+  // ============================================
+
+  function expandStepShorthand(text, fieldName) {
+    // Quartz "5/15" means "5-max/15"; Vixie cron and Jenkins need the range spelled out
+    return text.split(',').map(part => {
+      const match = part.match(/^(\d+)\/(\d+)$/);
+      return match ? `${match[1]}-${FIELD_RANGES[fieldName].max}/${match[2]}` : part;
+    }).join(',');
+  }
+
+  function formatDayOfWeek(field, dialect) {
+    // Rebuilds a day-of-week field from its days, using names so both numberings agree
+    const parts = [];
+    let i = 0;
+    while (i < field.values.length) {
+      let j = i;
+      while (j + 1 < field.values.length && field.values[j + 1] === field.values[j] + 1) j++;
+      parts.push(j - i >= 2
+        ? `${DAY_ABBR[field.values[i]]}-${DAY_ABBR[field.values[j]]}`
+        : field.values.slice(i, j + 1).map(v => DAY_ABBR[v]).join(','));
+      i = j + 1;
+    }
+    field.special.forEach(special => {
+      const day = special.day + dialect.dayOfWeekBase;
+      parts.push(special.type === 'lastOf' ? `${day}L` : `${day}#${special.n}`);
+    });
+    return parts.join(',');
+  }
+
+  function withoutDayField(parsed, fieldName) {
+    const dialect = DIALECTS[parsed.dialect];
+    return { ...parsed, text: { ...parsed.text, [fieldName]: '*' }, [fieldName]: parseField('*', fieldName, dialect) };
+  }
+
+  function convertExpression(parsed, target) {
+    // Returns the expression in the target dialect, or throws an Error explaining why it cannot be written there
+    const source = DIALECTS[parsed.dialect];
+    const dialect = DIALECTS[target];
+    const fields = {};
+    
+    // H picks are written out as the values they chose, and wrapped ranges where the target cannot wrap
+    const text = { ...parsed.text };
+    Object.keys(text).forEach(name => {
+      const field = parsed[name];
+      if (field.hashed || (field.wrapped && !dialect.wrapRanges)) {
+        text[name] = name === 'dayOfWeek' ? formatDayOfWeek(field, source) : compressCronValues(field.values, name);
+      }
+    });
+    
+    if (dialect.fields.includes('second')) {
+      fields.second = text.second !== undefined ? text.second : '0';
+    } else if (parsed.second.values.length !== 1 || parsed.second.values[0] !== 0) {
+      throw new Error(`${dialect.name} has no seconds field, and this schedule fires at ${describeField(parsed.second, 'second', parsed)}.`);
+    }
+    
+    ['minute', 'hour', 'month'].forEach(name => {
+      fields[name] = !dialect.extensions ? expandStepShorthand(text[name], name) : text[name];
+    });
+    
+    ['dayOfMonth', 'dayOfWeek'].forEach(name => {
+      if (parsed[name].special.length > 0 && !dialect.extensions) {
+        const hint = parsed[name].special.some(special => special.type === 'last')
+          ? ' A common workaround is to schedule days 28-31 and check for the last day in the command.'
+          : '';
+        throw new Error(`${dialect.name} has no L, W or # forms, so "${text[name]}" (${describeField(parsed[name], name, parsed)}) cannot be written.${hint}`);
+      }
+    });
+    
+    let dom = parsed.dayOfMonth.isWildcard ? '*' : text.dayOfMonth;
+    if (!dialect.extensions) dom = expandStepShorthand(dom, 'dayOfMonth');
+    let dow = '*';
+    if (!parsed.dayOfWeek.isWildcard) {
+      dow = source.dayOfWeekBase === dialect.dayOfWeekBase ? text.dayOfWeek : formatDayOfWeek(parsed.dayOfWeek, dialect);
+    }
+    
+    const matching = getDayMatching(parsed);
+    if (matching === 'any' || matching === 'dayOfMonth') {
+      if (dialect.requireQuestion) dow = '?';
+    } else if (matching === 'dayOfWeek') {
+      if (dialect.requireQuestion) dom = '?';
+    } else if (matching === 'either' && dialect.dayMatching !== 'either') {
+      const byDate = convertExpression(withoutDayField(parsed, 'dayOfWeek'), target);
+      const byWeekday = convertExpression(withoutDayField(parsed, 'dayOfMonth'), target);
+      throw new Error(`This schedule runs when either day field matches, which ${dialect.name} cannot express. Use two schedules instead: ${byDate} and ${byWeekday}.`);
+    } else if (matching === 'both') {
+      if (dialect.requireQuestion) {
+        throw new Error(`This schedule needs both day-of-month and day-of-week to match, but ${dialect.name} requires "?" in one of them.`);
+      }
+      if (dialect.dayMatching === 'either' && !dom.startsWith('*') && !dow.startsWith('*')) {
+        throw new Error(`This schedule needs both day-of-month and day-of-week to match, but ${dialect.name} runs when either one matches.`);
+      }
+    }
+    fields.dayOfMonth = dom;
+    fields.dayOfWeek = dow;
+    
+    if (parsed.year && !parsed.year.isWildcard) {
+      if (!dialect.fields.includes('year')) {
+        throw new Error(`${dialect.name} has no year field, and this schedule is limited to ${describeField(parsed.year, 'year', parsed)}.`);
+      }
+      const outOfRange = parsed.year.values.find(y => y > dialect.maxYear);
+      if (outOfRange !== undefined) {
+        throw new Error(`${dialect.name} only accepts years up to ${dialect.maxYear}, and this schedule includes ${outOfRange}.`);
+      }
+      fields.year = text.year;
+    } else if (dialect.fields.includes('year') && dialect.optionalFields === 0) {
+      fields.year = '*';
+    }
+    
+    const expression = dialect.fields.filter(name => fields[name] !== undefined).map(name => fields[name]).join(' ');
+    return dialect.wrapper ? `cron(${expression})` : expression;
+  }
+
+  // ============================================
+  // Export Functions
+  // ============================================
+
+  const EXPORT_COMMAND = '/usr/local/bin/my-job';
+
+  const CALENDAR_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  // systemd.time(7) shorthands, written out in full
+  const CALENDAR_SHORTHANDS = {
+    minutely: '*-*-* *:*:00',
+    hourly: '*-*-* *:00:00',
+    daily: '*-*-* 00:00:00',
+    weekly: 'Mon *-*-* 00:00:00',
+    monthly: '*-*-01 00:00:00',
+    quarterly: '*-01,04,07,10-01 00:00:00',
+    semiannually: '*-01,07-01 00:00:00',
+    yearly: '*-01-01 00:00:00',
+    annually: '*-01-01 00:00:00'
+  };
+
+  function compressRuns(values, format, separator) {
+    // Joins sorted values, collapsing runs of three or more into "first<separator>last"
+    const parts = [];
+    let i = 0;
+    while (i < values.length) {
+      let j = i;
+      while (j + 1 < values.length && values[j + 1] === values[j] + 1) j++;
+      if (j - i >= 2) {
+        parts.push(`${format(values[i])}${separator}${format(values[j])}`);
+      } else {
+        for (let k = i; k <= j; k++) parts.push(format(values[k]));
+      }
+      i = j + 1;
+    }
+    return parts.join(',');
+  }
+
+  function formatCalendarField(field, fieldName, dialect) {
+    if (field.isWildcard) return '*';
+    const pad = v => String(v).padStart(fieldName === 'year' ? 4 : 2, '0');
+    const values = field.values;
+    const max = fieldName === 'year' ? dialect.maxYear || FIELD_RANGES.year.max : FIELD_RANGES[fieldName].max;
+
+    // A repetition that runs to the end of the range, such as "*/15", becomes "00/15"
+    if (values.length > 2) {
+      const step = values[1] - values[0];
+      const repeats = values.every((v, i) => v === values[0] + i * step);
+      if (step > 1 && repeats && values[values.length - 1] + step > max) {
+        return `${pad(values[0])}/${step}`;
+      }
+    }
+    return compressRuns(values, pad, '..');
+  }
+
+  function formatCalendarDate(parsed) {
+    // Returns [weekdays, separator, day] for one OnCalendar spec
+    const dom = parsed.dayOfMonth;
+    const dow = parsed.dayOfWeek;
+    const dialect = DIALECTS[parsed.dialect];
+    const weekdays = dow.isWildcard || dow.unspecified ? '' : compressRuns(dow.values, v => CALENDAR_DAYS[v], '..');
+
+    if (dom.special.length === 0 && dow.special.length === 0) {
+      return [weekdays, '-', dom.unspecified ? '*' : formatCalendarField(dom, 'dayOfMonth', dialect)];
+    }
+
+    const special = dom.special.length > 0 ? dom.special[0] : dow.special[0];
+    const onlySpecial = dom.special.length + dow.special.length === 1 &&
+      (dom.special.length === 0 || dom.values.length === 0) &&
+      (dow.special.length === 0 || dow.values.length === 0);
+    if (onlySpecial && special.type === 'last') {
+      // "~01" is the last day of the month, "~03" the third-to-last
+      return [weekdays, '~', String(special.offset + 1).padStart(2, '0')];
+    }
+    if (onlySpecial && special.type === 'lastOf' && (dom.isWildcard || dom.unspecified)) {
+      return [CALENDAR_DAYS[special.day], '~', '07/1'];
+    }
+    if (onlySpecial && special.type === 'nth' && (dom.isWildcard || dom.unspecified)) {
+      const first = (special.n - 1) * 7 + 1;
+      return [CALENDAR_DAYS[special.day], '-', `${String(first).padStart(2, '0')}..${String(first + 6).padStart(2, '0')}`];
+    }
+
+    const field = dom.special.length > 0 ? 'dayOfMonth' : 'dayOfWeek';
+    throw new Error(`systemd calendar events have no equivalent for "${parsed.text[field]}" (${describeField(parsed[field], field, parsed)}).`);
+  }
+
+  function formatOnCalendar(parsed, timezone) {
+    // Returns one OnCalendar value per line; "either" day matching needs a line for each day field
+    const matching = getDayMatching(parsed);
+    if (matching === 'either') {
+      return [
+        ...formatOnCalendar(withoutDayField(parsed, 'dayOfWeek'), timezone),
+        ...formatOnCalendar(withoutDayField(parsed, 'dayOfMonth'), timezone)
+      ];
+    }
+
+    const dialect = DIALECTS[parsed.dialect];
+    const [weekdays, separator, day] = formatCalendarDate(parsed);
+    const year = parsed.year ? formatCalendarField(parsed.year, 'year', dialect) : '*';
+    const month = formatCalendarField(parsed.month, 'month', dialect);
+    const time = ['hour', 'minute', 'second'].map(name => formatCalendarField(parsed[name], name, dialect)).join(':');
+
+    let spec = `${year}-${month}${separator}${day} ${time}`;
+    if (weekdays) spec = `${weekdays} ${spec}`;
+    if (timezone !== 'local') spec += ` ${timezone}`;
+    return [spec];
+  }
+
+  function exportCrontab(parsed, timezone) {
+    const lines = [];
+    if (timezone !== 'local') {
+      lines.push('# CRON_TZ is read by cronie; other crons use the system timezone');
+      lines.push(`CRON_TZ=${timezone}`);
+    }
+    lines.push(`${convertExpression(parsed, 'vixie')} ${EXPORT_COMMAND}`);
+    return lines.join('\n');
+  }
+
+  function exportKubernetes(parsed, timezone) {
+    const lines = [
+      'apiVersion: batch/v1',
+      'kind: CronJob',
+      'metadata:',
+      '  name: my-job',
+      'spec:',
+      `  schedule: "${convertExpression(parsed, 'vixie')}"`
+    ];
+    if (timezone !== 'local') lines.push(`  timeZone: "${timezone}"`);
+    lines.push(
+      '  jobTemplate:',
+      '    spec:',
+      '      template:',
+      '        spec:',
+      '          restartPolicy: OnFailure',
+      '          containers:',
+      '            - name: my-job',
+      '              image: busybox',
+      `              command: ["${EXPORT_COMMAND}"]`
+    );
+    return lines.join('\n');
+  }
+
+  function exportSystemd(parsed, timezone) {
+    return [
+      '[Unit]',
+      'Description=Run my-job on schedule',
+      '',
+      '[Timer]',
+      ...formatOnCalendar(parsed, timezone).map(spec => `OnCalendar=${spec}`),
+      'Persistent=true',
+      '',
+      '[Install]',
+      'WantedBy=timers.target'
+    ].join('\n');
+  }
+
+  function exportGithubActions(parsed, timezone) {
+    const expression = convertExpression(parsed, 'vixie');
+    const lines = [];
+    if (timezone !== 'UTC') {
+      lines.push(`# GitHub Actions schedules always run in UTC, not ${timezone === 'local' ? 'local time' : timezone}`);
+    }
+    const minutes = parsed.minute.values;
+    const gaps = minutes.map((m, i) => (i + 1 < minutes.length ? minutes[i + 1] : minutes[0] + 60) - m);
+    if (minutes.length > 1 && Math.min(...gaps) < 5) {
+      lines.push('# GitHub Actions runs scheduled workflows at most every 5 minutes');
+    }
+    lines.push('on:', '  schedule:', `    - cron: '${expression}'`);
+    return lines.join('\n');
+  }
+
+  const EXPORT_FORMATS = {
+    crontab: { name: 'crontab', render: exportCrontab },
+    kubernetes: { name: 'Kubernetes CronJob', render: exportKubernetes },
+    systemd: { name: 'systemd timer', render: exportSystemd },
+    github: { name: 'GitHub Actions', render: exportGithubActions }
+  };
+
+  // iCalendar (RFC 5545) export of upcoming runs
+  const ICAL_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const ICAL_EVENT_DURATION = 'PT1M';
+  const ICAL_LINE_OCTETS = 75;
+
+  function formatIcalWallTime(wall) {
+    // Wall times are UTC timestamps of the local date and time, so the UTC fields are the local ones
+    return new Date(wall).toISOString().replace(/[-:]/g, '').slice(0, 15);
+  }
+
+  function formatIcalOffset(minutes) {
+    const abs = Math.abs(minutes);
+    return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  function escapeIcalText(text) {
+    return text.replace(/[\\;,]/g, '\\$&').replace(/\n/g, '\\n');
+  }
+
+  function foldIcalLine(line) {
+    // Lines longer than 75 octets continue on the next line after a leading space
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > ICAL_LINE_OCTETS) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+  }
+
+  function formatRrule(parsed, zone) {
+    // Maps the expression onto one RRULE, or throws when a calendar cannot repeat it the same way.
+    // Fields finer than FREQ that hold a single value are taken from DTSTART, the first run.
+    const matching = getDayMatching(parsed);
+    if (matching === 'either') {
+      throw new Error('The day-of-month and day-of-week fields each match on their own here, but RRULE parts only narrow each other.');
+    }
+    const dom = matching === 'dayOfMonth' || matching === 'both' ? parsed.dayOfMonth : null;
+    const dow = matching === 'dayOfWeek' || matching === 'both' ? parsed.dayOfWeek : null;
+    const singleTime = ['hour', 'minute', 'second'].every(name => parsed[name].values.length === 1);
+
+    const byMonthDay = dom ? [...dom.values] : [];
+    const byDay = dow ? dow.values.map(v => ICAL_DAYS[v]) : [];
+    let lastWeekday = false;
+    [...(dom ? dom.special : []), ...(dow ? dow.special : [])].forEach(special => {
+      switch (special.type) {
+        case 'last': byMonthDay.push(-(special.offset + 1)); break;
+        case 'lastOf': byDay.push(`-1${ICAL_DAYS[special.day]}`); break;
+        case 'nth': byDay.push(`${special.n}${ICAL_DAYS[special.day]}`); break;
+        case 'lastWeekday': lastWeekday = true; break;
+        default:
+          throw new Error(`RRULE has no equivalent for "${parsed.text.dayOfMonth}" (${describeField(parsed.dayOfMonth, 'dayOfMonth', parsed)}).`);
+      }
+    });
+    if (lastWeekday && (byMonthDay.length > 0 || byDay.length > 0 || !singleTime)) {
+      // BYSETPOS picks from every time in the month, so it only finds the last weekday of a once-a-day job
+      throw new Error('RRULE can only express the last weekday of the month for a job that runs once that day, on no other days.');
+    }
+    if (lastWeekday) byDay.push(...ICAL_DAYS.slice(1, 6));
+
+    const ordinals = lastWeekday || byDay.some(day => /\d/.test(day));
+    let freq;
+    if (!ordinals && parsed.hour.isWildcard) {
+      freq = !parsed.minute.isWildcard ? 'HOURLY' : !parsed.second.isWildcard ? 'MINUTELY' : 'SECONDLY';
+    } else {
+      freq = ordinals || dom ? 'MONTHLY' : dow ? 'WEEKLY' : 'DAILY';
+    }
+
+    const parts = [`FREQ=${freq}`];
+    if (parsed.year && !parsed.year.isWildcard) {
+      const years = parsed.year.values;
+      if (!years.every((year, i) => year === years[0] + i)) {
+        throw new Error(`RRULE can end in a given year but cannot skip years, as "${parsed.text.year}" does.`);
+      }
+      // UNTIL is given in UTC when DTSTART has a TZID
+      const wall = Date.UTC(years[years.length - 1] + 1, 0, 1) - SECOND_MS;
+      parts.push(`UNTIL=${formatIcalWallTime(wall - getZoneOffset(wall, zone) * MINUTE_MS)}Z`);
+    }
+    if (!parsed.month.isWildcard) parts.push(`BYMONTH=${parsed.month.values.join(',')}`);
+    if (byMonthDay.length > 0) parts.push(`BYMONTHDAY=${byMonthDay.join(',')}`);
+    if (byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+    if (['DAILY', 'WEEKLY', 'MONTHLY'].includes(freq) && parsed.hour.values.length > 1) {
+      parts.push(`BYHOUR=${parsed.hour.values.join(',')}`);
+    }
+    if (freq !== 'MINUTELY' && freq !== 'SECONDLY' && parsed.minute.values.length > 1) {
+      parts.push(`BYMINUTE=${parsed.minute.values.join(',')}`);
+    }
+    if (freq !== 'SECONDLY' && parsed.second.values.length > 1) {
+      parts.push(`BYSECOND=${parsed.second.values.join(',')}`);
+    }
+    if (lastWeekday) parts.push('BYSETPOS=-1');
+    return parts.join(';');
+  }
+
+  function findZoneTransitions(zone, fromYear, toYear) {
+    // Offset changes between the start of fromYear and the end of toYear, found a day at a time
+    const transitions = [];
+    const end = Date.UTC(toYear + 1, 0, 1);
+    let day = Date.UTC(fromYear, 0, 1);
+    let offset = getZoneOffset(day, zone);
+    while (day < end) {
+      const next = day + DAY_MS;
+      const nextOffset = getZoneOffset(next, zone);
+      if (nextOffset !== offset) {
+        let low = day;
+        let high = next;
+        while (high - low > MINUTE_MS) {
+          const mid = low + Math.floor((high - low) / 2 / MINUTE_MS) * MINUTE_MS;
+          if (getZoneOffset(mid, zone) === offset) low = mid;
+          else high = mid;
+        }
+        transitions.push({ instant: high, wall: high + offset * MINUTE_MS, from: offset, to: nextOffset });
+        offset = nextOffset;
+      }
+      day = next;
+    }
+    return transitions;
+  }
+
+  function getZoneName(instant, zone) {
+    const part = new Intl.DateTimeFormat('en-GB', { timeZone: zone, timeZoneName: 'short' })
+      .formatToParts(new Date(instant))
+      .find(p => p.type === 'timeZoneName');
+    return part ? part.value : zone;
+  }
+
+  function getTransitionRule(transitions) {
+    // A yearly RRULE such as "last Sunday in March" when every transition given follows it
+    const dates = transitions.map(t => new Date(t.wall));
+    const first = dates[0];
+    const time = d => d.getUTCHours() * 60 + d.getUTCMinutes();
+    const daysInMonth = d => new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+    const same = dates.every(d => d.getUTCMonth() === first.getUTCMonth() && d.getUTCDay() === first.getUTCDay() &&
+      time(d) === time(first));
+    if (dates.length < 2 || !same) return null;
+
+    const week = Math.ceil(first.getUTCDate() / 7);
+    let n = null;
+    if (week < 5 && dates.every(d => Math.ceil(d.getUTCDate() / 7) === week)) n = week;
+    else if (dates.every(d => d.getUTCDate() + 7 > daysInMonth(d))) n = -1;
+    return n === null ? null : `FREQ=YEARLY;BYMONTH=${first.getUTCMonth() + 1};BYDAY=${n}${ICAL_DAYS[first.getUTCDay()]}`;
+  }
+
+  function formatVtimezone(zone, fromYear, toYear) {
+    // Observances from the year before the first event, so the offset in force at DTSTART is defined.
+    // Transitions that repeat on a yearly pattern are written once with an RRULE.
+    const transitions = findZoneTransitions(zone, fromYear - 1, Math.max(toYear, fromYear + 1));
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`];
+    const observance = (t, rule) => {
+      const kind = t.to > t.from ? 'DAYLIGHT' : 'STANDARD';
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${formatIcalWallTime(t.wall)}`,
+        `TZOFFSETFROM:${formatIcalOffset(t.from)}`,
+        `TZOFFSETTO:${formatIcalOffset(t.to)}`,
+        `TZNAME:${getZoneName(t.instant, zone)}`
+      );
+      if (rule) lines.push(`RRULE:${rule}`);
+      lines.push(`END:${kind}`);
+    };
+
+    if (transitions.length === 0) {
+      const offset = getZoneOffset(Date.UTC(fromYear, 0, 1), zone);
+      observance({ instant: Date.UTC(fromYear, 0, 1), wall: Date.UTC(1970, 0, 1), from: offset, to: offset }, null);
+    } else {
+      [true, false].forEach(forward => {
+        const group = transitions.filter(t => (t.to > t.from) === forward);
+        if (group.length === 0) return;
+        const rule = getTransitionRule(group);
+        if (rule) observance(group[0], rule);
+        else group.forEach(t => observance(t, null));
+      });
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+  }
+
+  function exportIcal(parsed, timezone, options = {}) {
+    // Returns { text, rule }: one recurring event when an RRULE fits and options.mode is not
+    // 'instances', otherwise one event for each of the next options.count runs (rule is null).
+    const zone = resolveTimezone(timezone);
+    let rule = null;
+    if (options.mode !== 'instances') {
+      try {
+        rule = formatRrule(parsed, zone);
+      } catch (e) {
+        rule = null;
+      }
+    }
+
+    const runs = getNextRuns(parsed, rule ? 1 : options.count || 10, timezone, options.from);
+    if (runs.length === 0) {
+      throw new Error('This schedule has no upcoming runs to put in a calendar.');
+    }
+
+    // A stable UID lets calendars update the events when the same schedule is imported again
+    const summary = options.summary || Object.values(parsed.text).join(' ');
+    const uid = Array.from(md5(new TextEncoder().encode(`${parsed.dialect} ${summary} ${zone}`)), b => b.toString(16).padStart(2, '0')).join('');
+    const stamp = `${formatIcalWallTime(Date.now())}Z`;
+    const walls = runs.map(run => getWallTime(run.date.getTime(), zone));
+    const event = (start, index, extra) => [
+      'BEGIN:VEVENT',
+      `UID:${uid}${index === null ? '' : `-${index}`}@nettools.im`,
+      `DTSTAMP:${stamp}`,
+      start,
+      `DURATION:${ICAL_EVENT_DURATION}`,
+      ...extra,
+      `SUMMARY:${escapeIcalText(`Cron: ${summary}`)}`,
+      ...(options.description ? [`DESCRIPTION:${escapeIcalText(options.description)}`] : []),
+      'END:VEVENT'
+    ];
+
+    const events = [];
+    if (rule) {
+      events.push(...event(`DTSTART;TZID=${zone}:${formatIcalWallTime(runs[0].scheduled)}`, null, [`RRULE:${rule}`]));
+    } else {
+      runs.forEach((run, idx) => {
+        // The second pass of a repeated hour cannot be told apart by local time, so it is given in UTC
+        const repeated = resolveWallTime(walls[idx], zone).instants[0] !== run.date.getTime();
+        const start = repeated
+          ? `DTSTART:${formatIcalWallTime(run.date.getTime())}Z`
+          : `DTSTART;TZID=${zone}:${formatIcalWallTime(walls[idx])}`;
+        events.push(...event(start, run.date.getTime(), []));
+      });
+    }
+
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//nettools.im//Crontab Helper//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      ...formatVtimezone(zone, new Date(walls[0]).getUTCFullYear(), new Date(walls[walls.length - 1]).getUTCFullYear()),
+      ...events,
+      'END:VCALENDAR'
+    ];
+    return { text: lines.map(foldIcalLine).join('\r\n') + '\r\n', rule: rule };
+  }
+
+  function parseCalendarValues(text, label, names) {
+    // Translates one OnCalendar component ("01..05", "00/15", "Mon..Fri") into cron syntax
+    if (text === '*') return '*';
+    return text.split(',').map(item => {
+      if (names) {
+        const [from, to] = item.split('..').map(name => {
+          const lower = name.toLowerCase();
+          const idx = names.findIndex((day, i) => lower === day.toLowerCase() || lower === DAY_NAMES[i].toLowerCase());
+          if (idx === -1) throw new Error(`Unknown ${label} "${name}" in OnCalendar spec`);
+          return DAY_ABBR[idx];
+        });
+        return to ? `${from}-${to}` : from;
+      }
+      const match = item.match(/^(\d+)(?:\.\.(\d+))?(?:\/(\d+))?$/);
+      if (!match) throw new Error(`Invalid ${label} "${item}" in OnCalendar spec`);
+      const start = parseInt(match[1], 10);
+      let result = match[2] !== undefined ? `${start}-${parseInt(match[2], 10)}` : `${start}`;
+      if (match[3] !== undefined) result += `/${parseInt(match[3], 10)}`;
+      return result;
+    }).join(',');
+  }
+
+  function parseOnCalendar(spec) {
+    // Reads a systemd OnCalendar value into a Quartz (or Spring) expression and an optional timezone
+    let tokens = spec.trim().replace(/^OnCalendar\s*=\s*/i, '').split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) throw new Error('Enter an OnCalendar spec, such as Mon..Fri *-*-* 09:00');
+
+    let timezone = null;
+    const last = tokens[tokens.length - 1];
+    if (tokens.length > 1 && /^(UTC|[A-Za-z_]+\/[A-Za-z0-9_+\-\/]+)$/.test(last)) {
+      if (!isKnownTimezone(last)) {
+        throw new Error(`Unknown timezone "${last}" in OnCalendar spec`);
+      }
+      timezone = last;
+      tokens = tokens.slice(0, -1);
+    }
+
+    if (tokens.length === 1 && CALENDAR_SHORTHANDS[tokens[0].toLowerCase()]) {
+      tokens = CALENDAR_SHORTHANDS[tokens[0].toLowerCase()].split(' ');
+    }
+
+    let weekdays = '*';
+    if (/^[A-Za-z.,]+$/.test(tokens[0])) {
+      weekdays = parseCalendarValues(tokens.shift(), 'weekday', CALENDAR_DAYS);
+    }
+
+    let date = '*-*-*';
+    let time = '00:00:00';
+    tokens.forEach(token => {
+      if (token.includes(':')) time = token;
+      else date = token;
+    });
+    if (tokens.length > 2 || (tokens.length === 2 && !tokens[1].includes(':'))) {
+      throw new Error(`Unexpected "${tokens[tokens.length - 1]}" in OnCalendar spec`);
+    }
+
+    const dateMatch = date.match(/^(?:([^-~]+)-)?([^-~]+)([-~])([^-~]+)$/);
+    if (!dateMatch) throw new Error(`Invalid date "${date}" in OnCalendar spec`);
+    const timeParts = time.split(':');
+    if (timeParts.length < 2 || timeParts.length > 3) throw new Error(`Invalid time "${time}" in OnCalendar spec`);
+
+    const fields = {
+      second: parseCalendarValues(timeParts[2] !== undefined ? timeParts[2] : '00', 'second'),
+      minute: parseCalendarValues(timeParts[1], 'minute'),
+      hour: parseCalendarValues(timeParts[0], 'hour'),
+      dayOfMonth: '*',
+      month: parseCalendarValues(dateMatch[2], 'month'),
+      dayOfWeek: weekdays,
+      year: dateMatch[1] !== undefined ? parseCalendarValues(dateMatch[1], 'year') : '*'
+    };
+
+    const day = dateMatch[4];
+    if (dateMatch[3] === '~') {
+      // "~01" counts back from the last day; "Fri *-*~07/1" is the last Friday
+      if (/^0*7\/1$/.test(day) && /^[A-Z]{3}$/.test(weekdays)) {
+        fields.dayOfWeek = `${weekdays}L`;
+      } else if (/^\d+$/.test(day) && parseInt(day, 10) >= 1) {
+        const offset = parseInt(day, 10) - 1;
+        fields.dayOfMonth = offset > 0 ? `L-${offset}` : 'L';
+      } else {
+        throw new Error(`Cannot translate "~${day}" from the OnCalendar spec`);
+      }
+    } else {
+      fields.dayOfMonth = parseCalendarValues(day, 'day');
+      // "Mon *-*-15..21" is the third Monday
+      const week = fields.dayOfMonth.match(/^(\d+)-(\d+)$/);
+      if (week && /^[A-Z]{3}$/.test(weekdays) && week[1] % 7 === 1 && week[2] - week[1] === 6 && week[2] <= 28) {
+        fields.dayOfWeek = `${weekdays}#${(parseInt(week[1], 10) + 6) / 7}`;
+        fields.dayOfMonth = '*';
+      }
+    }
+
+    // Quartz needs "?" in one day field; a spec restricting both needs Spring's AND matching
+    let dialect = 'quartz';
+    if (fields.dayOfMonth !== '*' && fields.dayOfWeek !== '*') {
+      if (fields.year !== '*') {
+        throw new Error('This OnCalendar spec limits the date, weekday and year at once, which no cron dialect here can express.');
+      }
+      dialect = 'spring';
+      delete fields.year;
+    } else if (fields.dayOfWeek !== '*') {
+      fields.dayOfMonth = '?';
+    } else {
+      fields.dayOfWeek = '?';
+    }
+    if (fields.year === '*') delete fields.year;
+
+    const expression = DIALECTS[dialect].fields.filter(name => fields[name] !== undefined).map(name => fields[name]).join(' ');
+    return { parsed: parseCronExpression(expression, dialect), timezone };
+  }
+
+  // ============================================
+  // Crontab File Functions
+  // ============================================
+
+  function describeEnvironment(name, value) {
+    switch (name) {
+      case 'MAILTO':
+        return value ? `Mails job output to ${value}` : 'Turns off output mail';
+      case 'SHELL':
+        return `Runs commands with ${value}`;
+      case 'PATH':
+        return `Looks up commands in ${value}`;
+      case 'CRON_TZ':
+        return `Schedules the entries below in ${value}`;
+      default:
+        return `Sets ${name} for the commands below`;
+    }
+  }
+
+  function lintCrontabLine(line, options, env) {
+    // Returns one entry for a job or environment line, or null for blanks and comments
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return null;
+
+    const envMatch = trimmed.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (envMatch) {
+      const name = envMatch[1];
+      const value = envMatch[2].replace(/^(["'])(.*)\1$/, '$2');
+      const entry = { kind: 'env', schedule: `${name}=${envMatch[2]}`, description: describeEnvironment(name, value), errors: [], warnings: [] };
+      env[name] = value;
+      if (name === 'CRON_TZ' && !isKnownTimezone(value)) {
+        entry.errors.push(`Unknown timezone "${value}"`);
+        entry.description = 'Ignored; entries below use the system timezone';
+        env.CRON_TZ = undefined;
+      }
+      return entry;
+    }
+
+    const entry = { kind: 'job', schedule: '', user: null, command: '', description: '', errors: [], warnings: [] };
+    const fieldCount = trimmed.startsWith('@') ? 1 : 5;
+    const tokens = trimmed.split(/\s+/);
+    entry.schedule = tokens.slice(0, fieldCount).join(' ');
+    let rest = tokens.length > fieldCount
+      ? trimmed.replace(new RegExp(`^(\\S+\\s+){${fieldCount}}`), '')
+      : '';
+
+    if (options.system) {
+      const userMatch = rest.match(/^(\S+)\s*(.*)$/);
+      if (userMatch) {
+        entry.user = userMatch[1];
+        rest = userMatch[2];
+      }
+    }
+    entry.command = rest;
+
+    if (tokens.length < fieldCount) {
+      entry.errors.push(`Expected 5 time fields, found ${tokens.length}`);
+      return entry;
+    }
+    if (options.system && !entry.user) {
+      entry.errors.push('Missing user and command: system crontabs have a user column after the schedule');
+    } else if (!entry.command) {
+      entry.errors.push(options.system ? 'Missing command after the user column' : 'Missing command after the schedule');
+    }
+
+    const extraField = tokens[fieldCount];
+    if (fieldCount === 5 && extraField && /^[\d*\/,-]+$/.test(extraField)) {
+      entry.warnings.push(`"${extraField}" after the schedule looks like a sixth time field. Standard cron has no seconds or year field, so it is read as ${options.system ? 'the user' : 'part of the command'}.`);
+    }
+
+    if (/(^|[^\\])%/.test(entry.command)) {
+      entry.warnings.push('Unescaped % in the command: cron turns it into a newline and feeds the rest to standard input. Write \\% instead.');
+    }
+
+    if (entry.schedule.toLowerCase() === '@reboot') {
+      entry.description = 'At system startup.';
+      return entry;
+    }
+
+    let parsed;
+    try {
+      parsed = parseCronExpression(entry.schedule, 'vixie');
+    } catch (e) {
+      entry.errors.push(e.message);
+      return entry;
+    }
+    entry.description = generateDescription(parsed, options.description);
+
+    if (getDayMatching(parsed) === 'either') {
+      entry.warnings.push('Day of month and day of week are both restricted, so this runs when either one matches, not only when both do.');
+    }
+    const timezone = env.CRON_TZ || 'local';
+    if (getNextRuns(parsed, 1, timezone).length === 0) {
+      entry.warnings.push('This schedule never matches a real date, so the job will never run.');
+    }
+    return entry;
+  }
+
+  function lintCrontab(text, options = {}) {
+    // Walks a whole crontab file, returning per-line entries and warnings about the file itself
+    const env = {};
+    const entries = [];
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') lines.pop();
+
+    lines.forEach((raw, idx) => {
+      const entry = lintCrontabLine(raw.replace(/\r$/, ''), options, env);
+      if (!entry) return;
+      entry.line = idx + 1;
+      if (entry.kind === 'job') {
+        // Environment lines only apply to the entries after them
+        entry.timezone = env.CRON_TZ || null;
+        entry.pathSet = env.PATH !== undefined;
+      }
+      entries.push(entry);
+    });
+
+    const warnings = [];
+    const jobs = entries.filter(entry => entry.kind === 'job' && entry.errors.length === 0);
+    const bareCommands = jobs.filter(job => !job.pathSet && !job.command.startsWith('/'));
+    if (bareCommands.length > 0) {
+      const lineList = bareCommands.map(job => job.line).join(', ');
+      warnings.push(`PATH is not set before line${bareCommands.length !== 1 ? 's' : ''} ${lineList}, so cron uses a minimal default (usually /usr/bin:/bin). Use full paths, or set PATH at the top of the file.`);
+    }
+    if (text.length > 0 && !text.endsWith('\n')) {
+      warnings.push('The file does not end with a newline. Many cron versions ignore the last line, or reject the whole file.');
+    }
+
+    return { entries, warnings };
+  }
+
+  // ============================================
+  // Collision Functions
+  // ============================================
+
+  const RUN_BATCH_SIZE = 60;
+  const MAX_JITTER_MINUTES = 30;
+
+  function parseNamedExpressions(text, dialectKey) {
+    // One job per line as "name: expression"; unnamed lines are numbered
+    const jobs = [];
+    const errors = [];
+    text.split('\n').forEach((raw, idx) => {
+      const line = raw.trim();
+      if (!line || line.startsWith('#')) return;
+      const colon = line.indexOf(':');
+      const name = colon > 0 ? line.slice(0, colon).trim() : `Job ${jobs.length + errors.length + 1}`;
+      const expression = colon > 0 ? line.slice(colon + 1).trim() : line;
+      try {
+        // Jenkins hashes H from the job name
+        jobs.push({ name, expression, parsed: parseCronExpression(expression, dialectKey, { seed: name }) });
+      } catch (e) {
+        errors.push(`Line ${idx + 1} (${name}): ${e.message}`);
+      }
+    });
+    return { jobs, errors };
+  }
+
+  function getLoadWindow(view, timezone) {
+    // Wall-clock bounds of the week starting today, or of the current calendar month
+    const zone = resolveTimezone(timezone);
+    const today = new Date(getWallTime(Date.now(), zone));
+    const start = view === 'month'
+      ? Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1)
+      : Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+    const end = view === 'month'
+      ? Date.UTC(today.getUTCFullYear(), today.getUTCMonth() + 1, 1)
+      : start + 7 * DAY_MS;
+    return { start, end, days: Math.round((end - start) / DAY_MS) };
+  }
+
+  function getRunMinutes(parsed, timezone, window) {
+    // Wall-clock minutes a job fires in. Days with a DST change go through getNextRuns;
+    // on other days wall times map one to one onto instants, so matching wall times is
+    // enough. Jobs that fire several times a minute count once per minute, with
+    // perMinute runs each, and a repeated hour in an overlap counts once.
+    const zone = resolveTimezone(timezone);
+    const perMinute = parsed.second.values.length;
+    const byMinute = { ...parsed, second: { ...parsed.second, values: [parsed.second.values[0]] } };
+    const minutes = [];
+    const seen = new Set();
+    const add = wall => {
+      const minute = Math.floor(wall / MINUTE_MS) * MINUTE_MS;
+      if (!seen.has(minute)) {
+        seen.add(minute);
+        minutes.push(minute);
+      }
+    };
+
+    for (let day = window.start; day < window.end; day += DAY_MS) {
+      const dayEnd = day + DAY_MS;
+      // Zone offsets stay within 14 hours of UTC, so these instants bracket the whole day
+      const steady = getZoneOffset(day - 14 * HOUR_MS, zone) === getZoneOffset(dayEnd + 14 * HOUR_MS, zone);
+
+      if (steady) {
+        // The date fields either match the whole day or none of it, so one search decides
+        // the day and its times are every listed hour and minute
+        if (findNextWallTime(byMinute, day, dayEnd) !== null) {
+          parsed.hour.values.forEach(hour => {
+            parsed.minute.values.forEach(minute => add(day + hour * HOUR_MS + minute * MINUTE_MS));
+          });
+        }
+        continue;
+      }
+
+      const resolved = resolveWallTime(day, zone);
+      let from = (resolved.instants.length > 0 ? resolved.instants[0] : resolved.transition) - 1;
+      let done = false;
+      while (!done) {
+        const runs = getNextRuns(byMinute, RUN_BATCH_SIZE, timezone, from);
+        for (const run of runs) {
+          const wall = run.dst ? getWallTime(run.date.getTime(), zone) : run.scheduled;
+          if (wall >= dayEnd) {
+            done = true;
+            break;
+          }
+          if (wall >= day) add(wall);
+        }
+        if (runs.length < RUN_BATCH_SIZE) done = true;
+        else from = runs[runs.length - 1].date.getTime();
+      }
+    }
+
+    return { minutes, perMinute };
+  }
+
+  function buildScheduleLoad(jobs, timezone, view) {
+    // Maps every wall-clock minute in the window to the jobs firing in it
+    const window = getLoadWindow(view, timezone);
+    const slots = new Map();
+    const cells = new Array(window.days * 24).fill(0);
+
+    jobs.forEach((job, jobIdx) => {
+      const { minutes, perMinute } = getRunMinutes(job.parsed, timezone, window);
+      job.minutes = minutes;
+      minutes.forEach(minute => {
+        if (!slots.has(minute)) slots.set(minute, []);
+        slots.get(minute).push(jobIdx);
+        cells[Math.floor((minute - window.start) / HOUR_MS)] += perMinute;
+      });
+    });
+
+    return { window, slots, cells };
+  }
+
+  function describeSlotDays(days, window) {
+    // "every day", "on Sundays", or the first few dates
+    const weekdays = new Set(days.map(day => new Date(day).getUTCDay()));
+    if (days.length === window.days) return 'every day';
+    if (weekdays.size === 1) {
+      const weekday = days.length > 0 ? new Date(days[0]).getUTCDay() : 0;
+      let total = 0;
+      for (let day = window.start; day < window.end; day += DAY_MS) {
+        if (new Date(day).getUTCDay() === weekday) total++;
+      }
+      if (total === days.length && total > 1) return `on ${DAY_NAMES[weekday]}s`;
+    }
+    const dates = days.slice(0, 3).map(day => {
+      const date = new Date(day);
+      return `${DAY_NAMES[date.getUTCDay()].slice(0, 3)} ${date.getUTCDate()} ${MONTH_NAMES[date.getUTCMonth() + 1].slice(0, 3)}`;
+    });
+    const more = days.length > 3 ? ` and ${days.length - 3} more day${days.length - 3 !== 1 ? 's' : ''}` : '';
+    return `on ${dates.join(', ')}${more}`;
+  }
+
+  function findHotspots(jobs, load, limit = 10) {
+    // Groups minutes where two or more jobs fire by time of day and the set of jobs,
+    // then merges back-to-back minutes shared by the same jobs on the same days
+    const groups = new Map();
+    load.slots.forEach((jobIdxs, minute) => {
+      if (jobIdxs.length < 2) return;
+      const timeOfDay = minute % DAY_MS;
+      const key = `${timeOfDay}|${jobIdxs.join(',')}`;
+      if (!groups.has(key)) groups.set(key, { timeOfDay, jobIdxs, days: [] });
+      groups.get(key).days.push(minute - timeOfDay);
+    });
+
+    const merged = [];
+    const open = new Map();
+    Array.from(groups.values()).sort((a, b) => a.timeOfDay - b.timeOfDay).forEach(group => {
+      const key = `${group.jobIdxs.join(',')}|${group.days.join(',')}`;
+      const previous = open.get(key);
+      if (previous && previous.endOfDay + MINUTE_MS === group.timeOfDay) {
+        previous.endOfDay = group.timeOfDay;
+        return;
+      }
+      const range = { ...group, endOfDay: group.timeOfDay };
+      open.set(key, range);
+      merged.push(range);
+    });
+
+    const clock = timeOfDay => {
+      const time = new Date(timeOfDay);
+      return formatTime(time.getUTCHours(), time.getUTCMinutes());
+    };
+
+    return merged
+      .sort((a, b) => b.jobIdxs.length - a.jobIdxs.length || b.days.length - a.days.length || a.timeOfDay - b.timeOfDay)
+      .slice(0, limit)
+      .map(group => ({
+        count: group.jobIdxs.length,
+        jobIdxs: group.jobIdxs,
+        at: group.endOfDay === group.timeOfDay
+          ? `at ${clock(group.timeOfDay)}`
+          : `every minute from ${clock(group.timeOfDay)} to ${clock(group.endOfDay)}`,
+        when: describeSlotDays(group.days, load.window),
+        names: group.jobIdxs.map(idx => jobs[idx].name)
+      }));
+  }
+
+  function shiftMinute(parsed, offset) {
+    const dialect = DIALECTS[parsed.dialect];
+    const minute = String(parsed.minute.values[0] + offset);
+    return convertExpression({ ...parsed, text: { ...parsed.text, minute }, minute: parseField(minute, 'minute', dialect) }, parsed.dialect);
+  }
+
+  function suggestJitter(jobs, load, hotspots, limit = 3) {
+    // Moves all but the first job in the worst hotspots to the quietest minute later in the same hour
+    const suggestions = [];
+    const moved = new Set();
+    const slotCount = minute => (load.slots.has(minute) ? load.slots.get(minute).length : 0);
+
+    hotspots.slice(0, limit).forEach(hotspot => {
+      hotspot.jobIdxs.slice(1).forEach(jobIdx => {
+        if (moved.has(jobIdx)) return;
+        moved.add(jobIdx);
+        const job = jobs[jobIdx];
+        const minuteField = job.parsed.minute;
+
+        if (minuteField.values.length !== 1) {
+          suggestions.push({ name: job.name, expression: job.expression, advice: 'Its minute field repeats, so add a random delay at the start of its command instead.' });
+          return;
+        }
+
+        let best = null;
+        const maxOffset = Math.min(MAX_JITTER_MINUTES, 59 - minuteField.values[0]);
+        for (let offset = 1; offset <= maxOffset; offset++) {
+          const cost = job.minutes.reduce((sum, minute) => sum + slotCount(minute + offset * MINUTE_MS), 0);
+          if (best === null || cost < best.cost) best = { offset, cost };
+        }
+        if (best === null) {
+          suggestions.push({ name: job.name, expression: job.expression, advice: 'It already runs at the end of the hour, so move it to a quieter hour instead.' });
+          return;
+        }
+
+        // Record the move so later suggestions see the new load
+        job.minutes.forEach(minute => {
+          const remaining = load.slots.get(minute).filter(idx => idx !== jobIdx);
+          load.slots.set(minute, remaining);
+          const target = minute + best.offset * MINUTE_MS;
+          load.slots.set(target, [...(load.slots.get(target) || []), jobIdx]);
+        });
+        job.minutes = job.minutes.map(minute => minute + best.offset * MINUTE_MS);
+
+        suggestions.push({
+          name: job.name,
+          expression: job.expression,
+          suggested: shiftMinute(job.parsed, best.offset),
+          advice: `Move it ${best.offset} minute${best.offset !== 1 ? 's' : ''} later.`
+        });
+      });
+    });
+
+    return suggestions;
+  }
+
+  // ============================================
+  // Phrase Parsing
+  // ============================================
+
+  const PHRASE_DAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|wed|thurs|thur|thu|fri|sat)s?';
+  const PHRASE_MONTH = '(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec)';
+  const PHRASE_CLOCK = 'noon|midnight|\\d{1,2}:\\d{2}\\s*(?:am|pm)?|\\d{1,2}\\s*(?:am|pm)';
+  const PHRASE_ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, fifth: 5, '5th': 5, last: 'last' };
+  const PHRASE_FILLER = /\b(?:run|runs|running|it|job|every|each|on|at|the|and|of|in|a|an|day|days|month|months|time|times|per|only|also|from|to|please)\b|[,.]/g;
+
+  function phraseDay(name) {
+    return ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'].indexOf(name.slice(0, 3));
+  }
+
+  function phraseMonth(name) {
+    return ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'].indexOf(name.slice(0, 3)) + 1;
+  }
+
+  function phraseClock(text) {
+    // "9:30", "5pm", "12:15am", "noon" or a bare hour, as [hour, minute]
+    text = text.trim();
+    if (text === 'noon') return [12, 0];
+    if (text === 'midnight') return [0, 0];
+    const match = text.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/);
+    let hour = parseInt(match[1], 10);
+    const minute = match[2] !== undefined ? parseInt(match[2], 10) : 0;
+    if (match[3] && (hour < 1 || hour > 12)) throw new Error(`"${text}" is not a valid time`);
+    if (match[3] === 'pm' && hour < 12) hour += 12;
+    if (match[3] === 'am' && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) throw new Error(`"${text}" is not a valid time`);
+    return [hour, minute];
+  }
+
+  function phraseStep(count) {
+    if (count === undefined) return 1;
+    if (count === 'other') return 2;
+    const step = parseInt(count, 10);
+    if (step < 1) throw new Error('Repeat every 1 or more units');
+    return step;
+  }
+
+  function readPhrase(phrase) {
+    // Picks the phrase apart into a spec, consuming each part it understands
+    let text = ` ${phrase.toLowerCase().replace(/a\.m\./g, 'am').replace(/p\.m\./g, 'pm').replace(/o'?clock/g, '').replace(/[–—]/g, '-')} `;
+    const spec = { times: [], dom: [], dow: [], months: [] };
+    const take = (pattern, handler) => {
+      text = text.replace(new RegExp(pattern, 'g'), (...match) => {
+        handler(match);
+        return ' ';
+      });
+    };
+    const dayRange = (from, to) => {
+      const days = [];
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.push(day);
+        if (day === to) return days;
+      }
+    };
+
+    take('(?:@reboot|\\b(?:at|on) (?:startup|boot|reboot)\\b)', () => { spec.reboot = true; });
+    take(`\\b(first|second|third|fourth|fifth|1st|2nd|3rd|4th|5th|last) ${PHRASE_DAY}(?: of (?:the|each|every) month)?\\b`, match => {
+      spec.nth = { n: PHRASE_ORDINALS[match[1]], day: phraseDay(match[2]) };
+    });
+    take('\\b(?:last day|end) of (?:the|each|every) month\\b|\\blast day\\b', () => { spec.lastDay = true; });
+    take('\\bevery (?:(\\d+|other) )?seconds?\\b', match => { spec.secondStep = phraseStep(match[1]); });
+    take('\\b(?:fortnightly|every fortnight)\\b', () => { spec.weekStep = 2; });
+    take('\\bevery (\\d+|other) weeks?\\b', match => { spec.weekStep = phraseStep(match[1]); });
+    take(`\\b(?:between|from) (${PHRASE_CLOCK}|\\d{1,2}) (?:and|to|until|till) (${PHRASE_CLOCK}|\\d{1,2})\\b`, match => {
+      spec.window = [phraseClock(match[1]), phraseClock(match[2])];
+    });
+    take('\\bevery (?:(\\d+|other) )?(?:minutes?|mins?)\\b', match => { spec.minuteStep = phraseStep(match[1]); });
+    take('\\b(?:every (?:(\\d+|other) )?hours?|hourly)\\b', match => { spec.hourStep = phraseStep(match[1]); });
+    take('\\b(?:every (\\d+|other) days?)\\b', match => { spec.dayStep = phraseStep(match[1]); });
+    take('\\b(?:every day|each day|daily|nightly)\\b', () => { spec.daily = true; });
+    take('\\b(?:week ?days?|working days?|business days?)\\b', () => { spec.dow.push(1, 2, 3, 4, 5); });
+    take('\\bweekends?\\b', () => { spec.dow.push(0, 6); });
+    take(`\\b${PHRASE_DAY} ?(?:-|to|through|thru|until) ?${PHRASE_DAY}\\b`, match => {
+      spec.dow.push(...dayRange(phraseDay(match[1]), phraseDay(match[2])));
+    });
+    take(`\\b${PHRASE_DAY}\\b`, match => { spec.dow.push(phraseDay(match[1])); });
+    take('\\b(?:weekly|every week|once a week)\\b', () => { spec.weekly = true; });
+    take('\\b(?:quarterly|every quarter)\\b', () => { spec.months.push(1, 4, 7, 10); spec.monthly = true; });
+    take('\\b(?:yearly|annually|every year|once a year)\\b', () => { spec.yearly = true; });
+    take('\\b(?:monthly|every month|each month|once a month)\\b', () => { spec.monthly = true; });
+    take(`\\b${PHRASE_MONTH} ?(?:-|to|through|thru|until) ?${PHRASE_MONTH}\\b`, match => {
+      const from = phraseMonth(match[1]);
+      const to = phraseMonth(match[2]);
+      for (let month = from; ; month = month % 12 + 1) {
+        spec.months.push(month);
+        if (month === to) break;
+      }
+    });
+    take(`\\b${PHRASE_MONTH}\\b`, match => { spec.months.push(phraseMonth(match[1])); });
+    take('\\b(\\d{1,2})(?:st|nd|rd|th)\\b|\\bday (\\d{1,2})\\b', match => {
+      const day = parseInt(match[1] || match[2], 10);
+      if (day < 1 || day > 31) throw new Error(`There is no day ${day} in a month`);
+      spec.dom.push(day);
+    });
+    take(`\\b(${PHRASE_CLOCK})`, match => { spec.times.push(phraseClock(match[1])); });
+    take('\\bat (\\d{1,2})\\b', match => { spec.times.push(phraseClock(match[1])); });
+
+    const leftover = text.replace(PHRASE_FILLER, ' ').trim().replace(/\s+/g, ' ');
+    if (leftover) {
+      throw new Error(`Could not understand "${leftover}". Try something like "every weekday at 9:30 and 17:30".`);
+    }
+    return spec;
+  }
+
+  function compressCronValues(values, fieldName) {
+    // "*/15", "9-17/2", "1-5" or a plain list
+    const { min, max } = FIELD_RANGES[fieldName];
+    const sorted = [...new Set(values)].sort((a, b) => a - b);
+    if (sorted.length > 2) {
+      const step = sorted[1] - sorted[0];
+      const repeats = sorted.every((v, i) => v === sorted[0] + i * step);
+      if (step > 1 && repeats) {
+        return sorted[0] === min && sorted[sorted.length - 1] + step > max
+          ? `*/${step}`
+          : `${sorted[0]}-${sorted[sorted.length - 1]}/${step}`;
+      }
+    }
+    return compressRuns(sorted, String, '-');
+  }
+
+  function groupTimes(times) {
+    // One [minute, hour] field pair per set of minutes sharing the same hours
+    const hoursByMinute = new Map();
+    times.forEach(([hour, minute]) => {
+      if (!hoursByMinute.has(minute)) hoursByMinute.set(minute, new Set());
+      hoursByMinute.get(minute).add(hour);
+    });
+    const groups = new Map();
+    Array.from(hoursByMinute.keys()).sort((a, b) => a - b).forEach(minute => {
+      const hours = Array.from(hoursByMinute.get(minute)).sort((a, b) => a - b);
+      const key = hours.join(',');
+      if (!groups.has(key)) groups.set(key, { minutes: [], hours });
+      groups.get(key).minutes.push(minute);
+    });
+    return Array.from(groups.values()).map(group => [compressCronValues(group.minutes, 'minute'), compressCronValues(group.hours, 'hour')]);
+  }
+
+  function phraseTimeFields(spec, notes) {
+    // Returns the [minute, hour] pairs the schedule needs, one per crontab line
+    const windowHours = (inclusive, step = 1) => {
+      const [[startHour], [endHour, endMinute]] = spec.window;
+      const last = inclusive || endMinute > 0 ? endHour : (endHour + 23) % 24;
+      const hours = [];
+      for (let hour = startHour, i = 0; ; hour = (hour + 1) % 24, i++) {
+        if (i % step === 0) hours.push(hour);
+        if (hour === last) return hours;
+      }
+    };
+    if (spec.window && (spec.window[0][1] > 0 || spec.window[1][1] > 0)) {
+      notes.push('Cron steps start on the hour, so the time window is rounded to whole hours.');
+    }
+
+    if (spec.minuteStep && spec.minuteStep >= 60) {
+      if (spec.minuteStep % 60 === 0) {
+        spec.hourStep = spec.minuteStep / 60;
+      } else {
+        // Longer than an hour: list the times of day and group them into lines
+        if (DAY_MS / MINUTE_MS % spec.minuteStep !== 0) {
+          notes.push(`${spec.minuteStep} minutes does not divide a day evenly, so the cycle restarts at midnight.`);
+        }
+        const times = [];
+        for (let t = 0; t < 1440; t += spec.minuteStep) times.push([Math.floor(t / 60), t % 60]);
+        return groupTimes(times);
+      }
+    }
+
+    if (spec.minuteStep) {
+      if (60 % spec.minuteStep !== 0) {
+        notes.push(`${spec.minuteStep} minutes does not divide an hour evenly, so the count restarts at the top of each hour.`);
+      }
+      const minute = spec.minuteStep === 1 ? '*' : `*/${spec.minuteStep}`;
+      if (!spec.window) return [[minute, '*']];
+      // "until 17:00" includes 17:00 itself, which needs a line of its own
+      const pairs = [[minute, compressCronValues(windowHours(false), 'hour')]];
+      if (spec.window[1][1] === 0) pairs.push(['0', String(spec.window[1][0])]);
+      return pairs;
+    }
+
+    if (spec.hourStep) {
+      if (24 % spec.hourStep !== 0) {
+        notes.push(`${spec.hourStep} hours does not divide a day evenly, so the count restarts at midnight.`);
+      }
+      const minute = spec.times.length > 0 ? compressCronValues(spec.times.map(time => time[1]), 'minute') : '0';
+      if (spec.window) return [[minute, compressCronValues(windowHours(true, spec.hourStep), 'hour')]];
+      return [[minute, spec.hourStep === 1 ? '*' : `*/${spec.hourStep}`]];
+    }
+
+    if (spec.window) {
+      throw new Error('A time window needs a repeat, such as "every 15 minutes between 9am and 5pm".');
+    }
+    if (spec.times.length === 0) {
+      notes.push('No time given, so it runs at midnight.');
+      return [['0', '0']];
+    }
+    return groupTimes(spec.times);
+  }
+
+  function buildFromPhrase(phrase) {
+    // Returns { lines, reason, alternatives, notes }: lines together express the phrase in
+    // standard cron; when they cannot, reason says why and alternatives come close
+    const spec = readPhrase(phrase);
+    const result = { lines: [], reason: null, alternatives: [], notes: [] };
+    const notes = result.notes;
+
+    if (spec.reboot) {
+      result.lines.push({ expression: '@reboot', dialect: 'vixie' });
+      return result;
+    }
+    if (spec.secondStep) {
+      result.reason = 'Standard cron counts in minutes, so it cannot run more than once a minute.';
+      result.alternatives.push({ expression: `*/${spec.secondStep} * * * * *`, dialect: 'spring' });
+      result.alternatives.push({ expression: '* * * * *', dialect: 'vixie', note: `Loop inside the command, sleeping ${spec.secondStep} seconds between runs.` });
+      return result;
+    }
+    if (Object.keys(spec).every(key => Array.isArray(spec[key]) && spec[key].length === 0)) {
+      throw new Error('Describe when the job should run, for example "every weekday at 9:30".');
+    }
+
+    let month = spec.months.length > 0 ? compressCronValues(spec.months, 'month') : '*';
+    let dom = spec.dom.length > 0 ? compressCronValues(spec.dom, 'dayOfMonth') : '*';
+    let dow = spec.dow.length > 0 ? compressCronValues(spec.dow, 'dayOfWeek') : '*';
+    const hasDay = spec.dom.length > 0 || spec.dow.length > 0 || spec.nth || spec.lastDay;
+
+    if (spec.yearly && month === '*') month = '1';
+    if ((spec.yearly || spec.monthly) && !hasDay) dom = '1';
+    if (spec.weekly && !hasDay) {
+      dow = '0';
+      notes.push('Weekly runs on Sunday, like @weekly.');
+    }
+    if (spec.dayStep && spec.dayStep > 1) {
+      dom = `*/${spec.dayStep}`;
+      notes.push('The day count restarts on the 1st of each month, so the gap at the end of a month is shorter.');
+    }
+    if (spec.dom.length > 0 && spec.dow.length > 0) {
+      notes.push('With both a date and a weekday, standard cron runs when either one matches.');
+    }
+
+    const timeFields = phraseTimeFields(spec, notes);
+    const lines = (fields, dialect) => timeFields.map(([minute, hour]) => ({ expression: fields(minute, hour), dialect }));
+
+    if (spec.nth && (spec.dom.length > 0 || spec.dow.length > 0 || spec.lastDay)) {
+      throw new Error('Put an "Nth weekday of the month" schedule in its own phrase, without other days.');
+    }
+
+    if (spec.nth) {
+      const { n, day } = spec.nth;
+      const name = DAY_ABBR[day];
+      const ordinalText = n === 'last' ? 'last' : ordinal(n);
+      result.reason = `Standard cron cannot pick the ${ordinalText} ${DAY_NAMES[day]} of the month: when both day fields are set it runs when either one matches.`;
+      result.alternatives.push(...lines((minute, hour) => `0 ${minute} ${hour} ? ${month} ${n === 'last' ? `${name}L` : `${name}#${n}`}`, 'quartz'));
+      if (n === 'last') {
+        result.alternatives.push(...lines((minute, hour) => `${minute} ${hour} * ${month} ${day}`, 'vixie')
+          .map(line => ({ ...line, note: 'Start the command with [ "$(date -d \'+7 days\' +\\%m)" != "$(date +\\%m)" ] && to skip the other weeks.' })));
+      } else {
+        result.alternatives.push(...lines((minute, hour) => `${minute} ${hour} ${(n - 1) * 7 + 1}-${n * 7} ${month} *`, 'vixie')
+          .map(line => ({ ...line, note: `Start the command with [ "$(date +\\%u)" = ${day === 0 ? 7 : day} ] && to run only on ${DAY_NAMES[day]}.` })));
+      }
+      return result;
+    }
+
+    if (spec.lastDay) {
+      result.reason = 'Standard cron has no "last day of the month".';
+      result.alternatives.push(...lines((minute, hour) => `0 ${minute} ${hour} L ${month} ?`, 'quartz'));
+      result.alternatives.push(...lines((minute, hour) => `${minute} ${hour} 28-31 ${month} *`, 'vixie')
+        .map(line => ({ ...line, note: 'Start the command with [ "$(date -d tomorrow +\\%d)" = 01 ] && to run only on the last day.' })));
+      return result;
+    }
+
+    if (spec.weekStep) {
+      const weekDay = dow === '*' ? '0' : dow;
+      result.reason = `Cron has no week counter, so it cannot skip weeks to run every ${spec.weekStep === 2 ? 'other' : ordinal(spec.weekStep)} week.`;
+      result.alternatives.push(...lines((minute, hour) => `${minute} ${hour} * ${month} ${weekDay}`, 'vixie')
+        .map(line => ({ ...line, note: `Start the command with [ $(( $(date +\\%V) \\% ${spec.weekStep} )) -eq 0 ] && to run only in every ${spec.weekStep === 2 ? 'other' : ordinal(spec.weekStep)} week.` })));
+      return result;
+    }
+
+    result.lines.push(...lines((minute, hour) => `${minute} ${hour} ${dom} ${month} ${dow}`, 'vixie'));
+    return result;
+  }
+
   // ============================================
   // Utility Functions
   // ============================================
 
-  function formatHour(h) {
-    if (h === 0) return '12am (midnight)';
-    if (h === 12) return '12pm (noon)';
-    if (h < 12) return `${h}am`;
-    return `${h - 12}pm`;
-  }
-
   function formatTime(h, m) {
     const hour = h.toString().padStart(2, '0');
     const minute = m.toString().padStart(2, '0');
@@ -445,11 +2899,142 @@
     return true;
   }
 
+  function isRun(arr) {
+    // Two neighbours read better as a list ("Sunday and Monday"), as in compressRuns
+    return arr.length >= 3 && isConsecutive(arr);
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  function downloadFile(content, type, name, extension) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}-${new Date().toISOString().split('T')[0]}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   // ============================================
   // UI Functions
   // ============================================
 
+  const FIELD_BOX_IDS = {
+    second: 'field-second',
+    minute: 'field-minute',
+    hour: 'field-hour',
+    dayOfMonth: 'field-dom',
+    month: 'field-month',
+    dayOfWeek: 'field-dow',
+    year: 'field-year'
+  };
+
+  // Permalink parameters for the description options, e.g. ?lang=de&clock=12&style=terse
+  const DESCRIPTION_PARAMS = {
+    lang: 'description-locale',
+    clock: 'description-clock',
+    style: 'description-style'
+  };
+
   let currentParsed = null;
+  let exportSnippets = {};
+  let historyTimer = null;
+
+  function getDescriptionOptions() {
+    return {
+      locale: document.getElementById('description-locale').value,
+      clock: document.getElementById('description-clock').value,
+      style: document.getElementById('description-style').value
+    };
+  }
+
+  function getActiveTab() {
+    const activeBtn = document.querySelector('.tab-btn.active');
+    return activeBtn ? activeBtn.dataset.tab : 'parse';
+  }
+
+  function buildPermalink(pinTimezone) {
+    // Expression, dialect, timezone and tab, plus any description options that differ from the defaults.
+    // A shared link pins "Local Time" to the sender's zone so the recipient sees the same runs.
+    const url = new URL(window.location.href);
+    const setParam = (param, value) => {
+      if (value) {
+        url.searchParams.set(param, value);
+      } else {
+        url.searchParams.delete(param);
+      }
+    };
+    const dialect = getDialectKey();
+    const timezone = document.getElementById('timezone-select').value;
+    
+    setParam('cron', document.getElementById('cron-input').value.trim());
+    setParam('dialect', dialect !== 'vixie' ? dialect : '');
+    setParam('seed', DIALECTS[dialect].hash ? document.getElementById('hash-seed').value.trim() : '');
+    setParam('tz', timezone !== 'local' ? timezone : pinTimezone ? resolveTimezone('local') : '');
+    setParam('tab', getActiveTab());
+    Object.entries(DESCRIPTION_PARAMS).forEach(([param, id]) => {
+      const select = document.getElementById(id);
+      const fallback = select.querySelector('option[selected]').value;
+      setParam(param, select.value !== fallback ? select.value : '');
+    });
+    return url;
+  }
+
+  function updatePermalink() {
+    window.history.replaceState({}, '', buildPermalink(false).toString());
+  }
+
+  async function copyPermalink(btn) {
+    if (!document.getElementById('cron-input').value.trim()) {
+      showError('Enter a cron expression first to generate a link');
+      return;
+    }
+    
+    updatePermalink();
+    await navigator.clipboard.writeText(buildPermalink(true).toString());
+    
+    const orig = btn.textContent;
+    btn.textContent = 'Copied';
+    setTimeout(() => (btn.textContent = orig), 1000);
+  }
+
+  function applyPermalink(params) {
+    // Restores the state encoded by buildPermalink; unknown values are ignored
+    const tab = params.get('tab');
+    if (tab && document.getElementById(`${tab}-tab`)) switchTab(tab);
+    
+    const dialect = params.get('dialect');
+    if (dialect && DIALECTS[dialect]) setDialect(dialect);
+    if (params.get('seed')) document.getElementById('hash-seed').value = params.get('seed');
+    
+    const timezone = params.get('tz');
+    if (timezone && isKnownTimezone(timezone)) setTimezone(timezone);
+    
+    Object.entries(DESCRIPTION_PARAMS).forEach(([param, id]) => {
+      const select = document.getElementById(id);
+      const value = params.get(param);
+      if (value && Array.from(select.options).some(option => option.value === value)) {
+        select.value = value;
+      }
+    });
+    
+    if (params.get('cron')) document.getElementById('cron-input').value = params.get('cron');
+  }
+
+  function getDialectKey() {
+    return document.getElementById('dialect-select').value;
+  }
+
+  function setDialect(key) {
+    document.getElementById('dialect-select').value = key;
+    document.getElementById('cron-input').placeholder = DIALECTS[key].placeholder;
+    document.querySelectorAll('.hash-seed').forEach(el => el.classList.toggle('hidden', !DIALECTS[key].hash));
+  }
 
   function showError(message) {
     const errorEl = document.getElementById('cron-error');
@@ -461,6 +3046,8 @@
     
     document.getElementById('next-runs-section').classList.add('hidden');
     document.getElementById('breakdown-section').classList.add('hidden');
+    document.getElementById('convert-section').classList.add('hidden');
+    document.getElementById('export-section').classList.add('hidden');
   }
 
   function hideError() {
@@ -468,24 +3055,43 @@
     document.getElementById('cron-description').classList.remove('hidden');
   }
 
-  function updateFieldBoxes(expr) {
-    const normalized = normalizeExpression(expr);
-    const parts = normalized.split(/\s+/);
+  function updateFieldBoxes(expr, error = null) {
+    const dialect = DIALECTS[getDialectKey()];
     
-    const fieldIds = ['field-minute', 'field-hour', 'field-dom', 'field-month', 'field-dow'];
-    fieldIds.forEach((id, idx) => {
-      const el = document.getElementById(id);
-      if (el && parts[idx] !== undefined) {
-        el.textContent = parts[idx].toUpperCase();
-      } else if (el) {
-        el.textContent = '?';
+    let fields;
+    try {
+      fields = splitExpression(expr, dialect);
+    } catch (e) {
+      // Show whatever was typed, field by field
+      const parts = expr.trim().replace(/^cron\((.*)\)$/i, '$1').toUpperCase().split(/\s+/);
+      fields = {};
+      dialect.fields.forEach((name, idx) => {
+        fields[name] = parts[idx] !== undefined ? parts[idx] : '?';
+      });
+    }
+    
+    Object.keys(FIELD_BOX_IDS).forEach(name => {
+      const el = document.getElementById(FIELD_BOX_IDS[name]);
+      if (!el) return;
+      const box = el.closest('.cron-field-box');
+      box.classList.toggle('hidden', !dialect.fields.includes(name));
+      // An omitted optional year means every year
+      const text = fields[name] !== undefined ? fields[name] : '*';
+      const invalid = error && error.field === name;
+      box.classList.toggle('invalid', Boolean(invalid));
+      if (invalid && error.position <= text.length) {
+        const start = error.position - 1;
+        const end = start + error.length;
+        el.innerHTML = `${escapeHtml(text.slice(0, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>${escapeHtml(text.slice(end))}`;
+      } else {
+        el.textContent = text;
       }
     });
   }
 
-  function updateResults(expr) {
+  function updateResults(expr, remember = true) {
     try {
-      const parsed = parseCronExpression(expr);
+      const parsed = parseCronExpression(expr, getDialectKey(), { seed: document.getElementById('hash-seed').value.trim() });
       currentParsed = parsed;
       
       hideError();
@@ -494,24 +3100,35 @@
       updateFieldBoxes(expr);
       
       // Update description
-      const description = generateDescription(parsed);
+      const description = generateDescription(parsed, getDescriptionOptions());
       document.querySelector('#cron-description .description-text').textContent = description;
       
       // Update next runs
       updateNextRuns(parsed);
       
       // Update breakdown
-      updateBreakdown(expr, parsed);
+      updateBreakdown(parsed);
+      
+      // Update other dialects
+      updateConversions(parsed);
+      
+      // Update export formats
+      updateExports(parsed);
       
       document.getElementById('next-runs-section').classList.remove('hidden');
       document.getElementById('breakdown-section').classList.remove('hidden');
+      document.getElementById('convert-section').classList.remove('hidden');
+      document.getElementById('export-section').classList.remove('hidden');
       
+      if (remember) scheduleHistory();
     } catch (e) {
       showError(e.message);
       currentParsed = null;
+      clearTimeout(historyTimer);
       // Still try to update the field boxes for visual feedback
-      updateFieldBoxes(expr);
+      updateFieldBoxes(expr, e);
     }
+    updatePermalink();
   }
 
   function updateNextRuns(parsed) {
@@ -520,17 +3137,19 @@
     
     const container = document.getElementById('next-runs-list');
     
+    updateCalendarExport(parsed, runs.length > 0);
+    
     if (runs.length === 0) {
-      container.innerHTML = '<div class="no-runs">No upcoming runs found in the next year.</div>';
+      container.innerHTML = '<div class="no-runs">No upcoming runs. This schedule never matches a date in this timezone.</div>';
       return;
     }
     
     const html = runs.map((run, idx) => {
-      const { formatted, relative } = formatNextRun(run, timezone === 'local' ? null : timezone);
+      const { formatted, relative } = formatNextRun(run.date, timezone);
       return `
         <div class="next-run-item">
           <span class="run-number">${idx + 1}</span>
-          <span class="run-datetime">${formatted}</span>
+          <span class="run-datetime">${formatted}${describeDstRun(run, parsed)}</span>
           <span class="run-relative">${relative}</span>
         </div>
       `;
@@ -539,8 +3158,59 @@
     container.innerHTML = html;
   }
 
-  function updateBreakdown(expr, parsed) {
-    const breakdown = generateBreakdown(expr, parsed);
+  function updateCalendarExport(parsed, hasRuns) {
+    // Says whether the .ics download will be one recurring event or the next runs one by one
+    const timezone = document.getElementById('timezone-select').value;
+    const count = document.getElementById('ics-count').value;
+    const noteEl = document.getElementById('ics-note');
+    document.getElementById('ics-btn').disabled = !hasRuns;
+    noteEl.className = 'crontab-message';
+    
+    if (!hasRuns) {
+      noteEl.textContent = '';
+    } else if (document.getElementById('ics-mode').value === 'instances') {
+      noteEl.textContent = `The file holds the next ${count} runs as separate events.`;
+    } else {
+      try {
+        noteEl.textContent = `RRULE:${formatRrule(parsed, resolveTimezone(timezone))}`;
+        noteEl.className = 'crontab-message ics-rule';
+      } catch (e) {
+        noteEl.textContent = `${e.message} The file holds the next ${count} runs instead.`;
+        noteEl.className = 'crontab-message warning';
+      }
+    }
+  }
+
+  function downloadCalendar() {
+    if (!currentParsed) return;
+    try {
+      const { text } = exportIcal(currentParsed, document.getElementById('timezone-select').value, {
+        mode: document.getElementById('ics-mode').value,
+        count: parseInt(document.getElementById('ics-count').value, 10),
+        summary: document.getElementById('cron-input').value.trim(),
+        description: generateDescription(currentParsed, getDescriptionOptions())
+      });
+      downloadFile(text, 'text/calendar', 'cron-schedule', 'ics');
+    } catch (e) {
+      showError(e.message);
+    }
+  }
+
+  function describeDstRun(run, parsed) {
+    if (!run.dst) return '';
+    const scheduled = new Date(run.scheduled);
+    const time = formatTime(scheduled.getUTCHours(), scheduled.getUTCMinutes());
+    let note = `${time} occurs twice due to DST`;
+    if (run.dst === 'gap') {
+      note = DIALECTS[parsed.dialect].dst === 'vixie'
+        ? `${time} skipped by DST, runs when the clocks change`
+        : `${time} skipped by DST, moved forward by the gap`;
+    }
+    return ` <span class="run-dst">${note}</span>`;
+  }
+
+  function updateBreakdown(parsed) {
+    const breakdown = generateBreakdown(parsed);
     
     const html = breakdown.map(field => `
       <div class="breakdown-item">
@@ -558,6 +3228,273 @@
     document.getElementById('field-breakdown').innerHTML = html;
   }
 
+  function updateConversions(parsed) {
+    const html = Object.keys(DIALECTS).filter(key => key !== parsed.dialect).map(key => {
+      let converted = null;
+      let reason = '';
+      try {
+        converted = convertExpression(parsed, key);
+      } catch (e) {
+        reason = e.message;
+      }
+      
+      return `
+        <div class="breakdown-item">
+          <div class="breakdown-header">
+            <span class="breakdown-label">${DIALECTS[key].name}</span>
+            ${converted ? `<code class="breakdown-value">${converted}</code>` : ''}
+          </div>
+          <div class="breakdown-details">
+            <span class="breakdown-explanation">${converted ? 'Equivalent schedule' : reason}</span>
+            ${converted
+              ? `<button type="button" class="btn btn-secondary btn-sm" data-dialect="${key}" data-cron="${converted}">Use</button>`
+              : '<span class="breakdown-range">Not expressible</span>'}
+          </div>
+        </div>
+      `;
+    }).join('');
+    
+    document.getElementById('dialect-conversions').innerHTML = html;
+  }
+
+  function updateExports(parsed) {
+    const timezone = document.getElementById('timezone-select').value;
+    exportSnippets = {};
+    
+    const html = Object.keys(EXPORT_FORMATS).map(key => {
+      let body;
+      try {
+        exportSnippets[key] = EXPORT_FORMATS[key].render(parsed, timezone);
+        body = `<pre class="cron-export-snippet">${escapeHtml(exportSnippets[key])}</pre>`;
+      } catch (e) {
+        body = `<div class="breakdown-details"><span class="breakdown-explanation">${escapeHtml(e.message)}</span><span class="breakdown-range">Not expressible</span></div>`;
+      }
+      
+      return `
+        <div class="breakdown-item cron-export-item">
+          <div class="breakdown-header">
+            <span class="breakdown-label">${EXPORT_FORMATS[key].name}</span>
+            ${exportSnippets[key] !== undefined ? `<button type="button" class="btn btn-secondary btn-sm" data-export="${key}">Copy</button>` : ''}
+          </div>
+          ${body}
+        </div>
+      `;
+    }).join('');
+    
+    document.getElementById('export-formats').innerHTML = html;
+  }
+
+  function setTimezone(timezone) {
+    const select = document.getElementById('timezone-select');
+    if (!Array.from(select.options).some(option => option.value === timezone)) {
+      const option = document.createElement('option');
+      option.value = timezone;
+      option.textContent = timezone.replace(/_/g, ' ');
+      select.appendChild(option);
+    }
+    select.value = timezone;
+  }
+
+  function importOnCalendar(spec) {
+    // Shows the spec in the selected dialect when it fits, otherwise in the dialect it was read as
+    const { parsed, timezone } = parseOnCalendar(spec);
+    let dialect = getDialectKey();
+    let expression;
+    try {
+      expression = convertExpression(parsed, dialect);
+    } catch (e) {
+      dialect = parsed.dialect;
+      expression = convertExpression(parsed, dialect);
+    }
+    if (timezone) setTimezone(timezone);
+    setDialect(dialect);
+    return expression;
+  }
+
+  function updateCrontabFile() {
+    const text = document.getElementById('crontab-file').value;
+    const summaryEl = document.getElementById('crontab-file-summary');
+    const resultsEl = document.getElementById('crontab-file-results');
+    
+    if (!text.trim()) {
+      summaryEl.classList.add('hidden');
+      resultsEl.innerHTML = '';
+      return;
+    }
+    
+    const system = document.getElementById('crontab-format').value === 'system';
+    const { entries, warnings } = lintCrontab(text, { system, description: getDescriptionOptions() });
+    const jobs = entries.filter(entry => entry.kind === 'job');
+    const errorCount = entries.reduce((sum, entry) => sum + entry.errors.length, 0);
+    const warningCount = warnings.length + entries.reduce((sum, entry) => sum + entry.warnings.length, 0);
+    
+    summaryEl.innerHTML = `
+      <span>${jobs.length} job${jobs.length !== 1 ? 's' : ''}, ${errorCount} error${errorCount !== 1 ? 's' : ''}, ${warningCount} warning${warningCount !== 1 ? 's' : ''}</span>
+      ${warnings.map(warning => `<div class="crontab-message warning">${escapeHtml(warning)}</div>`).join('')}
+    `;
+    summaryEl.classList.remove('hidden');
+    
+    resultsEl.innerHTML = entries.map(entry => {
+      const status = entry.errors.length > 0 ? 'error' : entry.warnings.length > 0 ? 'warning' : 'ok';
+      const meta = [
+        entry.user ? `as ${escapeHtml(entry.user)}` : '',
+        entry.timezone ? `in ${escapeHtml(entry.timezone)}` : ''
+      ].filter(Boolean).join(' ');
+      return `
+        <div class="crontab-entry ${status}">
+          <div class="crontab-entry-header">
+            <span class="crontab-entry-line">Line ${entry.line}</span>
+            <code>${escapeHtml(entry.schedule)}</code>
+            ${meta ? `<span class="crontab-entry-meta">${meta}</span>` : ''}
+          </div>
+          ${entry.command ? `<code class="crontab-entry-command">${escapeHtml(entry.command)}</code>` : ''}
+          ${entry.description ? `<div class="crontab-entry-description">${escapeHtml(entry.description)}</div>` : ''}
+          ${entry.errors.map(message => `<div class="crontab-message error">${escapeHtml(message)}</div>`).join('')}
+          ${entry.warnings.map(message => `<div class="crontab-message warning">${escapeHtml(message)}</div>`).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  function renderHeatmap(load, view) {
+    const max = Math.max(1, ...load.cells);
+    const cell = (runs, title, content = '') => {
+      const level = Math.round((runs / max) * 100);
+      return `<div class="heatmap-cell" style="--load: ${level}%" title="${escapeHtml(title)}">${content}</div>`;
+    };
+    const dayTotal = day => load.cells.slice(day * 24, day * 24 + 24).reduce((sum, runs) => sum + runs, 0);
+    const dayLabel = date => `${DAY_NAMES[date.getUTCDay()].slice(0, 3)} ${date.getUTCDate()} ${MONTH_NAMES[date.getUTCMonth() + 1].slice(0, 3)}`;
+    
+    if (view === 'month') {
+      // Calendar layout, Monday first, one cell per day
+      const first = new Date(load.window.start);
+      const lead = (first.getUTCDay() + 6) % 7;
+      const totals = Array.from({ length: load.window.days }, (_, day) => dayTotal(day));
+      const monthMax = Math.max(1, ...totals);
+      let html = '<div class="heatmap-month">';
+      html += ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(name => `<div class="heatmap-label">${name}</div>`).join('');
+      html += '<div class="heatmap-blank"></div>'.repeat(lead);
+      totals.forEach((runs, day) => {
+        const date = new Date(load.window.start + day * DAY_MS);
+        const level = Math.round((runs / monthMax) * 100);
+        html += `<div class="heatmap-cell heatmap-day" style="--load: ${level}%" title="${escapeHtml(`${dayLabel(date)}: ${runs} run${runs !== 1 ? 's' : ''}`)}"><span>${date.getUTCDate()}</span><span>${runs}</span></div>`;
+      });
+      return html + '</div>';
+    }
+    
+    let html = '<div class="heatmap-week"><div class="heatmap-label"></div>';
+    for (let hour = 0; hour < 24; hour++) {
+      html += `<div class="heatmap-label">${String(hour).padStart(2, '0')}</div>`;
+    }
+    for (let day = 0; day < load.window.days; day++) {
+      const date = new Date(load.window.start + day * DAY_MS);
+      html += `<div class="heatmap-label">${dayLabel(date)}</div>`;
+      for (let hour = 0; hour < 24; hour++) {
+        const runs = load.cells[day * 24 + hour];
+        html += cell(runs, `${dayLabel(date)} ${formatTime(hour, 0)}: ${runs} run${runs !== 1 ? 's' : ''}`);
+      }
+    }
+    return html + '</div>';
+  }
+
+  function updateCollisions() {
+    const text = document.getElementById('collision-input').value;
+    const view = document.getElementById('collision-view').value;
+    const timezone = document.getElementById('timezone-select').value;
+    const resultsEl = document.getElementById('collision-results');
+    
+    const { jobs, errors } = parseNamedExpressions(text, getDialectKey());
+    document.getElementById('collision-errors').innerHTML = errors
+      .map(message => `<div class="crontab-message error">${escapeHtml(message)}</div>`).join('');
+    resultsEl.classList.remove('hidden');
+    
+    if (jobs.length === 0) {
+      document.getElementById('collision-heatmap').innerHTML = '<div class="no-runs">Enter at least one valid job.</div>';
+      document.getElementById('collision-hotspots').innerHTML = '';
+      document.getElementById('collision-suggestions').innerHTML = '';
+      return;
+    }
+    
+    const load = buildScheduleLoad(jobs, timezone, view);
+    const hotspots = findHotspots(jobs, load);
+    const suggestions = suggestJitter(jobs, load, hotspots);
+    
+    document.getElementById('collision-heatmap').innerHTML = renderHeatmap(load, view);
+    
+    document.getElementById('collision-hotspots').innerHTML = hotspots.length === 0
+      ? '<div class="no-runs">No two jobs fire in the same minute.</div>'
+      : hotspots.map(hotspot => `
+        <div class="crontab-entry warning">
+          <div class="crontab-entry-header">
+            <code>${hotspot.count} jobs ${hotspot.at} ${hotspot.when}</code>
+          </div>
+          <div class="crontab-entry-description">${hotspot.names.map(escapeHtml).join(', ')}</div>
+        </div>
+      `).join('');
+    
+    document.getElementById('collision-suggestions').innerHTML = suggestions.length === 0
+      ? '<div class="no-runs">Nothing to move.</div>'
+      : suggestions.map(suggestion => `
+        <div class="crontab-entry">
+          <div class="crontab-entry-header">
+            <span class="crontab-entry-line">${escapeHtml(suggestion.name)}</span>
+            <code>${escapeHtml(suggestion.expression)}</code>
+            ${suggestion.suggested ? `<span class="crontab-entry-meta">to</span><code>${escapeHtml(suggestion.suggested)}</code>` : ''}
+          </div>
+          <div class="crontab-entry-description">${escapeHtml(suggestion.advice)}</div>
+        </div>
+      `).join('');
+  }
+
+  function describePhraseLine(line) {
+    // Round-trips a generated line through the parser to confirm what it means
+    if (line.expression === '@reboot') return 'At system startup.';
+    return generateDescription(parseCronExpression(line.expression, line.dialect), getDescriptionOptions());
+  }
+
+  function renderPhraseLine(line) {
+    return `
+      <div class="crontab-entry">
+        <div class="crontab-entry-header">
+          <code>${escapeHtml(line.expression)}</code>
+          ${line.dialect !== 'vixie' ? `<span class="crontab-entry-meta">${DIALECTS[line.dialect].name}</span>` : ''}
+          <button type="button" class="btn btn-secondary btn-sm" data-dialect="${line.dialect}" data-cron="${escapeHtml(line.expression)}">Use</button>
+        </div>
+        <div class="crontab-entry-description">${escapeHtml(describePhraseLine(line))}</div>
+        ${line.note ? `<div class="crontab-message warning">${escapeHtml(line.note)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  function updateFromPhrase() {
+    const phrase = document.getElementById('phrase-input').value.trim();
+    const container = document.getElementById('phrase-results');
+    if (!phrase) {
+      container.innerHTML = '';
+      return;
+    }
+    
+    let result;
+    try {
+      result = buildFromPhrase(phrase);
+    } catch (e) {
+      container.innerHTML = `<div class="crontab-message error">${escapeHtml(e.message)}</div>`;
+      return;
+    }
+    
+    let html = '';
+    if (result.lines.length > 1) {
+      html += `<div class="crontab-file-summary">This schedule needs ${result.lines.length} crontab lines.</div>`;
+    }
+    html += result.lines.map(renderPhraseLine).join('');
+    if (result.reason) {
+      html += `<div class="crontab-message error">${escapeHtml(result.reason)} Closest alternatives:</div>`;
+      html += result.alternatives.map(renderPhraseLine).join('');
+    }
+    html += result.notes.map(note => `<div class="crontab-message warning">${escapeHtml(note)}</div>`).join('');
+    container.innerHTML = html;
+  }
+
   function updateFromBuilder() {
     const getValue = (id) => {
       const select = document.getElementById(id);
@@ -592,16 +3529,146 @@
     }
   }
 
+  // ============================================
+  // History Functions
+  // ============================================
+
+  // Recently parsed expressions are kept in this browser only
+  const HISTORY_KEY = 'nettools-cron-history';
+  const HISTORY_LIMIT = 25;
+  const HISTORY_DELAY_MS = 1500;
+
+  function normaliseHistoryEntry(entry) {
+    // Returns a clean copy of a stored or imported entry, or null if it has no expression
+    if (!entry || typeof entry.expression !== 'string' || !entry.expression.trim()) return null;
+    const text = value => typeof value === 'string' ? value.trim() : '';
+    return {
+      expression: entry.expression.trim(),
+      dialect: DIALECTS[entry.dialect] ? entry.dialect : 'vixie',
+      timezone: text(entry.timezone) && (entry.timezone === 'local' || isKnownTimezone(entry.timezone)) ? entry.timezone : 'local',
+      seed: text(entry.seed),
+      label: text(entry.label),
+      savedAt: text(entry.savedAt) || new Date().toISOString()
+    };
+  }
+
+  function loadHistory() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+      return Array.isArray(stored) ? stored.map(normaliseHistoryEntry).filter(Boolean) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveHistory(history) {
+    localStorage.setItem(HISTORY_KEY, JSON.stringify(history.slice(0, HISTORY_LIMIT)));
+  }
+
+  function mergeHistory(entries, history) {
+    // The first copy of a schedule wins its place; a label is kept from whichever copy has one
+    const merged = [];
+    [...entries, ...history].forEach(entry => {
+      const existing = merged.find(item => item.expression === entry.expression && item.dialect === entry.dialect &&
+        item.timezone === entry.timezone && item.seed === entry.seed);
+      if (!existing) {
+        merged.push({ ...entry });
+      } else if (!existing.label) {
+        existing.label = entry.label;
+      }
+    });
+    return merged.slice(0, HISTORY_LIMIT);
+  }
+
+  function parseHistoryJson(text) {
+    // Accepts an export from this page ({ history: [...] }) or a bare array of entries
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Not valid JSON: ${e.message}`);
+    }
+    const list = Array.isArray(data) ? data : data && data.history;
+    if (!Array.isArray(list)) {
+      throw new Error('Expected a list of entries, or an object with a "history" list');
+    }
+    const entries = list.map(normaliseHistoryEntry).filter(Boolean);
+    if (entries.length === 0) {
+      throw new Error('No entries with an expression were found');
+    }
+    return entries;
+  }
+
+  function rememberExpression() {
+    // Called once typing settles, so only expressions that parsed are kept
+    const expression = document.getElementById('cron-input').value.trim();
+    if (!currentParsed || !expression) return;
+    const entry = normaliseHistoryEntry({
+      expression: expression,
+      dialect: getDialectKey(),
+      timezone: document.getElementById('timezone-select').value,
+      seed: DIALECTS[getDialectKey()].hash ? document.getElementById('hash-seed').value : ''
+    });
+    saveHistory(mergeHistory([entry], loadHistory()));
+    renderHistory();
+  }
+
+  function scheduleHistory() {
+    clearTimeout(historyTimer);
+    historyTimer = setTimeout(rememberExpression, HISTORY_DELAY_MS);
+  }
+
+  function showHistoryMessage(message, type) {
+    const el = document.getElementById('history-message');
+    el.textContent = message;
+    el.className = `crontab-message ${type}`;
+  }
+
+  function renderHistory() {
+    const history = loadHistory();
+    const container = document.getElementById('history-list');
+    document.getElementById('history-export').disabled = history.length === 0;
+    document.getElementById('history-clear').disabled = history.length === 0;
+    
+    if (history.length === 0) {
+      container.innerHTML = '<div class="no-runs">Expressions you parse are listed here, in this browser only.</div>';
+      return;
+    }
+    
+    container.innerHTML = history.map((entry, idx) => `
+      <div class="crontab-entry history-entry">
+        <div class="crontab-entry-header">
+          <input type="text" class="input-field history-label" data-history-label="${idx}" value="${escapeHtml(entry.label)}" placeholder="Add a label" aria-label="Label for ${escapeHtml(entry.expression)}">
+          <code class="crontab-entry-command">${escapeHtml(entry.expression)}</code>
+          <span class="crontab-entry-meta">${DIALECTS[entry.dialect].name}${entry.seed ? `, job ${escapeHtml(entry.seed)}` : ''}</span>
+          <span class="crontab-entry-meta">${entry.timezone === 'local' ? 'Local Time' : escapeHtml(entry.timezone)}</span>
+          <button type="button" class="btn btn-secondary btn-sm" data-history-load="${idx}">Load</button>
+          <button type="button" class="btn btn-secondary btn-sm" data-history-remove="${idx}">Remove</button>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  function exportHistory() {
+    const data = { version: 1, exportedAt: new Date().toISOString(), history: loadHistory() };
+    downloadFile(JSON.stringify(data, null, 2), 'application/json', 'cron-history', 'json');
+  }
+
   // ============================================
   // Initialization
   // ============================================
 
-  document.addEventListener('DOMContentLoaded', function() {
+  function initialize() {
     const cronInput = document.getElementById('cron-input');
     
+    // Permalink support: /tools/crontab-helper/?cron=...&dialect=quartz&seed=...&tz=Europe/London&tab=parse
+    // plus lang=en|de|fr|es, clock=24|12 and style=verbose|terse
+    applyPermalink(new URLSearchParams(window.location.search));
+    renderHistory();
+    
     // Initial parse
     if (cronInput.value) {
-      updateResults(cronInput.value);
+      updateResults(cronInput.value.trim(), false);
     }
     
     // Live parsing on input
@@ -616,9 +3683,82 @@
     document.querySelectorAll('.tab-btn').forEach(btn => {
       btn.addEventListener('click', function() {
         switchTab(this.dataset.tab);
+        updatePermalink();
       });
     });
     
+    // Copy link button
+    document.getElementById('cron-link-btn').addEventListener('click', function() {
+      copyPermalink(this);
+    });
+    
+    // History
+    const historyList = document.getElementById('history-list');
+    historyList.addEventListener('click', function(e) {
+      const load = e.target.closest('[data-history-load]');
+      const remove = e.target.closest('[data-history-remove]');
+      const history = loadHistory();
+      if (load) {
+        const entry = history[load.dataset.historyLoad];
+        setDialect(entry.dialect);
+        document.getElementById('hash-seed').value = entry.seed;
+        setTimezone(entry.timezone);
+        cronInput.value = entry.expression;
+        switchTab('parse');
+        updateResults(entry.expression);
+      } else if (remove) {
+        history.splice(remove.dataset.historyRemove, 1);
+        saveHistory(history);
+        renderHistory();
+      }
+    });
+    historyList.addEventListener('change', function(e) {
+      const input = e.target.closest('[data-history-label]');
+      if (!input) return;
+      const history = loadHistory();
+      history[input.dataset.historyLabel].label = input.value.trim();
+      saveHistory(history);
+    });
+    document.getElementById('history-export').addEventListener('click', exportHistory);
+    document.getElementById('history-import').addEventListener('change', async function() {
+      if (this.files.length === 0) return;
+      try {
+        const entries = parseHistoryJson(await this.files[0].text());
+        saveHistory(mergeHistory(entries, loadHistory()));
+        renderHistory();
+        showHistoryMessage(`Imported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}.`, 'ok');
+      } catch (e) {
+        showHistoryMessage(e.message, 'error');
+      }
+      this.value = '';
+    });
+    document.getElementById('history-clear').addEventListener('click', function() {
+      saveHistory([]);
+      renderHistory();
+      showHistoryMessage('History cleared.', 'ok');
+    });
+    
+    // Crontab file linting
+    document.getElementById('crontab-file').addEventListener('input', updateCrontabFile);
+    document.getElementById('crontab-format').addEventListener('change', updateCrontabFile);
+    
+    // Collision analysis
+    document.getElementById('collision-analyse').addEventListener('click', updateCollisions);
+    document.getElementById('collision-view').addEventListener('change', function() {
+      if (document.getElementById('collision-input').value.trim()) updateCollisions();
+    });
+    
+    // Phrase builder
+    document.getElementById('phrase-input').addEventListener('input', updateFromPhrase);
+    document.getElementById('phrase-results').addEventListener('click', function(e) {
+      const btn = e.target.closest('[data-dialect]');
+      if (!btn) return;
+      setDialect(btn.dataset.dialect);
+      cronInput.value = btn.dataset.cron;
+      switchTab('parse');
+      updateResults(btn.dataset.cron);
+    });
+    
     // Builder inputs
     const builderInputs = document.querySelectorAll('.builder-select, .builder-custom');
     builderInputs.forEach(input => {
@@ -640,6 +3780,7 @@
     // Use in parser button
     document.getElementById('use-expression').addEventListener('click', function() {
       const expr = document.getElementById('builder-result-code').textContent;
+      setDialect('vixie');
       cronInput.value = expr;
       switchTab('parse');
       updateResults(expr);
@@ -649,17 +3790,125 @@
     document.querySelectorAll('.example-btn').forEach(btn => {
       btn.addEventListener('click', function() {
         const cron = this.dataset.cron;
+        setDialect('vixie');
         cronInput.value = cron;
         switchTab('parse');
         updateResults(cron);
       });
     });
     
+    // Dialect change converts a valid expression, otherwise re-reads the text under the new rules
+    document.getElementById('dialect-select').addEventListener('change', function() {
+      setDialect(this.value);
+      if (currentParsed && currentParsed.dialect !== this.value) {
+        try {
+          cronInput.value = convertExpression(currentParsed, this.value);
+        } catch (e) {
+          showError(e.message);
+          updateFieldBoxes(cronInput.value);
+          updatePermalink();
+          return;
+        }
+      }
+      if (cronInput.value.trim()) {
+        updateResults(cronInput.value.trim());
+      }
+    });
+    
+    // Description language, clock and style apply to every description on the page
+    Object.values(DESCRIPTION_PARAMS).forEach(id => {
+      document.getElementById(id).addEventListener('change', function() {
+        updatePermalink();
+        if (cronInput.value.trim()) {
+          updateResults(cronInput.value.trim(), false);
+        }
+        updateCrontabFile();
+        updateFromPhrase();
+      });
+    });
+    
+    // Jenkins seeds H from the job name
+    document.getElementById('hash-seed').addEventListener('input', function() {
+      if (cronInput.value.trim()) {
+        updateResults(cronInput.value.trim());
+      }
+    });
+    
+    // Converted expressions switch dialect
+    document.getElementById('dialect-conversions').addEventListener('click', function(e) {
+      const btn = e.target.closest('[data-dialect]');
+      if (!btn) return;
+      setDialect(btn.dataset.dialect);
+      cronInput.value = btn.dataset.cron;
+      updateResults(btn.dataset.cron);
+    });
+    
+    // Calendar export
+    document.getElementById('ics-btn').addEventListener('click', downloadCalendar);
+    ['ics-mode', 'ics-count'].forEach(id => {
+      document.getElementById(id).addEventListener('change', function() {
+        if (currentParsed) updateNextRuns(currentParsed);
+      });
+    });
+    
     // Timezone change
     document.getElementById('timezone-select').addEventListener('change', function() {
       if (currentParsed) {
         updateNextRuns(currentParsed);
+        updateExports(currentParsed);
+        scheduleHistory();
+      }
+      updatePermalink();
+    });
+    
+    // systemd OnCalendar import
+    const onCalendarInput = document.getElementById('oncalendar-input');
+    const runImport = () => {
+      const spec = onCalendarInput.value.trim();
+      if (!spec) return;
+      try {
+        cronInput.value = importOnCalendar(spec);
+      } catch (e) {
+        showError(e.message);
+        currentParsed = null;
+        return;
       }
+      updateResults(cronInput.value);
+    };
+    document.getElementById('oncalendar-import').addEventListener('click', runImport);
+    onCalendarInput.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter') runImport();
     });
-  });
-})();
+    
+    // Copy export snippets
+    document.getElementById('export-formats').addEventListener('click', function(e) {
+      const btn = e.target.closest('[data-export]');
+      if (!btn) return;
+      navigator.clipboard.writeText(exportSnippets[btn.dataset.export]).then(() => {
+        btn.textContent = 'Copied!';
+        setTimeout(() => { btn.textContent = 'Copy'; }, 2000);
+      });
+    });
+  }
+
+  // Under Node there is no page to wire up
+  if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', initialize);
+  }
+
+  return {
+    DIALECTS,
+    tokenizeField,
+    parseField,
+    parseCronExpression,
+    generateDescription,
+    describeField,
+    getZoneOffset,
+    resolveWallTime,
+    findNextWallTime,
+    getNextRuns,
+    formatRrule,
+    exportIcal,
+    lintCrontab
+  };
+});
@@ -43,10 +43,9 @@
     return div.innerHTML;
   }
 
-  function isIpLikely(input) {
-    // Lightweight check; backend will validate properly.
-    if (!input) return false;
-    return /[:.]/.test(input) || /^[0-9a-fA-F]{8,}$/.test(input);
+  function isValidIp(input) {
+    // Bare IPv4/IPv6 address only; prefixes are not something the backend can look up
+    return !!input && window.AddressMath.parseAddress(input) !== null;
   }
 
   function switchTab(tab) {
@@ -266,7 +265,7 @@
         $('ip-lookup-input').value = myIp;
         result = await fetchJson(`${API_BASE}/lookup?ip=${encodeURIComponent(myIp)}`);
       } else {
-        if (!isIpLikely(ip)) {
+        if (!isValidIp(ip)) {
           throw new Error('Please enter a valid IPv4 or IPv6 address');
         }
         result = await fetchJson(`${API_BASE}/lookup?ip=${encodeURIComponent(ip)}`);
@@ -74,13 +74,7 @@
     showLoading(true);
     
     try {
-      // Try to load the lite database first (faster)
-      const response = await fetch('/assets/data/oui-database-lite.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load database: ${response.status}`);
-      }
-      
-      database = await response.json();
+      database = await OuiDatabase.loadOuiDatabase();
       databaseLoaded = true;
       
       // Update database info display
@@ -97,42 +91,7 @@
   }
 
   function lookupVendor(normalized) {
-    if (!database || !normalized) return null;
-    
-    // Try MA-S/IAB first (36-bit, most specific)
-    const mas_prefix = normalized.substring(0, 9);
-    if (database.mas && database.mas[mas_prefix]) {
-      return {
-        vendor: database.mas[mas_prefix],
-        prefix: mas_prefix,
-        type: 'MA-S/IAB',
-        bits: 36
-      };
-    }
-    
-    // Try MA-M next (28-bit)
-    const mam_prefix = normalized.substring(0, 7);
-    if (database.mam && database.mam[mam_prefix]) {
-      return {
-        vendor: database.mam[mam_prefix],
-        prefix: mam_prefix,
-        type: 'MA-M',
-        bits: 28
-      };
-    }
-    
-    // Try MA-L (24-bit, most common)
-    const mal_prefix = normalized.substring(0, 6);
-    if (database.mal && database.mal[mal_prefix]) {
-      return {
-        vendor: database.mal[mal_prefix],
-        prefix: mal_prefix,
-        type: 'MA-L',
-        bits: 24
-      };
-    }
-    
-    return null;
+    return OuiDatabase.lookupVendor(database, normalized);
   }
 
   function searchVendors(query, limit = 100) {
@@ -595,5 +554,12 @@
     $('mac-input').addEventListener('paste', () => {
       setTimeout(performLookup, 50);
     });
+
+    // Permalink support: /tools/mac-lookup/?mac=AA:BB:CC:DD:EE:FF
+    const macParam = new URLSearchParams(window.location.search).get('mac');
+    if (macParam) {
+      $('mac-input').value = macParam;
+      performLookup();
+    }
   });
 })();
@@ -0,0 +1,66 @@
+// OUI Database
+// Loads the IEEE OUI assignments generated by scripts/update-oui-db.sh and
+// finds the vendor for a MAC address. Shared by the MAC lookup tool and the
+// subnet calculator's EUI-64 panel. Loaded as a plain script it defines
+// window.OuiDatabase; under Node it is a CommonJS module.
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.OuiDatabase = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const OUI_DATABASE_URL = '/assets/data/oui-database-lite.json';
+
+  // Most specific assignment first: MA-S/IAB (36-bit), MA-M (28-bit), MA-L (24-bit)
+  const REGISTRIES = [
+    { key: 'mas', length: 9, type: 'MA-S/IAB', bits: 36 },
+    { key: 'mam', length: 7, type: 'MA-M', bits: 28 },
+    { key: 'mal', length: 6, type: 'MA-L', bits: 24 }
+  ];
+
+  let pending = null;
+
+  function loadOuiDatabase() {
+    // One fetch per page, however many tools ask; a failed fetch can be retried
+    if (!pending) {
+      pending = fetch(OUI_DATABASE_URL).then(response => {
+        if (!response.ok) {
+          throw new Error(`Failed to load OUI database: ${response.status}`);
+        }
+        return response.json();
+      }).catch(error => {
+        pending = null;
+        throw error;
+      });
+    }
+    return pending;
+  }
+
+  function lookupVendor(database, normalized) {
+    // normalized is 12 uppercase hex digits with no separators
+    if (!database || !normalized) return null;
+
+    for (const registry of REGISTRIES) {
+      const prefix = normalized.substring(0, registry.length);
+      if (database[registry.key] && database[registry.key][prefix]) {
+        return {
+          vendor: database[registry.key][prefix],
+          prefix: prefix,
+          type: registry.type,
+          bits: registry.bits
+        };
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    OUI_DATABASE_URL,
+    loadOuiDatabase,
+    lookupVendor
+  };
+});
@@ -3,54 +3,40 @@
 (function() {
   'use strict';
 
+  // Parsing, formatting and classification live in address-math.js, loaded before this file
+  const {
+    isValidIPv4,
+    parseIPv4Input,
+    ipv4ToInt,
+    intToIPv4,
+    getIPv4SubnetMask,
+    expandIPv6,
+    isValidIPv6,
+    parseIPv6Input,
+    ipv6ToBigInt,
+    bigIntToIPv6,
+    compressIPv6,
+    getIPv6Mask,
+    parseIP,
+    explainInvalid,
+    parsePrefix,
+    formatAddress,
+    compareBigInt,
+    rangeToCidrs,
+    contains,
+    overlaps,
+    iterateSubnets,
+    classifyAddress,
+    describeScope
+  } = window.AddressMath;
+
+  // Vendor lookups share the MAC lookup tool's loader in oui-database.js
+  const { loadOuiDatabase, lookupVendor } = window.OuiDatabase;
+
   // ============================================
   // IPv4 Functions
   // ============================================
 
-  function isValidIPv4(ip) {
-    // Check if it's CIDR notation
-    if (ip.includes('/')) {
-      const [addr, cidr] = ip.split('/');
-      const cidrNum = parseInt(cidr, 10);
-      if (isNaN(cidrNum) || cidrNum < 0 || cidrNum > 32) return false;
-      return isValidIPv4(addr);
-    }
-    const parts = ip.split('.');
-    if (parts.length !== 4) return false;
-    return parts.every(part => {
-      const num = parseInt(part, 10);
-      return !isNaN(num) && num >= 0 && num <= 255 && part === num.toString();
-    });
-  }
-
-  function parseIPv4Input(input) {
-    // Returns { ip: string, targetCidr: number|null }
-    if (input.includes('/')) {
-      const [ip, cidr] = input.split('/');
-      return { ip: ip.trim(), targetCidr: parseInt(cidr, 10) };
-    }
-    return { ip: input.trim(), targetCidr: null };
-  }
-
-  function ipv4ToInt(ip) {
-    const parts = ip.split('.').map(Number);
-    return ((parts[0] << 24) | (parts[1] << 16) | (parts[2] << 8) | parts[3]) >>> 0;
-  }
-
-  function intToIPv4(int) {
-    return [
-      (int >>> 24) & 255,
-      (int >>> 16) & 255,
-      (int >>> 8) & 255,
-      int & 255
-    ].join('.');
-  }
-
-  function getIPv4SubnetMask(cidr) {
-    if (cidr === 0) return 0;
-    return (~0 << (32 - cidr)) >>> 0;
-  }
-
   function intToSubnetMask(int) {
     return intToIPv4(int);
   }
@@ -65,6 +51,11 @@
       const broadcastAddress = (networkAddress | (~mask >>> 0)) >>> 0;
       const hostCount = Math.pow(2, 32 - cidr);
 
+      // /31 point-to-point links use both addresses (RFC 3021); /32 is a single host
+      const firstUsable = cidr >= 31 ? networkAddress : networkAddress + 1;
+      const lastUsable = cidr >= 31 ? broadcastAddress : broadcastAddress - 1;
+      const usableCount = cidr >= 31 ? hostCount : hostCount - 2;
+
       subnets.push({
         cidr: cidr,
         cidrNotation: intToIPv4(networkAddress) + '/' + cidr,
@@ -72,6 +63,12 @@
         broadcastAddress: intToIPv4(broadcastAddress),
         range: intToIPv4(networkAddress) + ' - ' + intToIPv4(broadcastAddress),
         subnetMask: intToSubnetMask(mask),
+        wildcardMask: intToIPv4(~mask >>> 0),
+        firstUsable: intToIPv4(firstUsable),
+        lastUsable: intToIPv4(lastUsable),
+        usableRange: intToIPv4(firstUsable) + ' - ' + intToIPv4(lastUsable),
+        usableCount: usableCount,
+        usableCountFormatted: formatNumber(usableCount),
         hostCount: hostCount,
         hostCountFormatted: formatNumber(hostCount)
       });
@@ -105,12 +102,7 @@
       defaultMask = 'N/A';
     }
 
-    // Determine if private
-    let isPrivate = false;
-    if (firstOctet === 10) isPrivate = true;
-    else if (firstOctet === 172 && ip.split('.')[1] >= 16 && ip.split('.')[1] <= 31) isPrivate = true;
-    else if (firstOctet === 192 && ip.split('.')[1] == 168) isPrivate = true;
-    else if (ip === '127.0.0.1' || ip.startsWith('127.')) isPrivate = true;
+    const classification = classifyAddress(4, BigInt(ipInt));
 
     return {
       ip: ip,
@@ -119,138 +111,65 @@
       hexadecimal: '0x' + ipInt.toString(16).toUpperCase().padStart(8, '0'),
       ipClass: ipClass,
       defaultMask: defaultMask,
-      isPrivate: isPrivate ? 'Yes (RFC 1918)' : 'No (Public)'
+      isPrivate: describeReachability(classification),
+      registryBlock: describeRegistryBlock(classification),
+      flags: describeRegistryFlags(classification),
+      classification: classification,
+      reversePointer: getIPv4ReversePointer(ipInt),
+      nat64: compressIPv6(bigIntToIPv6(synthesizeNat64(0x64ff9bn << 96n, 96, ipInt))),
+      ipv4Mapped: '::ffff:' + ip,
+      sixToFour: compressIPv6(bigIntToIPv6((0x2002n << 112n) | (BigInt(ipInt) << 80n))) + '/48'
     };
   }
 
   // ============================================
-  // IPv6 Functions
+  // ACL Functions
   // ============================================
 
-  function expandIPv6(ip) {
-    // Remove any leading/trailing whitespace
-    ip = ip.trim().toLowerCase();
-    
-    // Handle :: expansion
-    if (ip.includes('::')) {
-      const parts = ip.split('::');
-      const left = parts[0] ? parts[0].split(':') : [];
-      const right = parts[1] ? parts[1].split(':') : [];
-      const missing = 8 - left.length - right.length;
-      const middle = Array(missing).fill('0000');
-      const expanded = [...left, ...middle, ...right];
-      return expanded.map(p => p.padStart(4, '0')).join(':');
-    }
-    
-    return ip.split(':').map(p => p.padStart(4, '0')).join(':');
-  }
-
-  function isValidIPv6(ip) {
-    // Check if it's CIDR notation
-    if (ip.includes('/')) {
-      const [addr, prefix] = ip.split('/');
-      const prefixNum = parseInt(prefix, 10);
-      if (isNaN(prefixNum) || prefixNum < 0 || prefixNum > 128) return false;
-      return isValidIPv6(addr);
-    }
-    
-    // Basic validation
-    ip = ip.trim().toLowerCase();
-    
-    // Check for invalid characters
-    if (!/^[0-9a-f:]+$/.test(ip)) return false;
-    
-    // Check :: appears at most once
-    const doubleColonCount = (ip.match(/::/g) || []).length;
-    if (doubleColonCount > 1) return false;
-    
-    // Expand and validate
-    try {
-      const expanded = expandIPv6(ip);
-      const parts = expanded.split(':');
-      if (parts.length !== 8) return false;
-      return parts.every(part => {
-        if (part.length !== 4) return false;
-        const num = parseInt(part, 16);
-        return !isNaN(num) && num >= 0 && num <= 65535;
-      });
-    } catch (e) {
-      return false;
-    }
-  }
-
-  function parseIPv6Input(input) {
-    // Returns { ip: string, targetPrefix: number|null }
-    if (input.includes('/')) {
-      const [ip, prefix] = input.split('/');
-      return { ip: ip.trim(), targetPrefix: parseInt(prefix, 10) };
-    }
-    return { ip: input.trim(), targetPrefix: null };
-  }
-
-  function ipv6ToBigInt(ip) {
-    const expanded = expandIPv6(ip);
-    const hex = expanded.replace(/:/g, '');
-    return BigInt('0x' + hex);
-  }
-
-  function bigIntToIPv6(bigint) {
-    const hex = bigint.toString(16).padStart(32, '0');
-    const parts = [];
-    for (let i = 0; i < 32; i += 4) {
-      parts.push(hex.substring(i, i + 4));
-    }
-    return parts.join(':');
-  }
+  const ACL_NAME = 'NETTOOLS-ACL';
 
-  function compressIPv6(ip) {
-    // First expand fully
-    const expanded = expandIPv6(ip);
-    let parts = expanded.split(':');
-    
-    // Remove leading zeros from each part
-    parts = parts.map(p => p.replace(/^0+/, '') || '0');
-    
-    // Find longest run of zeros
-    let maxStart = -1, maxLen = 0;
-    let currentStart = -1, currentLen = 0;
-    
-    for (let i = 0; i < parts.length; i++) {
-      if (parts[i] === '0') {
-        if (currentStart === -1) currentStart = i;
-        currentLen++;
-        if (currentLen > maxLen) {
-          maxLen = currentLen;
-          maxStart = currentStart;
-        }
+  // Each format renders one IPv4 subnet (from calculateIPv4Subnets) as paste-ready config
+  const ACL_FORMATS = {
+    cisco: subnet => {
+      let source;
+      if (subnet.cidr === 0) {
+        source = 'any';
+      } else if (subnet.cidr === 32) {
+        source = `host ${subnet.networkAddress}`;
       } else {
-        currentStart = -1;
-        currentLen = 0;
+        source = `${subnet.networkAddress} ${subnet.wildcardMask}`;
       }
-    }
-    
-    // Only compress if we have at least 2 consecutive zeros
-    if (maxLen >= 2) {
-      const before = parts.slice(0, maxStart);
-      const after = parts.slice(maxStart + maxLen);
-      if (before.length === 0 && after.length === 0) return '::';
-      if (before.length === 0) return '::' + after.join(':');
-      if (after.length === 0) return before.join(':') + '::';
-      return before.join(':') + '::' + after.join(':');
-    }
-    
-    return parts.join(':');
+      return `ip access-list extended ${ACL_NAME}\n permit ip ${source} any`;
+    },
+    juniper: subnet => `set policy-options prefix-list ${ACL_NAME} ${subnet.cidrNotation}`,
+    iptables: subnet => `iptables -A INPUT -s ${subnet.cidrNotation} -j ACCEPT`,
+    nftables: subnet => [
+      'table inet filter {',
+      '  set nettools_acl {',
+      '    type ipv4_addr',
+      '    flags interval',
+      `    elements = { ${subnet.cidrNotation} }`,
+      '  }',
+      '}'
+    ].join('\n'),
+    aws: subnet => 'aws ec2 authorize-security-group-ingress --group-id sg-0123456789abcdef0 ' +
+      `--ip-permissions 'IpProtocol=-1,IpRanges=[{CidrIp=${subnet.cidrNotation}}]'`
+  };
+
+  function buildAclSnippet(format, subnet) {
+    return (ACL_FORMATS[format] || ACL_FORMATS.cisco)(subnet);
   }
 
+  // ============================================
+  // IPv6 Functions
+  // ============================================
+
   function calculateIPv6Subnets(ip) {
     const ipBigInt = ipv6ToBigInt(ip);
     const subnets = [];
     const maxBits = 128n;
 
-    // Common IPv6 prefix lengths
-    const prefixes = [128, 127, 126, 124, 120, 112, 96, 80, 64, 56, 52, 48, 44, 40, 36, 32, 28, 24, 20, 16, 12, 8, 4, 0];
-
-    for (const prefix of prefixes) {
+    for (let prefix = 128; prefix >= 0; prefix--) {
       const prefixBigInt = BigInt(prefix);
       const hostBits = maxBits - prefixBigInt;
       
@@ -270,6 +189,7 @@
 
       subnets.push({
         prefix: prefix,
+        isNibbleBoundary: prefix % 4 === 0,
         cidrNotation: compressIPv6(bigIntToIPv6(networkAddress)) + '/' + prefix,
         networkAddress: compressIPv6(bigIntToIPv6(networkAddress)),
         lastAddress: compressIPv6(bigIntToIPv6(lastAddress)),
@@ -294,171 +214,994 @@
       binary += parseInt(char, 16).toString(2).padStart(4, '0');
     }
     
-    // Determine scope
-    const firstWord = expanded.substring(0, 4);
-    let scope = 'Global Unicast';
-    if (expanded.startsWith('fe80')) scope = 'Link-Local';
-    else if (expanded.startsWith('fc') || expanded.startsWith('fd')) scope = 'Unique Local (ULA)';
-    else if (expanded.startsWith('ff')) scope = 'Multicast';
-    else if (expanded === '0000:0000:0000:0000:0000:0000:0000:0001') scope = 'Loopback';
-    else if (expanded === '0000:0000:0000:0000:0000:0000:0000:0000') scope = 'Unspecified';
-    else if (expanded.startsWith('2001:0db8')) scope = 'Documentation';
-    else if (expanded.startsWith('2001') || expanded.startsWith('2002') || expanded.startsWith('2003')) scope = 'Global Unicast';
+    const classification = classifyAddress(6, bigint);
+    const block = classification.block;
+    const scope = describeScope(classification, bigint);
+    const embedded = getEmbeddedIPv4(bigint);
 
     return {
       ip: ip,
       expanded: expanded,
       compressed: compressed,
       scope: scope,
-      prefixHint: scope === 'Link-Local' ? '/10' : scope === 'Unique Local (ULA)' ? '/7' : '/64 (typical)'
+      prefixHint: block && !block.multicast ? `/${block.prefix}` : '/64 (typical)',
+      registryBlock: describeRegistryBlock(classification),
+      flags: describeRegistryFlags(classification),
+      classification: classification,
+      reversePointer: getIPv6ReversePointer(bigint),
+      embedded: embedded,
+      // Mixed notation only applies when the IPv4 address sits in the last 32 bits
+      mixed: embedded.some(e => e.ipv4 === intToIPv4(Number(bigint & 0xffffffffn))) ? toMixedNotation(bigint) : null
     };
   }
 
   // ============================================
-  // Utility Functions
+  // Prefix List Functions
   // ============================================
 
-  function formatNumber(num) {
-    if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
-    if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
-    if (num >= 1e3) return num.toLocaleString();
-    return num.toString();
+  function parseAddressRange(text) {
+    // Parses "start - end" (or "start to end") into a BigInt range, or returns null
+    const parts = text.trim().split(/\s*-\s*|\s+to\s+/i);
+    if (parts.length !== 2 || parts[0].includes('/') || parts[1].includes('/')) return null;
+
+    const first = parsePrefix(parts[0]);
+    const last = parsePrefix(parts[1]);
+    if (!first || !last || first.version !== last.version) return null;
+
+    return { version: first.version, start: first.start, end: last.start };
   }
 
-  function formatBigNumber(bigint) {
-    if (bigint >= 1000000000000000000000000000000000000n) {
-      return '~3.4 × 10³⁸';
+  function parsePrefixList(text) {
+    // Splits on whitespace, commas and semicolons; returns { prefixes, invalid }
+    const tokens = text.split(/[\s,;]+/).filter(Boolean);
+    const prefixes = [];
+    const invalid = [];
+
+    tokens.forEach(token => {
+      const parsed = parsePrefix(token);
+      if (parsed) {
+        prefixes.push(parsed);
+      } else {
+        invalid.push(token);
+      }
+    });
+
+    return { prefixes, invalid };
+  }
+
+  function summarisePrefixes(prefixes) {
+    // Merges overlapping and adjacent blocks, then re-splits each merged range
+    // into the smallest equivalent CIDR list. Each result keeps the inputs it replaces.
+    const results = [];
+
+    for (const version of [4, 6]) {
+      const sorted = prefixes
+        .filter(p => p.version === version)
+        .sort((a, b) => compareBigInt(a.start, b.start) || compareBigInt(b.end, a.end));
+
+      const merged = [];
+      for (const prefix of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && prefix.start <= last.end + 1n) {
+          if (prefix.end > last.end) last.end = prefix.end;
+          last.sources.push(prefix);
+        } else {
+          merged.push({ start: prefix.start, end: prefix.end, sources: [prefix] });
+        }
+      }
+
+      for (const range of merged) {
+        for (const cidr of rangeToCidrs(version, range.start, range.end)) {
+          const sources = range.sources.filter(p => p.start >= cidr.start && p.end <= cidr.end);
+          results.push({ ...cidr, sources: sources });
+        }
+      }
     }
-    if (bigint >= 1000000000000000000000000n) {
-      const exp = bigint.toString().length - 1;
-      return '~10^' + exp;
+
+    return results;
+  }
+
+  // ============================================
+  // Classification Functions
+  // ============================================
+
+  function describeReachability(classification) {
+    const block = classification.block;
+    if (!block) return 'No (Public)';
+    if (block.name === 'Private-Use') return `Yes (${block.rfc})`;
+    if (classification.global === false) return `Not globally reachable (${block.name})`;
+    return `No (Public, ${block.name})`;
+  }
+
+  function describeRegistryBlock(classification) {
+    const block = classification.block;
+    if (!block) return 'None (ordinary unicast)';
+    return `${block.cidrNotation} ${block.name} (${block.rfc})`;
+  }
+
+  function describeRegistryFlags(classification) {
+    const flag = value => value === null ? 'n/a' : value ? 'yes' : 'no';
+    return [
+      `source ${flag(classification.source)}`,
+      `destination ${flag(classification.destination)}`,
+      `forwardable ${flag(classification.forwardable)}`,
+      `global ${flag(classification.global)}`
+    ].join(', ');
+  }
+
+  // ============================================
+  // Diagnostics Functions
+  // ============================================
+
+  // Link-local subnets have a fixed length (RFC 3927 section 2.1, RFC 4291 section 2.5.6)
+  const LINK_LOCAL_PREFIXES = {
+    '169.254.0.0/16': 16,
+    'fe80::/10': 64
+  };
+
+  function diagnoseInput(parsed) {
+    // Returns warnings about calculator input, each with a corrected input to offer
+    const diagnostics = [];
+    const bits = BigInt(parsed.bits);
+    const zone = parsed.zone ? `%${parsed.zone}` : '';
+    const suffix = parsed.prefix !== null ? `/${parsed.prefix}` : '';
+
+    if (parsed.nonCanonical) {
+      diagnostics.push({
+        title: parsed.version === 4 ? 'Non-canonical IPv4 notation' : 'Non-canonical IPv6 text',
+        message: parsed.version === 4
+          ? `Read as ${parsed.canonical} (${parsed.notes.join(', ')}). Many tools reject or misread this form.`
+          : `Not in RFC 5952 form: ${parsed.notes.join(', ')}.`,
+        fix: parsed.canonical + zone + suffix
+      });
     }
-    if (bigint >= 1000000000000n) {
-      return (Number(bigint / 1000000000n) / 1000).toFixed(2) + 'T';
+
+    if (parsed.prefix === null) return diagnostics;
+
+    // A zone ID marks an interface address, where host bits are expected
+    const hostMask = (1n << (bits - BigInt(parsed.prefix))) - 1n;
+    if (!parsed.zone && (parsed.value & hostMask) !== 0n) {
+      const network = `${formatAddress(parsed.version, parsed.value & ~hostMask)}/${parsed.prefix}`;
+      diagnostics.push({
+        title: 'Host bits set',
+        message: `${parsed.canonical}${suffix} is a host within ${network}. Routes and prefix lists expect the network address.`,
+        fix: network
+      });
     }
-    if (bigint >= 1000000000n) {
-      return (Number(bigint / 1000000n) / 1000).toFixed(2) + 'B';
+
+    const classification = classifyAddress(parsed.version, parsed.value);
+    const broadest = classification.matches[classification.matches.length - 1];
+    const linkLocal = classification.matches.find(entry => LINK_LOCAL_PREFIXES[entry.cidr]);
+
+    if (broadest && parsed.prefix > 0 && parsed.prefix < broadest.prefix) {
+      diagnostics.push({
+        title: 'Prefix wider than its block',
+        message: `${suffix} reaches beyond the ${broadest.name} block ${broadest.cidrNotation} (${broadest.rfc}).`,
+        fix: broadest.cidrNotation
+      });
+    } else if (linkLocal && parsed.prefix !== LINK_LOCAL_PREFIXES[linkLocal.cidr] && parsed.prefix !== parsed.bits) {
+      const expected = LINK_LOCAL_PREFIXES[linkLocal.cidr];
+      diagnostics.push({
+        title: 'Unusual link-local prefix',
+        message: `Link-local subnets are always /${expected} (${linkLocal.rfc}).`,
+        fix: `${parsed.canonical}${zone}/${expected}`
+      });
+    } else if (parsed.version === 6 && parsed.prefix > 64 && parsed.prefix < 127 &&
+      !classification.multicastScope && !classification.matches.some(entry => entry.prefix > 64 || entry.rfc === 'RFC 8215')) {
+      // Translation prefixes (RFC 6052, RFC 8215) legitimately run past /64
+      diagnostics.push({
+        title: 'Unusual IPv6 subnet length',
+        message: `Subnets longer than /64 break SLAAC (RFC 7421); point-to-point links use /127 (RFC 6164).`,
+        fix: `${parsed.canonical}${zone}/64`
+      });
     }
-    if (bigint >= 1000000n) {
-      return (Number(bigint / 1000n) / 1000).toFixed(2) + 'M';
+
+    return diagnostics;
+  }
+
+  // ============================================
+  // Transition Functions
+  // ============================================
+
+  const NAT64_PREFIX_LENGTHS = [32, 40, 48, 56, 64, 96];
+
+  function getNat64BitPositions(prefixLength) {
+    // RFC 6052 section 2.2: the IPv4 bits follow the prefix, skipping bits 64-71 (the "u" octet)
+    const positions = [];
+    for (let bit = prefixLength; positions.length < 32; bit++) {
+      if (bit >= 64 && bit < 72) continue;
+      positions.push(bit);
     }
-    return bigint.toLocaleString();
+    return positions;
+  }
+
+  function synthesizeNat64(prefixValue, prefixLength, ipv4Int) {
+    const ipv4Bits = ipv4Int.toString(2).padStart(32, '0');
+    const bits = prefixValue.toString(2).padStart(128, '0').substring(0, prefixLength).padEnd(128, '0').split('');
+    getNat64BitPositions(prefixLength).forEach((bit, idx) => {
+      bits[bit] = ipv4Bits[idx];
+    });
+    return BigInt('0b' + bits.join(''));
+  }
+
+  function extractNat64(value, prefixLength) {
+    const bits = value.toString(2).padStart(128, '0');
+    const ipv4Bits = getNat64BitPositions(prefixLength).map(bit => bits[bit]).join('');
+    return parseInt(ipv4Bits, 2);
+  }
+
+  function getEmbeddedIPv4(value) {
+    // Detects transition mechanisms that carry an IPv4 address inside an IPv6 address
+    const low32 = Number(value & 0xffffffffn);
+    const results = [];
+
+    if (value >> 32n === 0xffffn) {
+      results.push({ mechanism: 'IPv4-mapped (RFC 4291)', ipv4: intToIPv4(low32) });
+    } else if (value >> 32n === 0n && value > 1n) {
+      results.push({ mechanism: 'IPv4-compatible (deprecated, RFC 4291)', ipv4: intToIPv4(low32) });
+    }
+
+    if (value >> 32n === 0x64ff9bn << 64n) {
+      results.push({ mechanism: 'NAT64 well-known prefix 64:ff9b::/96 (RFC 6052)', ipv4: intToIPv4(low32) });
+    } else if (value >> 80n === 0x64ff9b0001n) {
+      results.push({ mechanism: 'NAT64 local-use prefix 64:ff9b:1::/48 (RFC 8215, decoded as /96)', ipv4: intToIPv4(low32) });
+    }
+
+    if (value >> 112n === 0x2002n) {
+      results.push({
+        mechanism: '6to4 (RFC 3056)',
+        ipv4: intToIPv4(Number((value >> 80n) & 0xffffffffn))
+      });
+    }
+
+    if (value >> 96n === 0x20010000n) {
+      // Teredo: server IPv4 in bits 32-63; port and client address are stored inverted
+      const flags = Number((value >> 48n) & 0xffffn);
+      results.push({
+        mechanism: 'Teredo (RFC 4380)',
+        ipv4: intToIPv4((~low32) >>> 0),
+        teredo: {
+          server: intToIPv4(Number((value >> 64n) & 0xffffffffn)),
+          clientPort: (~Number((value >> 32n) & 0xffffn)) & 0xffff,
+          cone: (flags & 0x8000) !== 0,
+          flags: '0x' + flags.toString(16).padStart(4, '0')
+        }
+      });
+    }
+
+    const iid = (value >> 32n) & 0xffffffffn;
+    if ((iid === 0x5efen || iid === 0x02005efen) && value >> 64n !== 0n) {
+      results.push({ mechanism: 'ISATAP (RFC 5214)', ipv4: intToIPv4(low32) });
+    }
+
+    return results;
+  }
+
+  function toMixedNotation(value) {
+    // RFC 5952 section 5: IPv4-embedded addresses keep the last 32 bits dotted.
+    // Non-zero placeholder groups stop "::" from swallowing the IPv4 part.
+    const compressed = compressIPv6(bigIntToIPv6((value & ~0xffffffffn) | 0x10001n));
+    return compressed.replace(/1:1$/, '') + intToIPv4(Number(value & 0xffffffffn));
   }
 
   // ============================================
-  // UI Functions
+  // EUI-64 Functions
   // ============================================
 
-  function showError(message) {
-    const errorEl = document.getElementById('error-message');
-    const resultsEl = document.getElementById('results-container');
-    
-    errorEl.querySelector('span').textContent = message;
-    errorEl.classList.remove('hidden');
-    resultsEl.classList.add('hidden');
+  function normalizeMac(input) {
+    // Same rules as the MAC lookup tool: any common separator, 12 hex digits
+    const cleaned = input.toUpperCase().replace(/[:\-.\s]/g, '');
+    return /^[0-9A-F]{12}$/.test(cleaned) ? cleaned : null;
   }
 
-  function hideError() {
-    document.getElementById('error-message').classList.add('hidden');
+  function formatMac(normalized) {
+    return normalized.match(/.{2}/g).join(':');
   }
 
-  function renderIPv4Results(ip, targetCidr = null) {
-    const summary = getIPv4Summary(ip);
-    const subnets = calculateIPv4Subnets(ip);
-    
-    // Render summary
-    const summaryHtml = `
-      <div class="summary-item">
-        <span class="summary-label">IP Address</span>
-        <span class="summary-value">${summary.ip}</span>
-      </div>
-      <div class="summary-item">
-        <span class="summary-label">Binary</span>
-        <span class="summary-value">${summary.binary}</span>
-      </div>
-      <div class="summary-item">
-        <span class="summary-label">Decimal</span>
-        <span class="summary-value">${summary.decimal}</span>
-      </div>
-      <div class="summary-item">
-        <span class="summary-label">Hexadecimal</span>
-        <span class="summary-value">${summary.hexadecimal}</span>
-      </div>
-      <div class="summary-item">
-        <span class="summary-label">IP Class</span>
-        <span class="summary-value">${summary.ipClass}</span>
-      </div>
-      <div class="summary-item">
-        <span class="summary-label">Private/Public</span>
-        <span class="summary-value">${summary.isPrivate}</span>
-      </div>
-    `;
-    
-    // Render table
-    let tableHtml = `
-      <table class="results-table">
-        <thead>
-          <tr>
-            <th>CIDR Block</th>
-            <th>IP Range (Network - Broadcast)</th>
-            <th>Subnet Mask</th>
-            <th class="ip-count">IP Quantity</th>
-          </tr>
-        </thead>
-        <tbody>
-    `;
-    
-    for (const subnet of subnets) {
-      const isHighlighted = targetCidr !== null && subnet.cidr === targetCidr;
-      const highlightClass = isHighlighted ? 'highlighted' : '';
-      const indicator = isHighlighted ? ' ← Your Subnet' : '';
-      tableHtml += `
-        <tr class="${highlightClass}">
-          <td class="cidr">${subnet.cidrNotation}${indicator}</td>
-          <td>${subnet.range}</td>
-          <td>${subnet.subnetMask}</td>
-          <td class="ip-count">${subnet.hostCountFormatted}</td>
-        </tr>
-      `;
+  function macToInterfaceId(normalized) {
+    // RFC 4291 appendix A: insert FF:FE between OUI and NIC bytes, then invert the U/L bit
+    const eui64 = BigInt('0x' + normalized.substring(0, 6) + 'FFFE' + normalized.substring(6));
+    return eui64 ^ (0x02n << 56n);
+  }
+
+  function interfaceIdToMac(iid) {
+    // Returns the normalized MAC, or null if the IID was not built from a MAC
+    if (((iid >> 24n) & 0xffffn) !== 0xfffen) return null;
+
+    const eui64 = iid ^ (0x02n << 56n);
+    const hex = eui64.toString(16).padStart(16, '0').toUpperCase();
+    return hex.substring(0, 6) + hex.substring(10);
+  }
+
+  function formatInterfaceId(iid) {
+    return iid.toString(16).padStart(16, '0').match(/.{4}/g).join(':');
+  }
+
+  // ============================================
+  // Reverse DNS Functions
+  // ============================================
+
+  function getIPv4ReversePointer(ipInt) {
+    return intToIPv4(ipInt).split('.').reverse().join('.') + '.in-addr.arpa';
+  }
+
+  function getIPv6ReversePointer(bigint) {
+    return bigint.toString(16).padStart(32, '0').split('').reverse().join('.') + '.ip6.arpa';
+  }
+
+  function getReverseZones(prefix) {
+    // Reverse zones only delegate on label boundaries (octets for IPv4, nibbles for
+    // IPv6). Shorter prefixes split into several zones at the next boundary; IPv4
+    // prefixes longer than /24 need RFC 2317 classless delegation from their /24.
+    const labelBits = prefix.version === 4 ? 8 : 4;
+    const bits = prefix.version === 4 ? 32 : 128;
+
+    if (prefix.version === 4 && prefix.prefix > 24) {
+      const parentStart = prefix.start & ~0xffn;
+      const firstOctet = Number(prefix.start & 0xffn);
+      const parentZone = reverseZoneName(4, parentStart, 24);
+      return {
+        method: 'RFC 2317 classless delegation',
+        parentZone: parentZone,
+        zones: [{
+          name: `${firstOctet}/${prefix.prefix}.${parentZone}`,
+          start: prefix.start,
+          end: prefix.end,
+          prefix: prefix.prefix
+        }]
+      };
     }
-    
-    tableHtml += '</tbody></table>';
-    
-    document.getElementById('summary-grid').innerHTML = summaryHtml;
-    const infoText = targetCidr !== null 
-      ? `Showing all subnets with /${targetCidr} highlighted for ${ip}` 
-      : `Showing all ${subnets.length} subnets for ${ip}`;
-    document.getElementById('results-info').textContent = infoText;
-    document.getElementById('results-table-container').innerHTML = tableHtml;
-    document.getElementById('results-container').classList.remove('hidden');
+
+    const zonePrefix = Math.ceil(prefix.prefix / labelBits) * labelBits;
+    const zoneSize = 1n << BigInt(bits - zonePrefix);
+    const zones = [];
+    for (let start = prefix.start; start <= prefix.end; start += zoneSize) {
+      zones.push({
+        name: reverseZoneName(prefix.version, start, zonePrefix),
+        start: start,
+        end: start + zoneSize - 1n,
+        prefix: zonePrefix
+      });
+    }
+
+    const boundary = prefix.version === 4 ? 'octet' : 'nibble';
+    return {
+      method: zones.length === 1 ? `${boundary[0].toUpperCase() + boundary.slice(1)}-aligned zone` : `Split at the next ${boundary} boundary (/${zonePrefix})`,
+      parentZone: null,
+      zones: zones
+    };
   }
 
-  function renderIPv6Results(ip, targetPrefix = null) {
-    const summary = getIPv6Summary(ip);
-    const subnets = calculateIPv6Subnets(ip);
-    
-    // Render summary
-    const summaryHtml = `
-      <div class="summary-item">
-        <span class="summary-label">Input</span>
+  function reverseZoneName(version, start, zonePrefix) {
+    // Reverse the labels that make up the first zonePrefix bits of the address
+    if (version === 4) {
+      const octets = intToIPv4(Number(start)).split('.').slice(0, zonePrefix / 8);
+      return [...octets.reverse(), 'in-addr.arpa'].join('.');
+    }
+    const nibbles = start.toString(16).padStart(32, '0').slice(0, zonePrefix / 4).split('');
+    return [...nibbles.reverse(), 'ip6.arpa'].join('.');
+  }
+
+  function buildReverseZoneSnippet(prefix, reverse) {
+    // Example BIND configuration for the first zone, with PTR templates
+    const zone = reverse.zones[0];
+    const lines = [];
+    const soa = '@       IN SOA  ns1.example.com. hostmaster.example.com. ( 1 3600 900 1209600 3600 )';
+
+    lines.push(`; named.conf`);
+    reverse.zones.forEach(z => {
+      lines.push(`zone "${z.name}" { type master; file "db.${z.name.replace(/\//g, '-')}"; };`);
+    });
+    lines.push('');
+
+    if (reverse.parentZone) {
+      // RFC 2317: the /24 owner delegates the block and aliases each address into it
+      const first = Number(zone.start & 0xffn);
+      const last = Number(zone.end & 0xffn);
+      const label = `${first}/${prefix.prefix}`;
+      lines.push(`; In the parent zone ${reverse.parentZone} (held by the /24 owner)`);
+      lines.push(`${label.padEnd(8)}IN NS    ns1.example.com.`);
+      lines.push(`$GENERATE ${first}-${last} $ IN CNAME $.${label}.${reverse.parentZone}.`);
+      lines.push('');
+    }
+
+    lines.push(`; Zone file for ${zone.name}`);
+    if (reverse.zones.length > 1) {
+      lines.push(`; Repeat for each of the ${reverse.zones.length} zones above`);
+    }
+    lines.push(`$ORIGIN ${zone.name}.`);
+    lines.push('$TTL 3600');
+    lines.push(soa);
+    lines.push('        IN NS   ns1.example.com.');
+
+    if (prefix.version === 4) {
+      // $GENERATE iterates the last octet; zones wider than a /24 repeat it per /24
+      const base = intToIPv4(Number(zone.start)).split('.');
+      const hostLabels = (32 - zone.prefix) / 8;
+      const firstBlockEnd = (zone.start | 0xffn) < zone.end ? zone.start | 0xffn : zone.end;
+      const first = Number(zone.start & 0xffn);
+      const last = Number(firstBlockEnd & 0xffn);
+      const fixed = base.slice(zone.prefix / 8, 3).reverse();
+      const owner = ['$', ...fixed.slice(0, hostLabels - 1)].join('.');
+      const host = [...base.slice(0, 3), '$'].join('-');
+      if (hostLabels > 1) {
+        lines.push(`; PTR template for ${base.slice(0, 3).join('.')}.0/24, repeat for each /24 in the zone`);
+      }
+      lines.push(`$GENERATE ${first}-${last} ${owner} IN PTR host-${host}.example.com.`);
+    } else {
+      // ip6.arpa owners are nibble labels relative to the zone; show the first host
+      const host = zone.start + 1n <= zone.end ? zone.start + 1n : zone.start;
+      const nibbleCount = (128 - zone.prefix) / 4;
+      const owner = host.toString(16).padStart(32, '0').slice(32 - nibbleCount).split('').reverse().join('.') || '@';
+      const name = compressIPv6(bigIntToIPv6(host)).replace(/:/g, '-');
+      lines.push(`; PTR template for ${compressIPv6(bigIntToIPv6(host))}`);
+      lines.push(`${owner} IN PTR host-${name}.example.com.`);
+    }
+
+    return lines.join('\n');
+  }
+
+  // ============================================
+  // Overlap Functions
+  // ============================================
+
+  function parseNamedLists(text) {
+    // "[name]" lines start a list; entries are prefixes, addresses or "start - end" ranges.
+    // Returns { lists: [{ name, entries }], invalid: [{ list, input }] }
+    const lists = [];
+    const invalid = [];
+    let current = null;
+
+    for (const rawLine of text.split('\n')) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const header = line.match(/^\[(.+)\]$/);
+      if (header) {
+        current = { name: header[1].trim(), entries: [] };
+        lists.push(current);
+        continue;
+      }
+
+      if (!current) {
+        current = { name: `List ${lists.length + 1}`, entries: [] };
+        lists.push(current);
+      }
+
+      for (const item of line.split(/[,;]+/).map(i => i.trim()).filter(Boolean)) {
+        // Words joined by a dash, with or without spaces around it, form one range token
+        const tokens = [];
+        for (const word of item.split(/\s+/)) {
+          const last = tokens.length - 1;
+          if (last >= 0 && (tokens[last].endsWith('-') || word.startsWith('-'))) {
+            tokens[last] += ` ${word}`;
+          } else {
+            tokens.push(word);
+          }
+        }
+        for (const token of tokens) {
+          const entry = token.includes('-') ? parseAddressRange(token) : parsePrefix(token);
+          if (entry && entry.start <= entry.end) {
+            current.entries.push({ ...entry, input: token, list: current.name });
+          } else {
+            invalid.push({ list: current.name, input: token });
+          }
+        }
+      }
+    }
+
+    return { lists, invalid };
+  }
+
+  function findOverlaps(lists) {
+    // Compares every entry against the entries of every other list. The
+    // relationship reads left to right: entry a contains / is contained in entry b.
+    const pairs = [];
+
+    for (let i = 0; i < lists.length; i++) {
+      for (let j = i + 1; j < lists.length; j++) {
+        for (const a of lists[i].entries) {
+          for (const b of lists[j].entries) {
+            if (!overlaps(a, b)) continue;
+
+            let relationship;
+            if (a.start === b.start && a.end === b.end) {
+              relationship = 'Identical';
+            } else if (contains(a, b)) {
+              relationship = 'Contains';
+            } else if (contains(b, a)) {
+              relationship = 'Contained in';
+            } else {
+              relationship = 'Partial overlap';
+            }
+
+            const start = a.start > b.start ? a.start : b.start;
+            const end = a.end < b.end ? a.end : b.end;
+            pairs.push({
+              a: a,
+              b: b,
+              relationship: relationship,
+              version: a.version,
+              start: start,
+              end: end,
+              cidrs: rangeToCidrs(a.version, start, end)
+            });
+          }
+        }
+      }
+    }
+
+    return pairs;
+  }
+
+  // ============================================
+  // VLSM Functions
+  // ============================================
+
+  function parseVlsmRequirements(text) {
+    // Accepts "name: hosts" entries separated by newlines, commas or semicolons
+    const entries = text.split(/[\n,;]+/).map(e => e.trim()).filter(Boolean);
+    const requirements = [];
+
+    entries.forEach((entry, idx) => {
+      const match = entry.match(/^(.*?)[\s:=]+(\d+)$/) || entry.match(/^()(\d+)$/);
+      if (!match) {
+        throw new Error(`Invalid requirement "${entry}". Use the form name: hosts (e.g., users: 500)`);
+      }
+      const hosts = parseInt(match[2], 10);
+      if (hosts < 1) {
+        throw new Error(`Requirement "${entry}" must ask for at least 1 host`);
+      }
+      requirements.push({
+        name: match[1].trim() || `subnet-${idx + 1}`,
+        hosts: hosts,
+        order: idx
+      });
+    });
+
+    return requirements;
+  }
+
+  function getVlsmPrefix(hosts) {
+    // Smallest block whose usable range (excluding network and broadcast) fits the hosts
+    for (let cidr = 30; cidr >= 0; cidr--) {
+      if (Math.pow(2, 32 - cidr) - 2 >= hosts) return cidr;
+    }
+    return null;
+  }
+
+  function allocateVlsm(parentIp, parentCidr, requirements) {
+    const parentMask = getIPv4SubnetMask(parentCidr);
+    const parentNetwork = (ipv4ToInt(parentIp) & parentMask) >>> 0;
+    const parentSize = Math.pow(2, 32 - parentCidr);
+    const parentEnd = parentNetwork + parentSize;
+
+    // Largest first; equal sizes keep the order they were entered in. Placing
+    // power-of-two blocks in descending size keeps every block aligned.
+    const sorted = requirements
+      .map(req => ({ ...req, cidr: getVlsmPrefix(req.hosts) }))
+      .sort((a, b) => (a.cidr ?? -1) - (b.cidr ?? -1) || a.order - b.order);
+
+    const allocations = [];
+    const unallocated = [];
+    let cursor = parentNetwork;
+    let totalNeeded = 0;
+
+    for (const req of sorted) {
+      const size = req.cidr === null ? Infinity : Math.pow(2, 32 - req.cidr);
+      totalNeeded += size;
+
+      if (cursor + size > parentEnd) {
+        unallocated.push({ ...req, size: size });
+        continue;
+      }
+
+      const networkAddress = cursor;
+      const broadcastAddress = cursor + size - 1;
+      allocations.push({
+        name: req.name,
+        hosts: req.hosts,
+        cidr: req.cidr,
+        cidrNotation: intToIPv4(networkAddress) + '/' + req.cidr,
+        networkAddress: intToIPv4(networkAddress),
+        broadcastAddress: intToIPv4(broadcastAddress),
+        usableRange: intToIPv4(networkAddress + 1) + ' - ' + intToIPv4(broadcastAddress - 1),
+        subnetMask: intToSubnetMask(getIPv4SubnetMask(req.cidr)),
+        size: size,
+        usableHosts: size - 2,
+        wasted: size - 2 - req.hosts
+      });
+      cursor += size;
+    }
+
+    return {
+      parent: intToIPv4(parentNetwork) + '/' + parentCidr,
+      parentSize: parentSize,
+      allocations: allocations,
+      unallocated: unallocated,
+      totalNeeded: totalNeeded,
+      allocated: cursor - parentNetwork,
+      free: parentEnd - cursor
+    };
+  }
+
+  // ============================================
+  // Planner Functions
+  // ============================================
+
+  const PLAN_MAX_BLOCKS = 1024;
+
+  // A plan is the ordered list of leaf blocks that exactly tile the parent prefix.
+  // Blocks with a label count as used, unlabelled blocks as free.
+  function createPlan(parent) {
+    return [{ start: parent.start, prefix: parent.prefix, label: '' }];
+  }
+
+  function getBlockSize(parent, block) {
+    return 1n << BigInt(parent.bits - block.prefix);
+  }
+
+  function splitBlock(parent, blocks, index) {
+    const block = blocks[index];
+    const half = getBlockSize(parent, block) >> 1n;
+    const children = [
+      { start: block.start, prefix: block.prefix + 1, label: block.label },
+      { start: block.start + half, prefix: block.prefix + 1, label: '' }
+    ];
+    return [...blocks.slice(0, index), ...children, ...blocks.slice(index + 1)];
+  }
+
+  function getJoinIndex(parent, blocks, index) {
+    // Returns the index of the left half of the pair block[index] can merge with, or -1
+    const block = blocks[index];
+    if (block.prefix <= parent.prefix) return -1;
+
+    const isLeft = ((block.start >> BigInt(parent.bits - block.prefix)) & 1n) === 0n;
+    const left = isLeft ? index : index - 1;
+    const right = left + 1;
+    if (left < 0 || right >= blocks.length) return -1;
+
+    return blocks[left].prefix === block.prefix && blocks[right].prefix === block.prefix ? left : -1;
+  }
+
+  function joinLabels(left, right) {
+    // Joining two labelled blocks keeps both names rather than dropping one
+    if (!left || !right || left === right) return left || right;
+    return `${left} + ${right}`;
+  }
+
+  function joinBlocks(blocks, left) {
+    const merged = {
+      start: blocks[left].start,
+      prefix: blocks[left].prefix - 1,
+      label: joinLabels(blocks[left].label, blocks[left + 1].label)
+    };
+    return [...blocks.slice(0, left), merged, ...blocks.slice(left + 2)];
+  }
+
+  function getPlanUsage(parent, blocks) {
+    let used = 0n;
+    for (const block of blocks) {
+      if (block.label) used += getBlockSize(parent, block);
+    }
+    const total = 1n << BigInt(parent.bits - parent.prefix);
+    return { used: used, free: total - used, total: total };
+  }
+
+  function encodePlan(blocks) {
+    // Compact permalink form: prefix lengths in order, each with an optional label
+    return blocks.map(block => block.label
+      ? `${block.prefix}:${encodeURIComponent(block.label)}`
+      : `${block.prefix}`
+    ).join(',');
+  }
+
+  function decodePlan(parent, text) {
+    // Rebuilds the blocks from encodePlan output, or returns null if they do not tile the parent
+    const entries = text.split(',');
+    if (entries.length > PLAN_MAX_BLOCKS) return null;
+
+    const blocks = [];
+    const end = parent.end + 1n;
+    let cursor = parent.start;
+
+    for (const entry of entries) {
+      const sep = entry.indexOf(':');
+      const lengthText = sep === -1 ? entry : entry.substring(0, sep);
+      if (!/^\d+$/.test(lengthText)) return null;
+
+      const prefix = parseInt(lengthText, 10);
+      if (prefix < parent.prefix || prefix > parent.bits) return null;
+
+      const size = 1n << BigInt(parent.bits - prefix);
+      if (cursor % size !== 0n || cursor + size > end) return null;
+
+      let label = '';
+      if (sep !== -1) {
+        try {
+          label = decodeURIComponent(entry.substring(sep + 1));
+        } catch (e) {
+          return null;
+        }
+      }
+
+      blocks.push({ start: cursor, prefix: prefix, label: label });
+      cursor += size;
+    }
+
+    return cursor === end ? blocks : null;
+  }
+
+  // ============================================
+  // Batch Functions
+  // ============================================
+
+  function cleanBatchToken(token) {
+    // Strips punctuation that surrounds addresses in logs and prose, keeping "::" intact
+    token = token
+      .replace(/%.*$/, '')              // zone ID (fe80::1%eth0)
+      .replace(/^(?!::)[:/.]+/, '')     // leading "://" or ":" from URLs and key:value pairs
+      .replace(/\.+$/, '')              // sentence-ending full stop
+      .replace(/\/(?!\d+$).*$/, '');    // URL path rather than a prefix length
+    if (token.endsWith(':') && !token.endsWith('::')) token = token.slice(0, -1);
+
+    // IPv4 with a port (192.0.2.1:443)
+    const withPort = token.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+    return withPort ? withPort[1] : token;
+  }
+
+  function extractAddresses(text) {
+    // Finds every IPv4/IPv6 address or CIDR in free text. Repeats are merged on
+    // their normalised form and counted; dotted quads that fail validation are kept as invalid.
+    const entries = new Map();
+
+    for (const raw of text.split(/[^0-9A-Fa-f:./%]+/)) {
+      const token = cleanBatchToken(raw);
+      if (!/[0-9a-f]/i.test(token) || !/[.:]/.test(token)) continue;
+
+      let entry;
+      if (isValidIPv4(token)) {
+        const { ip, targetCidr } = parseIPv4Input(token);
+        entry = { version: 4, value: BigInt(ipv4ToInt(ip)), prefix: targetCidr, normalised: token };
+      } else if (token.includes(':') && isValidIPv6(token)) {
+        const { ip, targetPrefix } = parseIPv6Input(token);
+        const compressed = compressIPv6(ip);
+        entry = {
+          version: 6,
+          value: ipv6ToBigInt(ip),
+          prefix: targetPrefix,
+          normalised: targetPrefix === null ? compressed : `${compressed}/${targetPrefix}`
+        };
+      } else if (/^\d{1,3}(\.\d{1,3}){3}(\/\d+)?$/.test(token)) {
+        entry = { version: 4, value: null, prefix: null, normalised: token };
+      } else {
+        continue;
+      }
+
+      const existing = entries.get(entry.normalised);
+      if (existing) {
+        existing.count++;
+      } else {
+        entries.set(entry.normalised, { ...entry, input: token, count: 1 });
+      }
+    }
+
+    return [...entries.values()];
+  }
+
+  function classifyBatchEntry(entry) {
+    if (entry.value === null) {
+      return {
+        address: entry.input,
+        version: 'IPv4',
+        type: 'Invalid',
+        normalised: '-',
+        scope: '-',
+        reachability: '-',
+        container: '-',
+        count: entry.count,
+        entry: entry
+      };
+    }
+
+    const classification = classifyAddress(entry.version, entry.value);
+    const block = classification.block;
+    let reachability = 'Public';
+    if (block && (block.name === 'Private-Use' || block.name === 'Unique-Local')) {
+      reachability = 'Private';
+    } else if (classification.global === false) {
+      reachability = 'Not global';
+    }
+
+    // The /24 (IPv4) or /64 (IPv6) the address sits in; shorter CIDRs are already larger
+    const containerLength = entry.version === 4 ? 24 : 64;
+    let container = '-';
+    if (entry.prefix === null || entry.prefix >= containerLength) {
+      const bits = entry.version === 4 ? 32 : 128;
+      const mask = ((1n << BigInt(bits)) - 1n) ^ ((1n << BigInt(bits - containerLength)) - 1n);
+      container = `${formatAddress(entry.version, entry.value & mask)}/${containerLength}`;
+    }
+
+    return {
+      address: entry.input,
+      version: entry.version === 4 ? 'IPv4' : 'IPv6',
+      type: entry.prefix === null ? 'Address' : 'CIDR',
+      normalised: entry.normalised,
+      scope: describeScope(classification, entry.value),
+      reachability: reachability,
+      container: container,
+      count: entry.count,
+      entry: entry
+    };
+  }
+
+  function compareBatchRows(a, b, key) {
+    if (key === 'count') return a.count - b.count;
+    if (key === 'address') {
+      // Numeric address order: IPv4 before IPv6, invalid entries last
+      const rank = row => row.entry.value === null ? 2 : row.entry.version === 4 ? 0 : 1;
+      if (rank(a) !== rank(b)) return rank(a) - rank(b);
+      if (a.entry.value !== b.entry.value) return a.entry.value < b.entry.value ? -1 : 1;
+      return (a.entry.prefix ?? -1) - (b.entry.prefix ?? -1);
+    }
+    return String(a[key]).localeCompare(String(b[key]));
+  }
+
+  // ============================================
+  // Utility Functions
+  // ============================================
+
+  function formatNumber(num) {
+    if (num >= 1e9) return (num / 1e9).toFixed(2) + 'B';
+    if (num >= 1e6) return (num / 1e6).toFixed(2) + 'M';
+    if (num >= 1e3) return num.toLocaleString();
+    return num.toString();
+  }
+
+  function formatBigNumber(bigint) {
+    if (bigint >= 1000000000000000000000000000000000000n) {
+      return '~3.4 × 10³⁸';
+    }
+    if (bigint >= 1000000000000000000000000n) {
+      const exp = bigint.toString().length - 1;
+      return '~10^' + exp;
+    }
+    if (bigint >= 1000000000000n) {
+      return (Number(bigint / 1000000000n) / 1000).toFixed(2) + 'T';
+    }
+    if (bigint >= 1000000000n) {
+      return (Number(bigint / 1000000n) / 1000).toFixed(2) + 'B';
+    }
+    if (bigint >= 1000000n) {
+      return (Number(bigint / 1000n) / 1000).toFixed(2) + 'M';
+    }
+    return bigint.toLocaleString();
+  }
+
+  function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  // ============================================
+  // UI Functions
+  // ============================================
+
+  function showError(message) {
+    const errorEl = document.getElementById('error-message');
+    const resultsEl = document.getElementById('results-container');
+    
+    errorEl.querySelector('span').textContent = message;
+    errorEl.classList.remove('hidden');
+    resultsEl.classList.add('hidden');
+  }
+
+  function hideError() {
+    document.getElementById('error-message').classList.add('hidden');
+  }
+
+  function summaryItem(label, value) {
+    return `
+      <div class="summary-item">
+        <span class="summary-label">${label}</span>
+        <span class="summary-value">${value}</span>
+      </div>
+    `;
+  }
+
+  function showResults(title, summaryHtml, infoText, tableHtml) {
+    document.getElementById('results-title').textContent = title;
+    document.getElementById('summary-grid').innerHTML = summaryHtml;
+    document.getElementById('results-info').textContent = infoText;
+    document.getElementById('results-table-container').innerHTML = tableHtml;
+    document.getElementById('results-container').classList.remove('hidden');
+  }
+
+  function renderDiagnostics(diagnostics) {
+    const panel = document.getElementById('diagnostics-panel');
+    panel.innerHTML = diagnostics.map(diagnostic => {
+      const fix = escapeHtml(diagnostic.fix);
+      return `
+        <div class="subnet-diagnostic">
+          <div class="subnet-diagnostic-text">
+            <strong>${diagnostic.title}</strong>
+            <span>${escapeHtml(diagnostic.message)}</span>
+          </div>
+          <button type="button" class="btn btn-secondary btn-sm" data-diagnostic-fix="${fix.replace(/"/g, '&quot;')}" title="Use canonical form">Use ${fix}</button>
+        </div>
+      `;
+    }).join('');
+    panel.classList.toggle('hidden', diagnostics.length === 0);
+  }
+
+  let aclSnippet = '';
+
+  async function copyAclSnippet(btn) {
+    if (!aclSnippet) return;
+
+    await navigator.clipboard.writeText(aclSnippet);
+
+    const orig = btn.textContent;
+    btn.textContent = 'Copied';
+    setTimeout(() => (btn.textContent = orig), 1000);
+  }
+
+  function renderIPv4Results(ip, targetCidr = null, notes = []) {
+    const summary = getIPv4Summary(ip);
+    const subnets = calculateIPv4Subnets(ip);
+    
+    // Render summary
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">IP Address</span>
         <span class="summary-value">${summary.ip}</span>
       </div>
       <div class="summary-item">
-        <span class="summary-label">Expanded</span>
-        <span class="summary-value">${summary.expanded}</span>
+        <span class="summary-label">Binary</span>
+        <span class="summary-value">${summary.binary}</span>
       </div>
       <div class="summary-item">
-        <span class="summary-label">Compressed</span>
-        <span class="summary-value">${summary.compressed}</span>
+        <span class="summary-label">Decimal</span>
+        <span class="summary-value">${summary.decimal}</span>
       </div>
       <div class="summary-item">
-        <span class="summary-label">Scope</span>
-        <span class="summary-value">${summary.scope}</span>
+        <span class="summary-label">Hexadecimal</span>
+        <span class="summary-value">${summary.hexadecimal}</span>
       </div>
       <div class="summary-item">
-        <span class="summary-label">Typical Prefix</span>
-        <span class="summary-value">${summary.prefixHint}</span>
+        <span class="summary-label">IP Class</span>
+        <span class="summary-value">${summary.ipClass}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Private/Public</span>
+        <span class="summary-value">${summary.isPrivate}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Registry Block</span>
+        <span class="summary-value">${summary.registryBlock}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Registry Flags</span>
+        <span class="summary-value">${summary.flags}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Reverse Pointer</span>
+        <span class="summary-value">${summary.reversePointer}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">NAT64 (64:ff9b::/96)</span>
+        <span class="summary-value">${summary.nat64}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">IPv4-Mapped IPv6</span>
+        <span class="summary-value">${summary.ipv4Mapped}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">6to4 Prefix</span>
+        <span class="summary-value">${summary.sixToFour}</span>
       </div>
+      ${notes.length > 0 ? summaryItem('Input Notes', notes.join('; ')) : ''}
     `;
     
     // Render table
@@ -466,115 +1209,1440 @@
       <table class="results-table">
         <thead>
           <tr>
-            <th>Prefix</th>
-            <th>Network Range</th>
-            <th class="ip-count">Address Quantity</th>
+            <th>CIDR Block</th>
+            <th>IP Range (Network - Broadcast)</th>
+            <th>Usable Hosts</th>
+            <th>Subnet Mask</th>
+            <th>Wildcard Mask</th>
+            <th class="ip-count">Usable</th>
+            <th class="ip-count">IP Quantity</th>
           </tr>
         </thead>
         <tbody>
     `;
     
     for (const subnet of subnets) {
-      const isHighlighted = targetPrefix !== null && subnet.prefix === targetPrefix;
+      const isHighlighted = targetCidr !== null && subnet.cidr === targetCidr;
       const highlightClass = isHighlighted ? 'highlighted' : '';
-      const indicator = isHighlighted ? ' ← Your Prefix' : '';
+      const indicator = isHighlighted ? ' ← Your Subnet' : '';
+      tableHtml += `
+        <tr class="${highlightClass}">
+          <td class="cidr">${subnet.cidrNotation}${indicator}</td>
+          <td>${subnet.range}</td>
+          <td>${subnet.usableRange}</td>
+          <td>${subnet.subnetMask}</td>
+          <td>${subnet.wildcardMask}</td>
+          <td class="ip-count">${subnet.usableCountFormatted}</td>
+          <td class="ip-count">${subnet.hostCountFormatted}</td>
+        </tr>
+      `;
+    }
+    
+    tableHtml += '</tbody></table>';
+
+    // ACL export for the chosen subnet (a bare address exports as a /32)
+    const format = document.getElementById('acl-format').value;
+    const aclSubnet = subnets.find(subnet => subnet.cidr === (targetCidr !== null ? targetCidr : 32));
+    aclSnippet = buildAclSnippet(format, aclSubnet);
+    tableHtml += `<pre class="subnet-snippet">${escapeHtml(aclSnippet)}</pre>`;
+    document.getElementById('acl-copy-btn').disabled = false;
+    
+    const infoText = targetCidr !== null 
+      ? `Showing all subnets with /${targetCidr} highlighted for ${ip}` 
+      : `Showing all ${subnets.length} subnets for ${ip}`;
+    showResults('Subnet Breakdown', summaryHtml, infoText, tableHtml);
+  }
+
+  function renderEmbeddedIPv4(summary) {
+    let html = '';
+
+    for (const embedded of summary.embedded) {
+      html += summaryItem('Transition Mechanism', embedded.mechanism);
+      html += summaryItem('Embedded IPv4', embedded.ipv4);
+      if (embedded.teredo) {
+        html += summaryItem('Teredo Server', embedded.teredo.server);
+        html += summaryItem('Teredo Client Port', embedded.teredo.clientPort);
+        html += summaryItem('Teredo Flags', `${embedded.teredo.flags}${embedded.teredo.cone ? ' (cone NAT)' : ''}`);
+      }
+    }
+
+    if (summary.mixed) {
+      html += summaryItem('Mixed Notation', summary.mixed);
+    }
+
+    return html;
+  }
+
+  function renderIPv6Results(ip, targetPrefix = null, notes = []) {
+    const summary = getIPv6Summary(ip);
+    const subnets = calculateIPv6Subnets(ip);
+    
+    // Render summary
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">Input</span>
+        <span class="summary-value">${summary.ip}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Expanded</span>
+        <span class="summary-value">${summary.expanded}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Compressed</span>
+        <span class="summary-value">${summary.compressed}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Scope</span>
+        <span class="summary-value">${summary.scope}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Typical Prefix</span>
+        <span class="summary-value">${summary.prefixHint}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Registry Block</span>
+        <span class="summary-value">${summary.registryBlock}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Registry Flags</span>
+        <span class="summary-value">${summary.flags}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Reverse Pointer</span>
+        <span class="summary-value">${summary.reversePointer}</span>
+      </div>
+      ${renderEmbeddedIPv4(summary)}
+      ${notes.length > 0 ? summaryItem('Input Notes', notes.join('; ')) : ''}
+    `;
+    
+    // Render table
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Prefix</th>
+            <th>Network Range</th>
+            <th class="ip-count">Address Quantity</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+    
+    for (const subnet of subnets) {
+      const isHighlighted = targetPrefix !== null && subnet.prefix === targetPrefix;
+      const highlightClass = isHighlighted ? 'highlighted' : subnet.isNibbleBoundary ? 'nibble-row' : '';
+      const indicator = isHighlighted ? ' ← Your Prefix' : '';
+      tableHtml += `
+        <tr class="${highlightClass}">
+          <td class="cidr">${subnet.cidrNotation}${indicator}</td>
+          <td>${subnet.range}</td>
+          <td class="ip-count">${subnet.hostCountFormatted}</td>
+        </tr>
+      `;
+    }
+    
+    tableHtml += '</tbody></table>';
+    
+    const infoText = targetPrefix !== null 
+      ? `Showing all prefixes with /${targetPrefix} highlighted for ${compressIPv6(ip)} (nibble boundaries shaded)` 
+      : `Showing all ${subnets.length} prefix lengths for ${compressIPv6(ip)} (nibble boundaries shaded)`;
+    showResults('Subnet Breakdown', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculate() {
+    const activeTab = document.querySelector('.tab-btn.active');
+    const isIPv6 = activeTab && activeTab.dataset.tab === 'ipv6';
+    
+    const input = document.getElementById('ip-input').value.trim();
+    aclSnippet = '';
+    document.getElementById('acl-copy-btn').disabled = true;
+    renderDiagnostics([]);
+    
+    if (!input) {
+      showError('Please enter an IP address');
+      return;
+    }
+    
+    // inet_aton forms and zone IDs are accepted here but reported as input notes;
+    // the diagnostics panel offers the fixes
+    let parsed;
+    try {
+      parsed = parseIP(input, { allowInetAton: true, allowZone: true });
+    } catch (e) {
+      showError(`Invalid ${isIPv6 ? 'IPv6' : 'IPv4'} address: ${e.message}`);
+      return;
+    }
+
+    if (parsed.version !== (isIPv6 ? 6 : 4)) {
+      showError(`${input} is an IPv${parsed.version} address. Switch to the IPv${parsed.version} tab to calculate it`);
+      return;
+    }
+
+    hideError();
+
+    const address = input.split(/[%/]/)[0];
+    const notes = [];
+    if (parsed.nonCanonical) {
+      notes.push(`Non-canonical input (${parsed.notes.join(', ')}), read as ${parsed.canonical}`);
+    }
+    if (parsed.zone) {
+      notes.push(`Zone ID "${escapeHtml(parsed.zone)}" is not part of the address value`);
+    }
+    
+    if (isIPv6) {
+      renderIPv6Results(address, parsed.prefix, notes);
+    } else {
+      renderIPv4Results(parsed.canonical, parsed.prefix, notes);
+    }
+    renderDiagnostics(diagnoseInput(parsed));
+  }
+
+  let summaryResults = [];
+
+  function renderSummaryResults(results, inputCount) {
+    const changed = results.filter(r => r.sources.length !== 1 || r.sources[0].input !== r.cidrNotation);
+    const reduction = inputCount > 0 ? Math.round((1 - results.length / inputCount) * 100) : 0;
+
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">Input Entries</span>
+        <span class="summary-value">${formatNumber(inputCount)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Summarised Prefixes</span>
+        <span class="summary-value">${formatNumber(results.length)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Reduction</span>
+        <span class="summary-value">${reduction}%</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Collapsed</span>
+        <span class="summary-value">${formatNumber(changed.length)} prefix${changed.length !== 1 ? 'es' : ''}</span>
+      </div>
+    `;
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Summarised CIDR</th>
+            <th>Collapsed From</th>
+            <th>Change</th>
+            <th class="ip-count">Addresses</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const result of results) {
+      const sources = result.sources.map(src => {
+        const normalised = src.input !== src.cidrNotation ? ` (as ${src.cidrNotation})` : '';
+        return `<div class="summary-diff-removed">- ${escapeHtml(src.input)}${normalised}</div>`;
+      }).join('');
+
+      let change;
+      if (result.sources.length === 1 && result.sources[0].input === result.cidrNotation) {
+        change = 'Unchanged';
+      } else if (result.sources.length === 1) {
+        change = 'Normalised';
+      } else {
+        change = `Merged ${result.sources.length} entries`;
+      }
+
+      tableHtml += `
+        <tr>
+          <td class="cidr">+ ${result.cidrNotation}</td>
+          <td>${sources}</td>
+          <td>${change}</td>
+          <td class="ip-count">${formatBigNumber(result.end - result.start + 1n)}</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+
+    const infoText = `${inputCount} entr${inputCount !== 1 ? 'ies' : 'y'} summarised to ${results.length} prefix${results.length !== 1 ? 'es' : ''}`;
+    showResults('Summarised Prefixes', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculateSummary() {
+    const input = document.getElementById('summarise-input').value.trim();
+    summaryResults = [];
+    document.getElementById('summarise-copy-btn').disabled = true;
+
+    if (!input) {
+      showError('Please enter at least one prefix or address');
+      return;
+    }
+
+    const { prefixes, invalid } = parsePrefixList(input);
+    if (invalid.length > 0) {
+      const shown = invalid.slice(0, 5).map(token => `"${token}"`).join(', ');
+      const more = invalid.length > 5 ? ` and ${invalid.length - 5} more` : '';
+      const reason = explainInvalid(invalid[0]);
+      showError(`Invalid prefix or address: ${shown}${more}${reason ? `. First problem: ${reason}` : ''}`);
+      return;
+    }
+
+    hideError();
+
+    summaryResults = summarisePrefixes(prefixes);
+    renderSummaryResults(summaryResults, prefixes.length);
+    document.getElementById('summarise-copy-btn').disabled = summaryResults.length === 0;
+  }
+
+  async function copyCidrList(btn, cidrs) {
+    if (cidrs.length === 0) return;
+
+    await navigator.clipboard.writeText(cidrs.map(c => c.cidrNotation).join('\n'));
+
+    const orig = btn.textContent;
+    btn.textContent = 'Copied';
+    setTimeout(() => (btn.textContent = orig), 1000);
+  }
+
+  let rangeResults = [];
+
+  function renderRangeResults(version, start, end, cidrs, fromCidr) {
+    const total = end - start + 1n;
+
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">First Address</span>
+        <span class="summary-value">${formatAddress(version, start)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Last Address</span>
+        <span class="summary-value">${formatAddress(version, end)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Total Addresses</span>
+        <span class="summary-value">${formatBigNumber(total)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">CIDR Blocks</span>
+        <span class="summary-value">${cidrs.length}</span>
+      </div>
+    `;
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>CIDR Block</th>
+            <th>First Address</th>
+            <th>Last Address</th>
+            <th class="ip-count">Addresses</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const cidr of cidrs) {
+      tableHtml += `
+        <tr>
+          <td class="cidr">${cidr.cidrNotation}</td>
+          <td>${formatAddress(version, cidr.start)}</td>
+          <td>${formatAddress(version, cidr.end)}</td>
+          <td class="ip-count">${formatBigNumber(cidr.end - cidr.start + 1n)}</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+
+    const infoText = fromCidr
+      ? `${cidrs[0].cidrNotation} expands to ${formatAddress(version, start)} - ${formatAddress(version, end)}`
+      : `Range decomposes into ${cidrs.length} CIDR block${cidrs.length !== 1 ? 's' : ''}`;
+    showResults(fromCidr ? 'CIDR Expansion' : 'Range Decomposition', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculateRange() {
+    const input = document.getElementById('range-input').value.trim();
+    rangeResults = [];
+    document.getElementById('range-copy-btn').disabled = true;
+
+    if (!input) {
+      showError('Please enter an address range or CIDR block');
+      return;
+    }
+
+    // A CIDR block expands to its first/last address; a range decomposes into CIDRs
+    if (input.includes('/')) {
+      const prefix = parsePrefix(input);
+      if (!prefix) {
+        showError(`Invalid CIDR block: ${explainInvalid(input) || 'expected a prefix such as 192.0.2.0/24 or 2001:db8::/48'}`);
+        return;
+      }
+      hideError();
+      rangeResults = rangeToCidrs(prefix.version, prefix.start, prefix.end);
+      renderRangeResults(prefix.version, prefix.start, prefix.end, rangeResults, true);
+    } else {
+      const range = parseAddressRange(input);
+      if (!range) {
+        showError('Invalid range. Please enter two addresses of the same family (e.g., 192.0.2.17 - 192.0.2.200)');
+        return;
+      }
+      if (range.start > range.end) {
+        showError('Invalid range. The start address must not be after the end address');
+        return;
+      }
+      hideError();
+      rangeResults = rangeToCidrs(range.version, range.start, range.end);
+      renderRangeResults(range.version, range.start, range.end, rangeResults, false);
+    }
+
+    document.getElementById('range-copy-btn').disabled = rangeResults.length === 0;
+  }
+
+  function renderOverlapResults(lists, overlaps) {
+    const entryCount = lists.reduce((sum, list) => sum + list.entries.length, 0);
+
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">Lists</span>
+        <span class="summary-value">${lists.map(list => escapeHtml(list.name)).join(', ')}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Entries Checked</span>
+        <span class="summary-value">${formatNumber(entryCount)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Overlapping Pairs</span>
+        <span class="summary-value${overlaps.length > 0 ? ' highlight' : ''}">${formatNumber(overlaps.length)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Status</span>
+        <span class="summary-value">${overlaps.length > 0 ? 'Conflicts found' : 'No conflicts'}</span>
+      </div>
+    `;
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>List</th>
+            <th>Entry</th>
+            <th>List</th>
+            <th>Entry</th>
+            <th>Relationship</th>
+            <th>Intersecting Range</th>
+            <th class="ip-count">Addresses</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const overlap of overlaps) {
+      const range = formatAddress(overlap.version, overlap.start) + ' - ' + formatAddress(overlap.version, overlap.end);
+      const cidrs = overlap.cidrs.length <= 4
+        ? overlap.cidrs.map(c => c.cidrNotation).join(', ')
+        : `${overlap.cidrs.length} CIDR blocks`;
+      tableHtml += `
+        <tr>
+          <td>${escapeHtml(overlap.a.list)}</td>
+          <td class="cidr">${escapeHtml(overlap.a.input)}</td>
+          <td>${escapeHtml(overlap.b.list)}</td>
+          <td class="cidr">${escapeHtml(overlap.b.input)}</td>
+          <td>${escapeHtml(overlap.relationship)}</td>
+          <td>${range}<br>(${cidrs})</td>
+          <td class="ip-count">${formatBigNumber(overlap.end - overlap.start + 1n)}</td>
+        </tr>
+      `;
+    }
+
+    if (overlaps.length === 0) {
+      tableHtml += `
+        <tr>
+          <td colspan="7">No overlapping prefixes between the lists</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+
+    const infoText = `${overlaps.length} overlapping pair${overlaps.length !== 1 ? 's' : ''} across ${lists.length} lists`;
+    showResults('Overlap Report', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculateOverlaps() {
+    const input = document.getElementById('overlap-input').value.trim();
+
+    if (!input) {
+      showError('Please enter at least two named lists of prefixes');
+      return;
+    }
+
+    const { lists, invalid } = parseNamedLists(input);
+    if (invalid.length > 0) {
+      const shown = invalid.slice(0, 5).map(item => `"${item.input}" (${item.list})`).join(', ');
+      const more = invalid.length > 5 ? ` and ${invalid.length - 5} more` : '';
+      const reason = invalid[0].input.includes('-') ? null : explainInvalid(invalid[0].input);
+      showError(`Invalid prefix, address or range: ${shown}${more}${reason ? `. First problem: ${reason}` : ''}`);
+      return;
+    }
+
+    const populated = lists.filter(list => list.entries.length > 0);
+    if (populated.length < 2) {
+      showError('Please enter at least two named lists, each starting with a [name] line');
+      return;
+    }
+
+    hideError();
+    renderOverlapResults(populated, findOverlaps(populated));
+  }
+
+  function highlightSubnetId(expanded, parentPrefix, targetPrefix) {
+    // Wraps the hex digits that carry the child subnet ID
+    const firstNibble = Math.floor(parentPrefix / 4);
+    const lastNibble = Math.ceil(targetPrefix / 4);
+    let nibble = 0;
+    let html = '';
+
+    for (const char of expanded) {
+      if (char === ':') {
+        html += char;
+        continue;
+      }
+      const inId = nibble >= firstNibble && nibble < lastNibble;
+      html += inId ? `<span class="subnet-id-nibble">${char}</span>` : char;
+      nibble++;
+    }
+
+    return html;
+  }
+
+  function renderSplitResults(parent, targetPrefix, startIndex, subnets) {
+    const childCount = 1n << BigInt(targetPrefix - parent.prefix);
+    const lastShown = subnets.length > 0 ? subnets[subnets.length - 1].index : startIndex;
+    const aligned = parent.prefix % 4 === 0 && targetPrefix % 4 === 0;
+
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">Parent Prefix</span>
+        <span class="summary-value">${parent.cidrNotation}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Child Length</span>
+        <span class="summary-value">/${targetPrefix}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Child Subnets</span>
+        <span class="summary-value">${formatBigNumber(childCount)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Nibble Aligned</span>
+        <span class="summary-value">${aligned ? 'Yes' : 'No (subnet ID splits a hex digit)'}</span>
+      </div>
+    `;
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th class="ip-count">Index</th>
+            <th>Subnet</th>
+            <th>Expanded (subnet ID highlighted)</th>
+            <th>Last Address</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const subnet of subnets) {
+      tableHtml += `
+        <tr>
+          <td class="ip-count">${subnet.index.toLocaleString()}</td>
+          <td class="cidr">${subnet.cidrNotation}</td>
+          <td>${highlightSubnetId(bigIntToIPv6(subnet.start), parent.prefix, targetPrefix)}</td>
+          <td>${formatAddress(6, subnet.end)}</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+
+    const infoText = `Showing ${startIndex.toLocaleString()}-${lastShown.toLocaleString()} of ${childCount.toLocaleString()}`;
+    showResults('Subnet Split', summaryHtml, infoText, tableHtml);
+
+    document.getElementById('split-prev-btn').disabled = startIndex === 0n;
+    document.getElementById('split-next-btn').disabled = lastShown + 1n >= childCount;
+  }
+
+  function calculateSplit() {
+    const input = document.getElementById('split-input').value.trim();
+    const targetInput = document.getElementById('split-target').value.trim().replace(/^\//, '');
+    const indexInput = document.getElementById('split-index').value.trim() || '0';
+    const pageSize = parseInt(document.getElementById('split-page-size').value, 10);
+
+    if (!input) {
+      showError('Please enter an IPv6 prefix to split');
+      return;
+    }
+
+    if (!input.includes('/') || !isValidIPv6(input)) {
+      showError(`Invalid IPv6 prefix: ${explainInvalid(input) || 'expected a prefix such as 2001:db8:abcd::/48'}`);
+      return;
+    }
+
+    const parent = parsePrefix(input);
+    const targetPrefix = parseInt(targetInput, 10);
+    if (!/^\d+$/.test(targetInput) || targetPrefix < parent.prefix || targetPrefix > 128) {
+      showError(`Invalid child length. Please enter a prefix length between /${parent.prefix} and /128`);
+      return;
+    }
+
+    const childCount = 1n << BigInt(targetPrefix - parent.prefix);
+    if (!/^\d+$/.test(indexInput) || BigInt(indexInput) >= childCount) {
+      showError(`Invalid index. Please enter a subnet index between 0 and ${(childCount - 1n).toLocaleString()}`);
+      return;
+    }
+
+    hideError();
+
+    const startIndex = BigInt(indexInput);
+    const subnets = [];
+    for (const subnet of iterateSubnets(parent, targetPrefix, startIndex)) {
+      if (subnets.length === pageSize) break;
+      subnets.push({ ...subnet, index: startIndex + BigInt(subnets.length) });
+    }
+    renderSplitResults(parent, targetPrefix, startIndex, subnets);
+  }
+
+  function pageSplit(direction) {
+    const indexEl = document.getElementById('split-index');
+    const pageSize = BigInt(document.getElementById('split-page-size').value);
+    const current = /^\d+$/.test(indexEl.value.trim()) ? BigInt(indexEl.value.trim()) : 0n;
+    const next = current + BigInt(direction) * pageSize;
+
+    indexEl.value = (next < 0n ? 0n : next).toString();
+    calculateSplit();
+  }
+
+  let reverseSnippet = '';
+
+  function renderReverseResults(prefix, reverse) {
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">Prefix</span>
+        <span class="summary-value">${prefix.cidrNotation}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Delegation</span>
+        <span class="summary-value">${reverse.method}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Zones</span>
+        <span class="summary-value">${reverse.zones.length}</span>
+      </div>
+      ${reverse.parentZone ? `
+      <div class="summary-item">
+        <span class="summary-label">Parent Zone</span>
+        <span class="summary-value">${reverse.parentZone}</span>
+      </div>
+      ` : ''}
+    `;
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Reverse Zone</th>
+            <th>Covers</th>
+            <th>Address Range</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const zone of reverse.zones) {
+      tableHtml += `
+        <tr>
+          <td class="cidr">${zone.name}</td>
+          <td>${formatAddress(prefix.version, zone.start)}/${zone.prefix}</td>
+          <td>${formatAddress(prefix.version, zone.start)} - ${formatAddress(prefix.version, zone.end)}</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+    tableHtml += `<pre class="subnet-snippet">${escapeHtml(reverseSnippet)}</pre>`;
+
+    const infoText = `${reverse.zones.length} reverse zone${reverse.zones.length !== 1 ? 's' : ''} for ${prefix.cidrNotation}`;
+    showResults('Reverse DNS Zones', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculateReverse() {
+    const input = document.getElementById('rdns-input').value.trim();
+    reverseSnippet = '';
+    document.getElementById('rdns-copy-btn').disabled = true;
+
+    if (!input) {
+      showError('Please enter an IPv4 or IPv6 prefix');
+      return;
+    }
+
+    const prefix = parsePrefix(input);
+    if (!prefix) {
+      showError(`Invalid prefix: ${explainInvalid(input) || 'expected a prefix such as 192.0.2.0/25 or 2001:db8::/46'}`);
+      return;
+    }
+
+    hideError();
+
+    const reverse = getReverseZones(prefix);
+    reverseSnippet = buildReverseZoneSnippet(prefix, reverse);
+    renderReverseResults(prefix, reverse);
+    document.getElementById('rdns-copy-btn').disabled = false;
+  }
+
+  async function copyReverseSnippet(btn) {
+    if (!reverseSnippet) return;
+
+    await navigator.clipboard.writeText(reverseSnippet);
+
+    const orig = btn.textContent;
+    btn.textContent = 'Copied';
+    setTimeout(() => (btn.textContent = orig), 1000);
+  }
+
+  function renderNat64Results(ipv4Int, pref64) {
+    const summaryHtml = summaryItem('IPv4 Address', intToIPv4(ipv4Int)) +
+      summaryItem('NAT64 Prefix', pref64.cidrNotation) +
+      summaryItem('Synthesized IPv6', compressIPv6(bigIntToIPv6(synthesizeNat64(pref64.start, pref64.prefix, ipv4Int)))) +
+      summaryItem('IPv4-Mapped IPv6', '::ffff:' + intToIPv4(ipv4Int));
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Prefix Length</th>
+            <th>Synthesized Address</th>
+            <th>Mixed Notation</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    // Same prefix bits under every RFC 6052 length, to show where the IPv4 bits land
+    for (const length of NAT64_PREFIX_LENGTHS) {
+      const value = synthesizeNat64(pref64.start, length, ipv4Int);
+      tableHtml += `
+        <tr class="${length === pref64.prefix ? 'highlighted' : ''}">
+          <td class="cidr">/${length}</td>
+          <td>${compressIPv6(bigIntToIPv6(value))}</td>
+          <td>${length === 96 ? toMixedNotation(value) : '-'}</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+
+    showResults('NAT64 Synthesis', summaryHtml, 'RFC 6052 embedding for every permitted prefix length', tableHtml);
+  }
+
+  function renderNat64Extraction(value, pref64) {
+    const inPrefix = (value & getIPv6Mask(pref64.prefix)) === pref64.start;
+    let summaryHtml = summaryItem('IPv6 Address', compressIPv6(bigIntToIPv6(value))) +
+      summaryItem('NAT64 Prefix', pref64.cidrNotation);
+
+    if (inPrefix) {
+      summaryHtml += summaryItem('Embedded IPv4', intToIPv4(extractNat64(value, pref64.prefix)));
+      if (pref64.prefix === 96) {
+        summaryHtml += summaryItem('Mixed Notation', toMixedNotation(value));
+      }
+    } else {
+      summaryHtml += summaryItem('Embedded IPv4', `Not inside ${pref64.cidrNotation}`);
+    }
+
+    const embedded = getEmbeddedIPv4(value);
+    let tableHtml = '';
+    if (embedded.length > 0) {
+      tableHtml = `
+        <table class="results-table">
+          <thead>
+            <tr>
+              <th>Mechanism</th>
+              <th>Embedded IPv4</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+      `;
+
+      for (const entry of embedded) {
+        const details = entry.teredo
+          ? `Server ${entry.teredo.server}, port ${entry.teredo.clientPort}, flags ${entry.teredo.flags}${entry.teredo.cone ? ' (cone NAT)' : ''}`
+          : '-';
+        tableHtml += `
+          <tr>
+            <td>${entry.mechanism}</td>
+            <td class="cidr">${entry.ipv4}</td>
+            <td>${details}</td>
+          </tr>
+        `;
+      }
+
+      tableHtml += '</tbody></table>';
+    }
+
+    const infoText = embedded.length > 0
+      ? `${embedded.length} transition mechanism${embedded.length !== 1 ? 's' : ''} recognised`
+      : 'No well-known transition mechanism recognised';
+    showResults('NAT64 Extraction', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculateNat64() {
+    const input = document.getElementById('nat64-input').value.trim();
+    const prefixInput = document.getElementById('nat64-prefix').value.trim() || '64:ff9b::/96';
+
+    if (!input) {
+      showError('Please enter an IPv4 or IPv6 address');
+      return;
+    }
+
+    const pref64 = parsePrefix(prefixInput);
+    if (!pref64 || pref64.version !== 6 || !prefixInput.includes('/')) {
+      showError(`Invalid NAT64 prefix: ${explainInvalid(prefixInput) || 'expected an IPv6 prefix such as 64:ff9b::/96'}`);
+      return;
+    }
+
+    if (!NAT64_PREFIX_LENGTHS.includes(pref64.prefix)) {
+      showError(`NAT64 prefixes must be one of ${NAT64_PREFIX_LENGTHS.map(l => '/' + l).join(', ')} (RFC 6052)`);
+      return;
+    }
+
+    if (isValidIPv4(input) && !input.includes('/')) {
+      hideError();
+      renderNat64Results(ipv4ToInt(input), pref64);
+    } else if (isValidIPv6(input) && !input.includes('/')) {
+      hideError();
+      renderNat64Extraction(ipv6ToBigInt(input), pref64);
+    } else {
+      showError(`Invalid address: ${explainInvalid(input) || 'expected an IPv4 address to synthesize or an IPv6 address to decode'}`);
+    }
+  }
+
+  function renderEui64Results(mac, iid, prefix, vendorHtml) {
+    const eui64 = (iid ^ (0x02n << 56n)).toString(16).padStart(16, '0').match(/.{2}/g).join(':');
+    const universal = (parseInt(mac.substring(0, 2), 16) & 0x02) === 0;
+    const group = (parseInt(mac.substring(0, 2), 16) & 0x01) !== 0;
+
+    const html = summaryItem('MAC Address', formatMac(mac).toLowerCase()) +
+      summaryItem('EUI-64', eui64) +
+      summaryItem('U/L Bit', universal
+        ? 'Universal (0 in MAC, flipped to 1 in the interface ID)'
+        : 'Local (1 in MAC, flipped to 0 in the interface ID)') +
+      summaryItem('Interface ID', formatInterfaceId(iid)) +
+      summaryItem('SLAAC Address', prefix
+        ? compressIPv6(bigIntToIPv6(prefix.start | iid))
+        : 'Enter a /64 prefix') +
+      summaryItem('Link-Local Address', compressIPv6(bigIntToIPv6((0xfe80n << 112n) | iid))) +
+      (group ? summaryItem('Warning', 'Group (multicast) MAC, not valid for SLAAC') : '') +
+      summaryItem('Vendor', vendorHtml);
+
+    document.getElementById('eui64-grid').innerHTML = html;
+    document.getElementById('eui64-results').classList.remove('hidden');
+  }
+
+  async function calculateEui64() {
+    const input = document.getElementById('eui64-input').value.trim();
+    const prefixInput = document.getElementById('eui64-prefix').value.trim();
+    document.getElementById('eui64-results').classList.add('hidden');
+
+    if (!input) {
+      showError('Please enter a MAC address or an EUI-64 based IPv6 address');
+      return;
+    }
+
+    let prefix = null;
+    if (prefixInput) {
+      prefix = parsePrefix(prefixInput);
+      if (!prefix || prefix.version !== 6 || prefix.prefix !== 64) {
+        showError(`Invalid SLAAC prefix: ${explainInvalid(prefixInput) || 'expected an IPv6 /64 such as 2001:db8:1:2::/64'}`);
+        return;
+      }
+    }
+
+    let mac = normalizeMac(input);
+    let iid;
+    if (mac) {
+      iid = macToInterfaceId(mac);
+    } else if (isValidIPv6(input) && !input.includes('/')) {
+      // Reverse direction: the MAC lives in the low 64 bits of the address
+      const value = ipv6ToBigInt(input);
+      iid = value & 0xffffffffffffffffn;
+      mac = interfaceIdToMac(iid);
+      if (!mac) {
+        showError('This interface ID has no FF:FE in the middle, so it was not derived from a MAC address');
+        return;
+      }
+      prefix = prefix || parsePrefix(compressIPv6(bigIntToIPv6(value)) + '/64');
+    } else {
+      showError('Invalid input. Please enter a MAC address (e.g., 00:1a:2b:3c:4d:5e) or an IPv6 address');
+      return;
+    }
+
+    hideError();
+
+    let vendorHtml;
+    if ((parseInt(mac.substring(0, 2), 16) & 0x02) !== 0) {
+      vendorHtml = 'Locally administered (no OUI)';
+    } else {
+      try {
+        const vendor = lookupVendor(await loadOuiDatabase(), mac);
+        vendorHtml = vendor ? `${escapeHtml(vendor.vendor)} (${vendor.type})` : 'Not found in OUI database';
+      } catch (error) {
+        console.error(error);
+        vendorHtml = 'OUI database unavailable';
+      }
+      vendorHtml += ` &middot; <a href="/tools/mac-lookup/?mac=${formatMac(mac)}">MAC Lookup</a>`;
+    }
+
+    renderEui64Results(mac, iid, prefix, vendorHtml);
+  }
+
+  function calculateIPv6Tab() {
+    // The IPv6 tab holds both the address calculator and the EUI-64 panel
+    if (document.getElementById('ip-input').value.trim()) {
+      calculate();
+    }
+    if (document.getElementById('eui64-input').value.trim()) {
+      calculateEui64();
+    }
+  }
+
+  function renderVlsmResults(plan) {
+    const summaryHtml = `
+      <div class="summary-item">
+        <span class="summary-label">Parent Block</span>
+        <span class="summary-value">${plan.parent}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Total Addresses</span>
+        <span class="summary-value">${formatNumber(plan.parentSize)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Allocated</span>
+        <span class="summary-value">${formatNumber(plan.allocated)}</span>
+      </div>
+      <div class="summary-item">
+        <span class="summary-label">Free</span>
+        <span class="summary-value">${formatNumber(plan.free)}</span>
+      </div>
+    `;
+
+    let tableHtml = `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th class="ip-count">Hosts Needed</th>
+            <th>Subnet</th>
+            <th>Network</th>
+            <th>Broadcast</th>
+            <th>Usable Range</th>
+            <th>Subnet Mask</th>
+            <th class="ip-count">Usable Hosts</th>
+            <th class="ip-count">Wasted</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    for (const alloc of plan.allocations) {
+      tableHtml += `
+        <tr>
+          <td>${escapeHtml(alloc.name)}</td>
+          <td class="ip-count">${formatNumber(alloc.hosts)}</td>
+          <td class="cidr">${alloc.cidrNotation}</td>
+          <td>${alloc.networkAddress}</td>
+          <td>${alloc.broadcastAddress}</td>
+          <td>${alloc.usableRange}</td>
+          <td>${alloc.subnetMask}</td>
+          <td class="ip-count">${formatNumber(alloc.usableHosts)}</td>
+          <td class="ip-count">${formatNumber(alloc.wasted)}</td>
+        </tr>
+      `;
+    }
+
+    tableHtml += '</tbody></table>';
+
+    const infoText = `${plan.allocations.length} subnet${plan.allocations.length !== 1 ? 's' : ''} allocated largest-first in ${plan.parent}`;
+    showResults('VLSM Allocation', summaryHtml, infoText, tableHtml);
+  }
+
+  function calculateVlsm() {
+    const parentInput = document.getElementById('vlsm-parent-input').value.trim();
+    const requirementsInput = document.getElementById('vlsm-requirements').value.trim();
+
+    if (!parentInput) {
+      showError('Please enter a parent block');
+      return;
+    }
+
+    if (!parentInput.includes('/') || !isValidIPv4(parentInput)) {
+      showError(`Invalid parent block: ${explainInvalid(parentInput) || 'expected an IPv4 CIDR block such as 10.20.0.0/16'}`);
+      return;
+    }
+
+    if (!requirementsInput) {
+      showError('Please enter at least one subnet requirement (e.g., users: 500)');
+      return;
+    }
+
+    let requirements;
+    try {
+      requirements = parseVlsmRequirements(requirementsInput);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+
+    hideError();
+
+    const { ip, targetCidr } = parseIPv4Input(parentInput);
+    const plan = allocateVlsm(ip, targetCidr, requirements);
+
+    if (plan.unallocated.length > 0) {
+      const missing = plan.unallocated.map(req => req.cidr === null
+        ? `${req.name} (${formatNumber(req.hosts)} hosts, larger than any IPv4 block)`
+        : `${req.name} (${formatNumber(req.hosts)} hosts, needs a /${req.cidr})`
+      );
+      const needed = Number.isFinite(plan.totalNeeded)
+        ? `they need ${formatNumber(plan.totalNeeded)} addresses but the block only has ${formatNumber(plan.parentSize)}`
+        : 'at least one subnet is larger than the whole IPv4 address space';
+      showError(`Requirements do not fit in ${plan.parent}: ${needed}. Could not place: ${missing.join(', ')}`);
+      return;
+    }
+
+    renderVlsmResults(plan);
+  }
+
+  function switchTab(tab) {
+    // Update tab buttons
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
+    });
+
+    // IPv4 and IPv6 share the address input panel; other modes have their own
+    const panel = (tab === 'ipv4' || tab === 'ipv6') ? 'calc' : tab;
+    document.querySelectorAll('.tab-content').forEach(content => {
+      const isActive = content.id === `${panel}-tab`;
+      content.classList.toggle('active', isActive);
+      content.classList.toggle('hidden', !isActive);
+    });
+    
+    // ACL export only applies to IPv4, the EUI-64 panel only to IPv6
+    document.getElementById('acl-options').classList.toggle('hidden', tab !== 'ipv4');
+    document.getElementById('eui64-panel').classList.toggle('hidden', tab !== 'ipv6');
+    document.getElementById('eui64-results').classList.add('hidden');
+    renderDiagnostics([]);
+
+    // Update placeholder
+    const input = document.getElementById('ip-input');
+    if (tab === 'ipv6') {
+      input.placeholder = 'e.g. 2001:db8::1 or 2001:db8::/64';
+    } else {
+      input.placeholder = 'e.g. 192.168.1.1 or 192.168.1.0/24';
+    }
+    
+    // Clear results
+    document.getElementById('results-container').classList.add('hidden');
+    hideError();
+  }
+
+  let plannerParent = null;
+  let plannerBlocks = [];
+
+  function renderPlan() {
+    const parent = plannerParent;
+    const usage = getPlanUsage(parent, plannerBlocks);
+    const usedPercent = Number((usage.used * 10000n) / usage.total) / 100;
+
+    const summaryHtml = summaryItem('Parent Block', parent.cidrNotation) +
+      summaryItem('Blocks', plannerBlocks.length) +
+      summaryItem('Used', `${formatBigNumber(usage.used)} (${usedPercent}%)`) +
+      summaryItem('Free', formatBigNumber(usage.free));
+
+    // Proportional map: one segment per block, sized by its share of the parent
+    let tableHtml = '<div class="subnet-map-bar">';
+    plannerBlocks.forEach((block, index) => {
+      const size = getBlockSize(parent, block);
+      // Float ratio so a tiny block still gets a share rather than flex-grow 0
+      const weight = Number(size) / Number(usage.total) * 100;
+      const cidr = `${formatAddress(parent.version, block.start)}/${block.prefix}`;
+      const title = block.label ? `${cidr} ${block.label}` : `${cidr} free`;
+      tableHtml += `<div class="subnet-map-block ${block.label ? 'used' : 'free'}" style="flex-grow: ${weight}" title="${escapeHtml(title)}" data-plan-index="${index}"></div>`;
+    });
+    tableHtml += '</div>';
+
+    tableHtml += `
+      <table class="results-table">
+        <thead>
+          <tr>
+            <th>Prefix</th>
+            <th>Range</th>
+            <th class="ip-count">Addresses</th>
+            <th>Label</th>
+            <th>Actions</th>
+          </tr>
+        </thead>
+        <tbody>
+    `;
+
+    plannerBlocks.forEach((block, index) => {
+      const size = getBlockSize(parent, block);
+      const depth = Math.min(block.prefix - parent.prefix, 16);
+      const canSplit = block.prefix < parent.bits && plannerBlocks.length < PLAN_MAX_BLOCKS;
+      const canJoin = getJoinIndex(parent, plannerBlocks, index) !== -1;
+      tableHtml += `
+        <tr class="${block.label ? '' : 'subnet-map-free'}">
+          <td class="cidr" style="padding-left: ${1 + depth * 0.75}rem">${formatAddress(parent.version, block.start)}/${block.prefix}</td>
+          <td>${formatAddress(parent.version, block.start)} - ${formatAddress(parent.version, block.start + size - 1n)}</td>
+          <td class="ip-count">${formatBigNumber(size)}</td>
+          <td>
+            <input type="text" class="input-field subnet-map-label" data-plan-index="${index}" value="${escapeHtml(block.label).replace(/"/g, '&quot;')}" placeholder="Free" spellcheck="false">
+          </td>
+          <td class="subnet-map-actions">
+            <button type="button" class="btn btn-secondary btn-sm" data-plan-action="split" data-plan-index="${index}"${canSplit ? '' : ' disabled'}>Split</button>
+            <button type="button" class="btn btn-secondary btn-sm" data-plan-action="join" data-plan-index="${index}"${canJoin ? '' : ' disabled'}>Join</button>
+          </td>
+        </tr>
+      `;
+    });
+
+    tableHtml += '</tbody></table>';
+
+    const infoText = `${plannerBlocks.length} block${plannerBlocks.length !== 1 ? 's' : ''} in ${parent.cidrNotation}, labelled blocks count as used`;
+    showResults('Address Plan', summaryHtml, infoText, tableHtml);
+
+    document.getElementById('plan-json-btn').disabled = false;
+    document.getElementById('plan-csv-btn').disabled = false;
+  }
+
+  function calculatePlan() {
+    const input = document.getElementById('plan-parent').value.trim();
+    const layout = document.getElementById('plan-layout').value.trim();
+    plannerParent = null;
+    document.getElementById('plan-json-btn').disabled = true;
+    document.getElementById('plan-csv-btn').disabled = true;
+
+    if (!input) {
+      showError('Please enter a parent block');
+      return;
+    }
+
+    const parent = parsePrefix(input);
+    if (!parent || !input.includes('/')) {
+      showError(`Invalid parent block: ${explainInvalid(input) || 'expected a CIDR block such as 10.0.0.0/16 or 2001:db8::/48'}`);
+      return;
+    }
+
+    let blocks = createPlan(parent);
+    if (layout) {
+      blocks = decodePlan(parent, layout);
+      if (!blocks) {
+        showError(`The saved plan does not fit ${parent.cidrNotation}. Use Reset to start a new plan`);
+        return;
+      }
+    }
+
+    hideError();
+
+    plannerParent = parent;
+    plannerBlocks = blocks;
+    renderPlan();
+  }
+
+  function updatePlan(blocks) {
+    plannerBlocks = blocks;
+    // A single free block is the default plan, so it needs no layout parameter
+    const isEmpty = blocks.length === 1 && !blocks[0].label;
+    document.getElementById('plan-layout').value = isEmpty ? '' : encodePlan(blocks);
+    renderPlan();
+    updatePermalink();
+  }
+
+  function handlePlanAction(btn) {
+    const index = parseInt(btn.dataset.planIndex, 10);
+    if (!plannerParent || !plannerBlocks[index]) return;
+
+    if (btn.dataset.planAction === 'split') {
+      updatePlan(splitBlock(plannerParent, plannerBlocks, index));
+    } else if (btn.dataset.planAction === 'join') {
+      const left = getJoinIndex(plannerParent, plannerBlocks, index);
+      if (left !== -1) updatePlan(joinBlocks(plannerBlocks, left));
+    }
+  }
+
+  function handlePlanLabel(input) {
+    const index = parseInt(input.dataset.planIndex, 10);
+    if (!plannerParent || !plannerBlocks[index]) return;
+
+    const blocks = plannerBlocks.slice();
+    blocks[index] = { ...blocks[index], label: input.value.trim() };
+    updatePlan(blocks);
+  }
+
+  function getPlanRows() {
+    return plannerBlocks.map(block => {
+      const size = getBlockSize(plannerParent, block);
+      return {
+        prefix: `${formatAddress(plannerParent.version, block.start)}/${block.prefix}`,
+        first: formatAddress(plannerParent.version, block.start),
+        last: formatAddress(plannerParent.version, block.start + size - 1n),
+        addresses: size.toString(),
+        label: block.label,
+        status: block.label ? 'used' : 'free'
+      };
+    });
+  }
+
+  function downloadFile(content, type, name, extension) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}-${new Date().toISOString().split('T')[0]}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function toCsv(headers, rows) {
+    return [headers, ...rows]
+      .map(row => row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  }
+
+  function exportPlanJson() {
+    if (!plannerParent) return;
+
+    const plan = {
+      parent: plannerParent.cidrNotation,
+      blocks: getPlanRows()
+    };
+    downloadFile(JSON.stringify(plan, null, 2), 'application/json', 'address-plan', 'json');
+  }
+
+  function exportPlanCsv() {
+    if (!plannerParent) return;
+
+    const headers = ['Prefix', 'First Address', 'Last Address', 'Addresses', 'Label', 'Status'];
+    const rows = getPlanRows().map(row => [row.prefix, row.first, row.last, row.addresses, row.label, row.status]);
+    downloadFile(toCsv(headers, rows), 'text/csv;charset=utf-8;', 'address-plan', 'csv');
+  }
+
+  const BATCH_COLUMNS = [
+    { key: 'address', label: 'Address' },
+    { key: 'version', label: 'Version' },
+    { key: 'type', label: 'Type' },
+    { key: 'normalised', label: 'Normalised' },
+    { key: 'scope', label: 'Scope' },
+    { key: 'reachability', label: 'Private/Public' },
+    { key: 'container', label: 'Containing /24 or /64' },
+    { key: 'count', label: 'Count' }
+  ];
+
+  let batchRows = [];
+  let batchSort = { key: 'address', descending: false };
+
+  function renderBatchResults() {
+    const sorted = batchRows.slice().sort((a, b) => {
+      const order = compareBatchRows(a, b, batchSort.key);
+      return batchSort.descending ? -order : order;
+    });
+
+    const count = predicate => batchRows.filter(predicate).length;
+    const summaryHtml = summaryItem('Unique Entries', batchRows.length) +
+      summaryItem('IPv4', count(row => row.version === 'IPv4' && row.type !== 'Invalid')) +
+      summaryItem('IPv6', count(row => row.version === 'IPv6')) +
+      summaryItem('Private', count(row => row.reachability === 'Private')) +
+      summaryItem('Public', count(row => row.reachability === 'Public')) +
+      summaryItem('Invalid', count(row => row.type === 'Invalid'));
+
+    let tableHtml = '<table class="results-table"><thead><tr>';
+    for (const column of BATCH_COLUMNS) {
+      const arrow = column.key === batchSort.key ? (batchSort.descending ? ' ▼' : ' ▲') : '';
+      const countClass = column.key === 'count' ? ' ip-count' : '';
+      tableHtml += `<th class="subnet-sortable${countClass}" data-batch-sort="${column.key}">${column.label}${arrow}</th>`;
+    }
+    tableHtml += '</tr></thead><tbody>';
+
+    for (const row of sorted) {
       tableHtml += `
-        <tr class="${highlightClass}">
-          <td class="cidr">${subnet.cidrNotation}${indicator}</td>
-          <td>${subnet.range}</td>
-          <td class="ip-count">${subnet.hostCountFormatted}</td>
+        <tr class="${row.type === 'Invalid' ? 'subnet-batch-invalid' : ''}">
+          <td class="cidr">${escapeHtml(row.address)}</td>
+          <td>${row.version}</td>
+          <td>${row.type}</td>
+          <td>${row.normalised}</td>
+          <td>${row.scope}</td>
+          <td>${row.reachability}</td>
+          <td>${row.container}</td>
+          <td class="ip-count">${formatNumber(row.count)}</td>
         </tr>
       `;
     }
-    
+
     tableHtml += '</tbody></table>';
-    
-    document.getElementById('summary-grid').innerHTML = summaryHtml;
-    const infoText = targetPrefix !== null 
-      ? `Showing common prefixes with /${targetPrefix} highlighted for ${compressIPv6(ip)}` 
-      : `Showing common prefix lengths for ${compressIPv6(ip)}`;
-    document.getElementById('results-info').textContent = infoText;
-    document.getElementById('results-table-container').innerHTML = tableHtml;
-    document.getElementById('results-container').classList.remove('hidden');
+
+    const total = batchRows.reduce((sum, row) => sum + row.count, 0);
+    const infoText = `${formatNumber(total)} occurrence${total !== 1 ? 's' : ''} of ${batchRows.length} unique entr${batchRows.length !== 1 ? 'ies' : 'y'}`;
+    showResults('Batch Classification', summaryHtml, infoText, tableHtml);
   }
 
-  function calculate() {
-    const activeTab = document.querySelector('.tab-btn.active');
-    const isIPv6 = activeTab && activeTab.dataset.tab === 'ipv6';
-    
-    const input = document.getElementById('ip-input').value.trim();
-    
-    if (!input) {
-      showError('Please enter an IP address');
+  function calculateBatch() {
+    const input = document.getElementById('batch-input').value;
+    batchRows = [];
+    document.getElementById('batch-csv-btn').disabled = true;
+    document.getElementById('batch-json-btn').disabled = true;
+
+    if (!input.trim()) {
+      showError('Please paste some text or choose a file containing IP addresses');
       return;
     }
-    
+
+    const entries = extractAddresses(input);
+    if (entries.length === 0) {
+      showError('No IPv4 or IPv6 addresses found in the input');
+      return;
+    }
+
     hideError();
-    
-    if (isIPv6) {
-      if (!isValidIPv6(input)) {
-        showError('Invalid IPv6 address. Please enter a valid IPv6 address (e.g., 2001:db8::1 or 2001:db8::/64)');
-        return;
-      }
-      const { ip, targetPrefix } = parseIPv6Input(input);
-      renderIPv6Results(ip, targetPrefix);
-    } else {
-      if (!isValidIPv4(input)) {
-        showError('Invalid IPv4 address. Please enter a valid IPv4 address (e.g., 192.168.1.1 or 192.168.1.0/24)');
-        return;
-      }
-      const { ip, targetCidr } = parseIPv4Input(input);
-      renderIPv4Results(ip, targetCidr);
+
+    batchRows = entries.map(classifyBatchEntry);
+    renderBatchResults();
+    document.getElementById('batch-csv-btn').disabled = false;
+    document.getElementById('batch-json-btn').disabled = false;
+  }
+
+  function sortBatch(key) {
+    batchSort = {
+      key: key,
+      descending: batchSort.key === key ? !batchSort.descending : false
+    };
+    renderBatchResults();
+  }
+
+  async function loadBatchFile(file) {
+    try {
+      document.getElementById('batch-input').value = await file.text();
+    } catch (error) {
+      showError(`Could not read ${file.name}`);
+      return;
     }
+    calculateBatch();
   }
 
-  function switchTab(tab) {
-    // Update tab buttons
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.tab === tab);
+  function getBatchExportRows() {
+    return batchRows.map(row => {
+      const exported = {};
+      BATCH_COLUMNS.forEach(column => {
+        exported[column.key] = row[column.key];
+      });
+      return exported;
     });
-    
-    // Update placeholder
-    const input = document.getElementById('ip-input');
-    if (tab === 'ipv6') {
-      input.placeholder = 'e.g. 2001:db8::1 or 2001:db8::/64';
-    } else {
-      input.placeholder = 'e.g. 192.168.1.1 or 192.168.1.0/24';
-    }
-    
-    // Clear results
-    document.getElementById('results-container').classList.add('hidden');
-    hideError();
+  }
+
+  function exportBatchCsv() {
+    if (batchRows.length === 0) return;
+
+    const rows = getBatchExportRows().map(row => BATCH_COLUMNS.map(column => row[column.key]));
+    downloadFile(toCsv(BATCH_COLUMNS.map(column => column.label), rows), 'text/csv;charset=utf-8;', 'ip-batch', 'csv');
+  }
+
+  function exportBatchJson() {
+    if (batchRows.length === 0) return;
+
+    downloadFile(JSON.stringify(getBatchExportRows(), null, 2), 'application/json', 'ip-batch', 'json');
   }
 
   // ============================================
   // Initialization
   // ============================================
 
-  function updatePermalink() {
-    const inputEl = document.getElementById('ip-input');
-    if (!inputEl) return;
-    const value = (inputEl.value || '').trim();
+  // Query parameters each tab keeps in the permalink, mapped to their input ids
+  const PERMALINK_FIELDS = {
+    ipv4: { ip: 'ip-input', acl: 'acl-format' },
+    ipv6: { ip: 'ip-input', slaac: 'eui64-prefix', mac: 'eui64-input' },
+    summarise: { prefixes: 'summarise-input' },
+    range: { range: 'range-input' },
+    overlap: { lists: 'overlap-input' },
+    split: { split: 'split-input', to: 'split-target', at: 'split-index', page: 'split-page-size' },
+    rdns: { zone: 'rdns-input' },
+    nat64: { addr: 'nat64-input', pref64: 'nat64-prefix' },
+    plan: { block: 'plan-parent', layout: 'plan-layout' },
+    // Batch input can be a whole log file, so only the tab itself is linkable
+    batch: {},
+    vlsm: { parent: 'vlsm-parent-input', needs: 'vlsm-requirements' }
+  };
 
+  const TAB_RUNNERS = {
+    ipv4: calculate,
+    ipv6: calculateIPv6Tab,
+    summarise: calculateSummary,
+    range: calculateRange,
+    overlap: calculateOverlaps,
+    split: calculateSplit,
+    rdns: calculateReverse,
+    nat64: calculateNat64,
+    plan: calculatePlan,
+    batch: calculateBatch,
+    vlsm: calculateVlsm
+  };
+
+  function getActiveTab() {
+    const activeBtn = document.querySelector('.tab-btn.active');
+    return activeBtn?.dataset?.tab || 'ipv4';
+  }
+
+  function isOptionField(id) {
+    // Selects such as the ACL format always hold a value, so they only qualify other input
+    return document.getElementById(id)?.tagName === 'SELECT';
+  }
+
+  function getPermalinkValue(id) {
+    // Option fields are left out of links while they match their default option
+    const field = document.getElementById(id);
+    if (!field) return '';
+    if (isOptionField(id)) {
+      const fallback = field.querySelector('option[selected]');
+      return fallback && field.value === fallback.value ? '' : field.value;
+    }
+    return field.value.trim();
+  }
+
+  function hasPermalinkInput(fields) {
+    return Object.values(fields).some(id => !isOptionField(id) && getPermalinkValue(id));
+  }
+
+  function updatePermalink() {
+    const tab = getActiveTab();
+    const fields = PERMALINK_FIELDS[tab] || {};
     const url = new URL(window.location.href);
-    if (value) {
-      url.searchParams.set('ip', value);
-    } else {
-      url.searchParams.delete('ip');
+
+    // Only keep the parameters that belong to the active tab
+    Object.values(PERMALINK_FIELDS).forEach(tabFields => {
+      Object.keys(tabFields).forEach(param => url.searchParams.delete(param));
+    });
+
+    if (hasPermalinkInput(fields)) {
+      Object.entries(fields).forEach(([param, id]) => {
+        const value = getPermalinkValue(id);
+        if (value) url.searchParams.set(param, value);
+      });
     }
 
-    // Remember which tab the user is on (ipv4/ipv6)
-    const activeBtn = document.querySelector('.tab-btn.active');
-    const tab = activeBtn?.dataset?.tab;
-    if (tab) url.searchParams.set('tab', tab);
+    // Remember which tab the user is on
+    url.searchParams.set('tab', tab);
 
     window.history.replaceState({}, '', url.toString());
   }
 
-  async function copyPermalink() {
-    const inputEl = document.getElementById('ip-input');
-    const value = (inputEl?.value || '').trim();
-    if (!value) {
+  async function copyPermalink(btn) {
+    const fields = PERMALINK_FIELDS[getActiveTab()] || {};
+    if (!hasPermalinkInput(fields)) {
       showError('Enter an IP/subnet first to generate a link');
       return;
     }
@@ -582,12 +2650,9 @@
     updatePermalink();
     await navigator.clipboard.writeText(window.location.href);
 
-    const btn = document.getElementById('subnet-link-btn');
-    if (btn) {
-      const orig = btn.textContent;
-      btn.textContent = 'Copied';
-      setTimeout(() => (btn.textContent = orig), 1000);
-    }
+    const orig = btn.textContent;
+    btn.textContent = 'Copied';
+    setTimeout(() => (btn.textContent = orig), 1000);
   }
 
   document.addEventListener('DOMContentLoaded', function() {
@@ -607,6 +2672,18 @@
         updatePermalink();
       });
     }
+
+    // Diagnostic fixes replace the input with the corrected form and recalculate
+    const diagnosticsPanel = document.getElementById('diagnostics-panel');
+    if (diagnosticsPanel) {
+      diagnosticsPanel.addEventListener('click', function(e) {
+        const btn = e.target.closest('[data-diagnostic-fix]');
+        if (!btn) return;
+        document.getElementById('ip-input').value = btn.dataset.diagnosticFix;
+        calculate();
+        updatePermalink();
+      });
+    }
     
     // Enter key to calculate
     const input = document.getElementById('ip-input');
@@ -624,30 +2701,381 @@
     if (clearBtn) {
       clearBtn.addEventListener('click', function() {
         document.getElementById('ip-input').value = '';
+        document.getElementById('acl-copy-btn').disabled = true;
+        document.getElementById('eui64-prefix').value = '';
+        document.getElementById('eui64-input').value = '';
+        document.getElementById('results-container').classList.add('hidden');
+        document.getElementById('eui64-results').classList.add('hidden');
+        renderDiagnostics([]);
+        hideError();
+        updatePermalink();
+      });
+    }
+
+    // ACL export
+    const aclFormat = document.getElementById('acl-format');
+    if (aclFormat) {
+      aclFormat.addEventListener('change', () => {
+        if (!document.getElementById('ip-input').value.trim()) return;
+        calculate();
+        updatePermalink();
+      });
+    }
+
+    const aclCopyBtn = document.getElementById('acl-copy-btn');
+    if (aclCopyBtn) {
+      aclCopyBtn.addEventListener('click', () => copyAclSnippet(aclCopyBtn));
+    }
+
+    // EUI-64
+    const eui64Btn = document.getElementById('eui64-btn');
+    if (eui64Btn) {
+      eui64Btn.addEventListener('click', () => {
+        calculateEui64();
+        updatePermalink();
+      });
+    }
+
+    ['eui64-prefix', 'eui64-input'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.addEventListener('keypress', function(e) {
+          if (e.key === 'Enter') {
+            calculateEui64();
+            updatePermalink();
+          }
+        });
+      }
+    });
+
+    // Summarise
+    const summariseBtn = document.getElementById('summarise-btn');
+    if (summariseBtn) {
+      summariseBtn.addEventListener('click', () => {
+        calculateSummary();
+        updatePermalink();
+      });
+    }
+
+    const summariseClearBtn = document.getElementById('summarise-clear-btn');
+    if (summariseClearBtn) {
+      summariseClearBtn.addEventListener('click', function() {
+        document.getElementById('summarise-input').value = '';
         document.getElementById('results-container').classList.add('hidden');
+        document.getElementById('summarise-copy-btn').disabled = true;
+        summaryResults = [];
         hideError();
         updatePermalink();
       });
     }
 
-    // Copy link button
-    const linkBtn = document.getElementById('subnet-link-btn');
-    if (linkBtn) {
-      linkBtn.addEventListener('click', copyPermalink);
+    const summariseCopyBtn = document.getElementById('summarise-copy-btn');
+    if (summariseCopyBtn) {
+      summariseCopyBtn.addEventListener('click', () => copyCidrList(summariseCopyBtn, summaryResults));
     }
 
-    // Permalink support: /tools/subnet-calculator/?ip=...&tab=ipv4|ipv6
+    // Range
+    const rangeBtn = document.getElementById('range-btn');
+    if (rangeBtn) {
+      rangeBtn.addEventListener('click', () => {
+        calculateRange();
+        updatePermalink();
+      });
+    }
+
+    const rangeInput = document.getElementById('range-input');
+    if (rangeInput) {
+      rangeInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          calculateRange();
+          updatePermalink();
+        }
+      });
+    }
+
+    const rangeClearBtn = document.getElementById('range-clear-btn');
+    if (rangeClearBtn) {
+      rangeClearBtn.addEventListener('click', function() {
+        document.getElementById('range-input').value = '';
+        document.getElementById('results-container').classList.add('hidden');
+        document.getElementById('range-copy-btn').disabled = true;
+        rangeResults = [];
+        hideError();
+        updatePermalink();
+      });
+    }
+
+    const rangeCopyBtn = document.getElementById('range-copy-btn');
+    if (rangeCopyBtn) {
+      rangeCopyBtn.addEventListener('click', () => copyCidrList(rangeCopyBtn, rangeResults));
+    }
+
+    // Overlap
+    const overlapBtn = document.getElementById('overlap-btn');
+    if (overlapBtn) {
+      overlapBtn.addEventListener('click', () => {
+        calculateOverlaps();
+        updatePermalink();
+      });
+    }
+
+    const overlapClearBtn = document.getElementById('overlap-clear-btn');
+    if (overlapClearBtn) {
+      overlapClearBtn.addEventListener('click', function() {
+        document.getElementById('overlap-input').value = '';
+        document.getElementById('results-container').classList.add('hidden');
+        hideError();
+        updatePermalink();
+      });
+    }
+
+    // Split
+    const splitBtn = document.getElementById('split-btn');
+    if (splitBtn) {
+      splitBtn.addEventListener('click', () => {
+        document.getElementById('split-index').value = '';
+        calculateSplit();
+        updatePermalink();
+      });
+    }
+
+    ['split-input', 'split-target', 'split-index'].forEach(id => {
+      const el = document.getElementById(id);
+      if (!el) return;
+      el.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          calculateSplit();
+          updatePermalink();
+        }
+      });
+    });
+
+    const splitPageSize = document.getElementById('split-page-size');
+    if (splitPageSize) {
+      splitPageSize.addEventListener('change', () => {
+        if (!document.getElementById('split-input').value.trim()) return;
+        calculateSplit();
+        updatePermalink();
+      });
+    }
+
+    const splitPrevBtn = document.getElementById('split-prev-btn');
+    const splitNextBtn = document.getElementById('split-next-btn');
+    if (splitPrevBtn && splitNextBtn) {
+      splitPrevBtn.addEventListener('click', () => {
+        pageSplit(-1);
+        updatePermalink();
+      });
+      splitNextBtn.addEventListener('click', () => {
+        pageSplit(1);
+        updatePermalink();
+      });
+    }
+
+    // Reverse DNS
+    const rdnsBtn = document.getElementById('rdns-btn');
+    if (rdnsBtn) {
+      rdnsBtn.addEventListener('click', () => {
+        calculateReverse();
+        updatePermalink();
+      });
+    }
+
+    const rdnsInput = document.getElementById('rdns-input');
+    if (rdnsInput) {
+      rdnsInput.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          calculateReverse();
+          updatePermalink();
+        }
+      });
+    }
+
+    const rdnsCopyBtn = document.getElementById('rdns-copy-btn');
+    if (rdnsCopyBtn) {
+      rdnsCopyBtn.addEventListener('click', () => copyReverseSnippet(rdnsCopyBtn));
+    }
+
+    // NAT64
+    const nat64Btn = document.getElementById('nat64-btn');
+    if (nat64Btn) {
+      nat64Btn.addEventListener('click', () => {
+        calculateNat64();
+        updatePermalink();
+      });
+    }
+
+    ['nat64-input', 'nat64-prefix'].forEach(id => {
+      const el = document.getElementById(id);
+      if (el) {
+        el.addEventListener('keypress', function(e) {
+          if (e.key === 'Enter') {
+            calculateNat64();
+            updatePermalink();
+          }
+        });
+      }
+    });
+
+    // Address planner
+    const planBtn = document.getElementById('plan-btn');
+    const planParent = document.getElementById('plan-parent');
+    const startPlan = () => {
+      // Keep the current layout while the parent block is unchanged
+      const parent = parsePrefix(planParent.value.trim());
+      if (!plannerParent || !parent || parent.cidrNotation !== plannerParent.cidrNotation) {
+        document.getElementById('plan-layout').value = '';
+      }
+      calculatePlan();
+      updatePermalink();
+    };
+
+    if (planBtn && planParent) {
+      planBtn.addEventListener('click', startPlan);
+      planParent.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') startPlan();
+      });
+    }
+
+    const planResetBtn = document.getElementById('plan-reset-btn');
+    if (planResetBtn) {
+      planResetBtn.addEventListener('click', () => {
+        document.getElementById('plan-layout').value = '';
+        calculatePlan();
+        updatePermalink();
+      });
+    }
+
+    const planJsonBtn = document.getElementById('plan-json-btn');
+    if (planJsonBtn) {
+      planJsonBtn.addEventListener('click', exportPlanJson);
+    }
+
+    const planCsvBtn = document.getElementById('plan-csv-btn');
+    if (planCsvBtn) {
+      planCsvBtn.addEventListener('click', exportPlanCsv);
+    }
+
+    // Batch classification
+    const batchBtn = document.getElementById('batch-btn');
+    if (batchBtn) {
+      batchBtn.addEventListener('click', calculateBatch);
+    }
+
+    const batchFile = document.getElementById('batch-file');
+    if (batchFile) {
+      batchFile.addEventListener('change', () => {
+        if (batchFile.files.length > 0) loadBatchFile(batchFile.files[0]);
+      });
+    }
+
+    const batchClearBtn = document.getElementById('batch-clear-btn');
+    if (batchClearBtn) {
+      batchClearBtn.addEventListener('click', function() {
+        document.getElementById('batch-input').value = '';
+        document.getElementById('batch-file').value = '';
+        document.getElementById('results-container').classList.add('hidden');
+        document.getElementById('batch-csv-btn').disabled = true;
+        document.getElementById('batch-json-btn').disabled = true;
+        batchRows = [];
+        hideError();
+      });
+    }
+
+    const batchCsvBtn = document.getElementById('batch-csv-btn');
+    if (batchCsvBtn) {
+      batchCsvBtn.addEventListener('click', exportBatchCsv);
+    }
+
+    const batchJsonBtn = document.getElementById('batch-json-btn');
+    if (batchJsonBtn) {
+      batchJsonBtn.addEventListener('click', exportBatchJson);
+    }
+
+    // Planner and batch rows are re-rendered on every change, so listen on the shared container
+    const resultsTable = document.getElementById('results-table-container');
+    if (resultsTable) {
+      resultsTable.addEventListener('click', function(e) {
+        const sortHeader = e.target.closest('[data-batch-sort]');
+        if (sortHeader) {
+          sortBatch(sortHeader.dataset.batchSort);
+          return;
+        }
+
+        const actionBtn = e.target.closest('[data-plan-action]');
+        if (actionBtn) {
+          handlePlanAction(actionBtn);
+          return;
+        }
+
+        const segment = e.target.closest('.subnet-map-block');
+        if (segment) {
+          const label = resultsTable.querySelector(`.subnet-map-label[data-plan-index="${segment.dataset.planIndex}"]`);
+          if (label) label.focus();
+        }
+      });
+
+      resultsTable.addEventListener('change', function(e) {
+        if (e.target.classList.contains('subnet-map-label')) {
+          handlePlanLabel(e.target);
+        }
+      });
+    }
+
+    // VLSM
+    const vlsmBtn = document.getElementById('vlsm-allocate-btn');
+    if (vlsmBtn) {
+      vlsmBtn.addEventListener('click', () => {
+        calculateVlsm();
+        updatePermalink();
+      });
+    }
+
+    const vlsmParent = document.getElementById('vlsm-parent-input');
+    if (vlsmParent) {
+      vlsmParent.addEventListener('keypress', function(e) {
+        if (e.key === 'Enter') {
+          calculateVlsm();
+          updatePermalink();
+        }
+      });
+    }
+
+    const vlsmClearBtn = document.getElementById('vlsm-clear-btn');
+    if (vlsmClearBtn) {
+      vlsmClearBtn.addEventListener('click', function() {
+        document.getElementById('vlsm-parent-input').value = '';
+        document.getElementById('vlsm-requirements').value = '';
+        document.getElementById('results-container').classList.add('hidden');
+        hideError();
+        updatePermalink();
+      });
+    }
+
+    // Copy link buttons
+    document.querySelectorAll('.subnet-link-btn').forEach(btn => {
+      btn.addEventListener('click', () => copyPermalink(btn));
+    });
+
+    // Permalink support: /tools/subnet-calculator/?tab=ipv4|ipv6|summarise|range|overlap|split|rdns|nat64|plan|batch|vlsm plus that tab's fields
     const params = new URLSearchParams(window.location.search);
     const tab = params.get('tab');
-    if (tab === 'ipv6' || tab === 'ipv4') {
+    if (PERMALINK_FIELDS[tab]) {
       switchTab(tab);
     }
 
-    const prefill = params.get('ip');
-    if (prefill) {
-      const inputEl = document.getElementById('ip-input');
-      inputEl.value = prefill;
-      calculate();
+    const activeTab = getActiveTab();
+    let prefilled = false;
+    Object.entries(PERMALINK_FIELDS[activeTab]).forEach(([param, id]) => {
+      const value = params.get(param);
+      if (value) {
+        document.getElementById(id).value = value;
+        prefilled = prefilled || !isOptionField(id);
+      }
+    });
+
+    if (prefilled) {
+      TAB_RUNNERS[activeTab]();
     }
 
     updatePermalink();
@@ -0,0 +1,156 @@
+// Tests for assets/js/address-math.js, run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AddressMath = require('../assets/js/address-math.js');
+
+const cidrs = list => list.map(block => block.cidrNotation);
+
+test('parseIP reads strict IPv4 addresses and prefixes', () => {
+  const parsed = AddressMath.parseIP('192.0.2.10/24');
+  assert.equal(parsed.version, 4);
+  assert.equal(parsed.bits, 32);
+  assert.equal(parsed.value, 0xc000020an);
+  assert.equal(parsed.prefix, 24);
+  assert.equal(parsed.canonical, '192.0.2.10');
+  assert.equal(parsed.nonCanonical, false);
+});
+
+test('parseIP rejects inet_aton forms unless allowed', () => {
+  assert.throws(() => AddressMath.parseIP('0x7f.0.0.1'), /Hexadecimal octet "0x7f"/);
+  assert.throws(() => AddressMath.parseIP('010.0.0.1'), /Leading zero in octet "010"/);
+  assert.throws(() => AddressMath.parseIP('10.1'), /Expected 4 octets, found 2/);
+});
+
+test('parseIP reads inet_aton forms when allowed', () => {
+  const options = { allowInetAton: true };
+  assert.equal(AddressMath.parseIP('0x7f.1', options).canonical, '127.0.0.1');
+  assert.equal(AddressMath.parseIP('010.0.0.1', options).canonical, '8.0.0.1');
+  assert.equal(AddressMath.parseIP('10.1.258', options).canonical, '10.1.1.2');
+  assert.equal(AddressMath.parseIP('3232235777', options).canonical, '192.168.1.1');
+
+  const hex = AddressMath.parseIP('0xc0.0xa8.1.1', options);
+  assert.equal(hex.nonCanonical, true);
+  assert.deepEqual(hex.notes, ['hexadecimal part']);
+  assert.deepEqual(AddressMath.parseIP('127.1', options).notes, ['2-part form']);
+
+  assert.throws(() => AddressMath.parseIP('10.1.65536.1', options), /Octet 65536 exceeds 255/);
+  assert.throws(() => AddressMath.parseIP('10.16777216', options), /Final part of a 2-part address 16777216 exceeds 16777215/);
+  assert.throws(() => AddressMath.parseIP('09.0.0.1', options), /Digit "9" is not valid in octal octet "09"/);
+});
+
+test('parseIP reports the position of IPv4 errors', () => {
+  assert.throws(() => AddressMath.parseIP('10..0.1'), { message: /Empty octet between dots \(character 4\)/, position: 3 });
+  assert.throws(() => AddressMath.parseIP('10.0.0.1.'), /Trailing dot|Too many octets/);
+  assert.throws(() => AddressMath.parseIP('10.0.0.256'), /Octet 256 exceeds 255/);
+  assert.throws(() => AddressMath.parseIP('10.0.0.1/33'), /Prefix length \/33 exceeds \/32/);
+  assert.throws(() => AddressMath.parseIP('10.0.0.1/08'), /Leading zero in prefix length "08"/);
+});
+
+test('parseIP follows the IPv6 "::" rules', () => {
+  assert.equal(AddressMath.parseIP('::').value, 0n);
+  assert.equal(AddressMath.parseIP('::1').canonical, '::1');
+  assert.equal(AddressMath.parseIP('2001:db8::').canonical, '2001:db8::');
+  assert.equal(AddressMath.parseIP('2001:db8:0:0:1:0:0:1').canonical, '2001:db8::1:0:0:1');
+
+  assert.throws(() => AddressMath.parseIP('2001::db8::1'), /Second "::"; only one is allowed/);
+  assert.throws(() => AddressMath.parseIP('1:2:3:4::5:6:7:8'), /"::" must stand for at least one zero group/);
+  assert.throws(() => AddressMath.parseIP('1:2:3:4:5:6:7'), /Expected 8 groups, found 7/);
+  assert.throws(() => AddressMath.parseIP(':1::'), /Address cannot start with a single ":"/);
+  assert.throws(() => AddressMath.parseIP('1::2:'), /Address cannot end with a single ":"/);
+  assert.throws(() => AddressMath.parseIP('2001:db8::12345'), /has more than 4 hex digits/);
+});
+
+test('parseIP notes IPv6 text that is not RFC 5952 canonical', () => {
+  const parsed = AddressMath.parseIP('2001:DB8:0:0:0:0:0:01');
+  assert.equal(parsed.canonical, '2001:db8::1');
+  assert.equal(parsed.nonCanonical, true);
+  assert.deepEqual(parsed.notes, ['uppercase hex digits', 'leading zeros', 'zero run not shortened with "::"']);
+
+  const mixed = AddressMath.parseIP('::ffff:192.0.2.1');
+  assert.equal(mixed.value, 0xffffc0000201n);
+  assert.equal(mixed.nonCanonical, false);
+});
+
+test('parseIP accepts IPv6 zone IDs only when allowed', () => {
+  assert.throws(() => AddressMath.parseIP('fe80::1%eth0'), /Zone IDs \(e.g. "%eth0"\) are not accepted here/);
+  assert.throws(() => AddressMath.parseIP('10.0.0.1%eth0', { allowZone: true }), /Zone IDs only apply to IPv6 addresses/);
+  assert.throws(() => AddressMath.parseIP('fe80::1%', { allowZone: true }), /Empty zone ID after "%"/);
+
+  const parsed = AddressMath.parseIP('fe80::1%eth0/64', { allowZone: true });
+  assert.equal(parsed.zone, 'eth0');
+  assert.equal(parsed.prefix, 64);
+  assert.equal(parsed.canonical, 'fe80::1');
+});
+
+test('parsePrefix clears host bits and returns the range', () => {
+  const v4 = AddressMath.parsePrefix('10.0.0.5/24');
+  assert.equal(v4.cidrNotation, '10.0.0.0/24');
+  assert.equal(v4.start, 0x0a000000n);
+  assert.equal(v4.end, 0x0a0000ffn);
+
+  const v6 = AddressMath.parsePrefix('2001:db8::1/32');
+  assert.equal(v6.cidrNotation, '2001:db8::/32');
+  assert.equal(AddressMath.parsePrefix('192.0.2.1').prefix, 32);
+  assert.equal(AddressMath.parsePrefix('not an address'), null);
+  assert.equal(AddressMath.parseAddress('10.0.0.0/8'), null);
+});
+
+test('rangeToCidrs finds the fewest aligned blocks', () => {
+  const start = AddressMath.parseAddress('192.0.2.1').value;
+  const end = AddressMath.parseAddress('192.0.2.9').value;
+  assert.deepEqual(cidrs(AddressMath.rangeToCidrs(4, start, end)), ['192.0.2.1/32', '192.0.2.2/31', '192.0.2.4/30', '192.0.2.8/31']);
+  assert.deepEqual(cidrs(AddressMath.rangeToCidrs(4, 0n, 0xffffffffn)), ['0.0.0.0/0']);
+
+  const v6Start = AddressMath.parseAddress('2001:db8::').value;
+  const v6End = AddressMath.parseAddress('2001:db8::2').value;
+  assert.deepEqual(cidrs(AddressMath.rangeToCidrs(6, v6Start, v6End)), ['2001:db8::/127', '2001:db8::2/128']);
+});
+
+test('contains and overlaps compare ranges of the same version', () => {
+  const net = AddressMath.parsePrefix('10.0.0.0/8');
+  assert.equal(AddressMath.contains(net, AddressMath.parsePrefix('10.1.2.0/24')), true);
+  assert.equal(AddressMath.contains(AddressMath.parsePrefix('10.1.2.0/24'), net), false);
+  assert.equal(AddressMath.overlaps(AddressMath.parsePrefix('10.1.2.0/24'), net), true);
+  assert.equal(AddressMath.overlaps(AddressMath.parsePrefix('11.0.0.0/8'), net), false);
+  assert.equal(AddressMath.contains(AddressMath.parsePrefix('::/0'), net), false);
+});
+
+test('iterateSubnets yields child prefixes in order from an index', () => {
+  const parent = AddressMath.parsePrefix('192.0.2.0/24');
+  assert.deepEqual(cidrs([...AddressMath.iterateSubnets(parent, 26)]),
+    ['192.0.2.0/26', '192.0.2.64/26', '192.0.2.128/26', '192.0.2.192/26']);
+  assert.deepEqual(cidrs([...AddressMath.iterateSubnets(parent, 26, 2n)]), ['192.0.2.128/26', '192.0.2.192/26']);
+  assert.deepEqual([...AddressMath.iterateSubnets(parent, 23)], []);
+
+  // Only the subnets asked for are generated, even for a huge IPv6 split
+  const subnets = AddressMath.iterateSubnets(AddressMath.parsePrefix('2001:db8::/32'), 64, (1n << 32n) - 1n);
+  assert.equal(subnets.next().value.cidrNotation, '2001:db8:ffff:ffff::/64');
+  assert.equal(subnets.next().done, true);
+});
+
+test('classifyAddress picks the most specific registry block', () => {
+  const classify = text => {
+    const address = AddressMath.parseAddress(text);
+    return AddressMath.classifyAddress(address.version, address.value);
+  };
+
+  const privateUse = classify('10.1.2.3');
+  assert.equal(privateUse.block.name, 'Private-Use');
+  assert.equal(privateUse.global, false);
+
+  const thisHost = classify('0.0.0.0');
+  assert.equal(thisHost.block.name, 'This host on this network');
+  assert.equal(thisHost.matches.length, 2);
+
+  const global = classify('8.8.8.8');
+  assert.equal(global.block, null);
+  assert.equal(global.global, true);
+  assert.equal(AddressMath.describeScope(global, AddressMath.parseAddress('8.8.8.8').value), 'Global Unicast');
+
+  const mcast = classify('ff02::1');
+  assert.equal(mcast.multicastScope, 'Link-Local');
+  assert.equal(mcast.forwardable, false);
+
+  const unassigned = AddressMath.parseAddress('4000::1');
+  assert.equal(AddressMath.describeScope(AddressMath.classifyAddress(6, unassigned.value), unassigned.value), 'Unassigned (IANA reserved)');
+});
@@ -0,0 +1,138 @@
+// Tests for assets/js/crontab-helper.js, run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CrontabHelper = require('../assets/js/crontab-helper.js');
+
+const { parseCronExpression, getNextRuns } = CrontabHelper;
+
+// [run instant, scheduled wall time, dst] as ISO strings for compact comparisons
+const runs = (expr, dialect, count, timezone, from) =>
+  getNextRuns(parseCronExpression(expr, dialect), count, timezone, from)
+    .map(run => [run.date.toISOString(), new Date(run.scheduled).toISOString(), run.dst]);
+
+const parseError = (expr, dialect) => {
+  try {
+    parseCronExpression(expr, dialect);
+  } catch (e) {
+    return e;
+  }
+  assert.fail(`${expr} parsed`);
+};
+
+// Europe/London: clocks go forward at 01:00 GMT on 29 March 2026 and back at 01:00 GMT on 25 October 2026
+const SPRING = Date.UTC(2026, 2, 28, 12);
+const AUTUMN = Date.UTC(2026, 9, 24, 12);
+
+test('tokenizeField reads names, ranges and steps with their positions', () => {
+  assert.deepEqual(CrontabHelper.tokenizeField('MON-FRI/2', 'dayOfWeek', CrontabHelper.DIALECTS.vixie), [
+    { type: 'number', value: 1, text: 'MON', position: 1 },
+    { type: '-', text: '-', position: 4 },
+    { type: 'number', value: 5, text: 'FRI', position: 5 },
+    { type: '/', text: '/', position: 8 },
+    { type: 'number', value: 2, text: '2', position: 9 }
+  ]);
+});
+
+test('parseCronExpression reports errors at their position in the field', () => {
+  const range = parseError('0-60 * * * *');
+  assert.equal(range.message, 'Value 60 is out of range 0-59 in the minute field at character 3');
+  assert.equal(range.field, 'minute');
+  assert.equal(range.position, 3);
+  assert.equal(range.length, 2);
+
+  const name = parseError('0 0 * * MONDAY');
+  assert.equal(name.message, 'Unknown name "MONDAY" in the day of week field at character 1');
+  assert.equal(name.field, 'dayOfWeek');
+  assert.equal(name.length, 6);
+});
+
+test('parseCronExpression accepts steps wider than their range', () => {
+  assert.deepEqual(parseCronExpression('0 30/30 * * * ?', 'quartz').minute.values, [30]);
+  assert.deepEqual(parseCronExpression('0 12-23/12 * * *').hour.values, [12]);
+});
+
+test('parseCronExpression wraps a day-of-week range past Saturday', () => {
+  const parsed = parseCronExpression('0 12 * * FRI-MON');
+  assert.deepEqual(parsed.dayOfWeek.values, [0, 1, 5, 6]);
+  assert.deepEqual(runs('0 12 * * FRI-MON', 'vixie', 5, 'UTC', Date.UTC(2026, 9, 20)).map(run => run[0]), [
+    '2026-10-23T12:00:00.000Z',
+    '2026-10-24T12:00:00.000Z',
+    '2026-10-25T12:00:00.000Z',
+    '2026-10-26T12:00:00.000Z',
+    '2026-10-30T12:00:00.000Z'
+  ]);
+});
+
+test('getNextRuns jumps straight to sparse dates', () => {
+  assert.deepEqual(runs('0 0 29 2 *', 'vixie', 2, 'UTC', Date.UTC(2026, 0, 1)).map(run => run[0]), [
+    '2028-02-29T00:00:00.000Z',
+    '2032-02-29T00:00:00.000Z'
+  ]);
+});
+
+test('getNextRuns runs a Vixie job in a spring-forward gap at the transition', () => {
+  assert.deepEqual(runs('30 1 * * *', 'vixie', 2, 'Europe/London', SPRING), [
+    ['2026-03-29T01:00:00.000Z', '2026-03-29T01:30:00.000Z', 'gap'],
+    ['2026-03-30T00:30:00.000Z', '2026-03-30T01:30:00.000Z', null]
+  ]);
+});
+
+test('getNextRuns moves a Quartz job in a spring-forward gap forward by the gap', () => {
+  assert.deepEqual(runs('0 30 1 * * ?', 'quartz', 2, 'Europe/London', SPRING), [
+    ['2026-03-29T01:30:00.000Z', '2026-03-29T01:30:00.000Z', 'gap'],
+    ['2026-03-30T00:30:00.000Z', '2026-03-30T01:30:00.000Z', null]
+  ]);
+});
+
+test('getNextRuns runs fixed times once in an autumn overlap', () => {
+  const expected = [
+    ['2026-10-25T00:30:00.000Z', '2026-10-25T01:30:00.000Z', 'overlap'],
+    ['2026-10-26T01:30:00.000Z', '2026-10-26T01:30:00.000Z', null]
+  ];
+  assert.deepEqual(runs('30 1 * * *', 'vixie', 2, 'Europe/London', AUTUMN), expected);
+  assert.deepEqual(runs('0 30 1 * * ?', 'quartz', 2, 'Europe/London', AUTUMN), expected);
+});
+
+test('getNextRuns repeats a starred Vixie minute in an autumn overlap', () => {
+  assert.deepEqual(runs('*/30 1 * * *', 'vixie', 4, 'Europe/London', AUTUMN).map(run => run[0]), [
+    '2026-10-25T00:00:00.000Z',
+    '2026-10-25T00:30:00.000Z',
+    '2026-10-25T01:00:00.000Z',
+    '2026-10-25T01:30:00.000Z'
+  ]);
+});
+
+test('resolveWallTime finds no instant in a gap and two in an overlap', () => {
+  const gap = CrontabHelper.resolveWallTime(Date.UTC(2026, 2, 29, 1, 30), 'Europe/London');
+  assert.deepEqual(gap.instants, []);
+  assert.equal(gap.transition, Date.UTC(2026, 2, 29, 1));
+  assert.equal(gap.shift, 60);
+
+  const overlap = CrontabHelper.resolveWallTime(Date.UTC(2026, 9, 25, 1, 30), 'Europe/London');
+  assert.deepEqual(overlap.instants, [Date.UTC(2026, 9, 25, 0, 30), Date.UTC(2026, 9, 25, 1, 30)]);
+});
+
+test('formatRrule maps expressions onto RRULEs', () => {
+  const rule = (expr, dialect) => CrontabHelper.formatRrule(parseCronExpression(expr, dialect), 'UTC');
+  assert.equal(rule('0 9 * * 1-5'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(rule('*/15 9-17 * * 1-5'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;BYHOUR=9,10,11,12,13,14,15,16,17;BYMINUTE=0,15,30,45');
+  assert.equal(rule('0 0 12 L * ?', 'quartz'), 'FREQ=MONTHLY;BYMONTHDAY=-1');
+  assert.equal(rule('0 0 12 ? * MON#2', 'quartz'), 'FREQ=MONTHLY;BYDAY=2MO');
+  // Vixie runs when either day field matches; RRULE parts can only narrow each other
+  assert.throws(() => rule('0 0 1 * MON'), /RRULE parts only narrow each other/);
+});
+
+test('exportIcal writes one recurring event, or single events when no RRULE fits', () => {
+  const recurring = CrontabHelper.exportIcal(parseCronExpression('0 9 * * 1-5'), 'Europe/London', { from: Date.UTC(2026, 9, 19) });
+  assert.equal(recurring.rule, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.match(recurring.text, /\r\nDTSTART;TZID=Europe\/London:20261019T090000\r\n/);
+  assert.match(recurring.text, /\r\nBEGIN:VTIMEZONE\r\nTZID:Europe\/London\r\n/);
+
+  const instances = CrontabHelper.exportIcal(parseCronExpression('0 0 1 * MON'), 'UTC', { from: Date.UTC(2026, 0, 1), count: 3 });
+  assert.equal(instances.rule, null);
+  assert.deepEqual(instances.text.match(/^DTSTART;TZID=UTC:\d{8}T\d{6}$/gm), [
+    'DTSTART;TZID=UTC:20260105T000000',
+    'DTSTART;TZID=UTC:20260112T000000',
+    'DTSTART;TZID=UTC:20260119T000000'
+  ]);
+});
@@ -0,0 +1,36 @@
+// Tests for assets/js/oui-database.js, run with `npm test` (node --test)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const OuiDatabase = require('../assets/js/oui-database.js');
+
+const database = {
+  mal: { '001A2B': 'Example Large', '70B3D5': 'IEEE Registration Authority' },
+  mam: { '001A2B3': 'Example Medium' },
+  mas: { '70B3D5123': 'Example Small' }
+};
+
+test('lookupVendor prefers the most specific assignment', () => {
+  assert.deepEqual(OuiDatabase.lookupVendor(database, '70B3D5123456'),
+    { vendor: 'Example Small', prefix: '70B3D5123', type: 'MA-S/IAB', bits: 36 });
+  assert.deepEqual(OuiDatabase.lookupVendor(database, '001A2B3C4D5E'),
+    { vendor: 'Example Medium', prefix: '001A2B3', type: 'MA-M', bits: 28 });
+  assert.deepEqual(OuiDatabase.lookupVendor(database, '001A2BFFFFFF'),
+    { vendor: 'Example Large', prefix: '001A2B', type: 'MA-L', bits: 24 });
+});
+
+test('lookupVendor returns null for unknown prefixes or a missing database', () => {
+  assert.equal(OuiDatabase.lookupVendor(database, 'ACDE48001122'), null);
+  assert.equal(OuiDatabase.lookupVendor({ mal: {} }, '001A2B3C4D5E'), null);
+  assert.equal(OuiDatabase.lookupVendor(null, '001A2B3C4D5E'), null);
+});
+
+test('loadOuiDatabase fetches once and retries after a failure', async (t) => {
+  const responses = [{ ok: false, status: 503 }, { ok: true, json: async () => database }];
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => responses.shift());
+
+  await assert.rejects(OuiDatabase.loadOuiDatabase(), /Failed to load OUI database: 503/);
+  assert.equal(await OuiDatabase.loadOuiDatabase(), database);
+  assert.equal(await OuiDatabase.loadOuiDatabase(), database);
+  assert.equal(fetchMock.mock.callCount(), 2);
+  assert.equal(fetchMock.mock.calls[0].arguments[0], OuiDatabase.OUI_DATABASE_URL);
+});